@@ -11,9 +11,12 @@
 import { appState } from './state.js';
 
 // Import core logic and data structures
-import { Monster } from './monster.js';
 import { loadAllData, processLoadedData } from './services/dataLoader.js';
-import { calculateSpottedMonsters } from './services/spottingCalculator.js';
+import { startSimulationWorker, calculateSightings } from './services/simulation.js';
+import { resolveSimulationTime, getZonedToday } from './services/clock.js';
+import { setLocale, detectLocale } from './services/i18n.js';
+import { registerServiceWorker } from './services/offline.js';
+import { detectRegionLevels } from './services/regions.js';
 
 // Import all UI module initializers and update functions
 import { initializeMap, updateMap } from './ui/map.js';
@@ -21,6 +24,14 @@ import { initializeMonsterPanel, updateMonsterPanel } from './ui/monsterPanel.js
 import { updateHeader } from './ui/header.js';
 import { initializeDebugPanel } from './ui/debugPanel.js';
 import { initializeListeners } from './ui/listeners.js';
+import { initializeDiagnostics } from './ui/diagnostics.js';
+import { initializeForecast } from './ui/forecast.js';
+import { initializeStatistics } from './ui/statistics.js';
+import { initializeExportMenu } from './ui/exportMenu.js';
+import { initializeOfflineManager } from './ui/offlineManager.js';
+import { initializeEditor } from './ui/editor.js';
+import { initializePackManager, updatePackManager } from './ui/packManager.js';
+import { applyTranslations, initializeLanguageSwitcher } from './ui/language.js';
 
 // Import utility functions
 import { parseUrlHash } from './utils/url.js';
@@ -28,22 +39,46 @@ import { parseUrlHash } from './utils/url.js';
 
 // --- 2. THE CORE REDRAW LOOP ---
 
+// The animation frame of a redraw scheduled while sightings stream in from the simulation worker.
+let redrawFrame = null;
+
+/**
+ * Calls the update function for each UI component to sync it with the current state.
+ */
+function redraw() {
+    cancelAnimationFrame(redrawFrame);
+    redrawFrame = null;
+
+    updateMonsterPanel();
+    updatePackManager();
+    updateMap();
+    updateHeader();
+}
+
 /**
  * The central update function for the entire application.
- * It recalculates all monster spotting data based on the current state,
- * then calls the update functions for all UI components to redraw them.
+ * It recalculates all monster spotting data based on the current state in the simulation worker,
+ * then redraws all UI components. While the results stream in, the UI is redrawn at most once per
+ * frame. A calculation that is superseded by a newer one before it finishes is dropped.
  */
-function recalculateAndRedraw() {
+async function recalculateAndRedraw() {
     // Reset any state that should not persist between calculations (e.g., zoom iterators)
     appState.zoomIteratorState = {};
 
-    // Run the core calculation engine and update the state with the results
-    appState.spottedMonstersData = calculateSpottedMonsters(appState.monsters);
+    // Resolve the simulation instant once, so the whole calculation sees the same moment in time
+    resolveSimulationTime();
 
-    // Call the update function for each UI component to sync it with the new state
-    updateMonsterPanel();
-    updateMap();
-    updateHeader();
+    // Run the core calculation engine and update the state with the results as they arrive
+    const spottedMonstersData = await calculateSightings(appState.monsters, {
+        onResult: (monsterId, data) => {
+            appState.spottedMonstersData = { ...appState.spottedMonstersData, [monsterId]: data };
+            redrawFrame ??= requestAnimationFrame(redraw);
+        }
+    });
+    if (!spottedMonstersData) return; // Superseded by a newer calculation
+
+    appState.spottedMonstersData = spottedMonstersData;
+    redraw();
 }
 
 
@@ -54,24 +89,33 @@ function recalculateAndRedraw() {
  * It follows a strict sequence to ensure dependencies are met.
  */
 async function initializeApp() {
-    // 1. Show the loading indicator immediately for good UX.
+    // 1. Show the loading indicator immediately for good UX, in the visitor's language.
+    // A language shared in the URL hash takes over once the hash is parsed.
+    setLocale(detectLocale());
+    applyTranslations();
     const loadingIndicator = document.getElementById('loading-indicator');
     loadingIndicator.classList.remove('hidden');
 
     // 2. Load all critical data from external files. Abort if this fails.
+    // Meanwhile, check which optional region shapes are on the server, before the URL hash can ask for them.
+    const regionLevelsDetected = detectRegionLevels();
     const data = await loadAllData();
     if (!data) return; // Error handling is done inside loadAllData
 
     // 3. Process the raw data and populate the central appState.
-    processLoadedData(data.locations, data.featureCodes);
-    appState.monsters = data.monsters.map(monsterData => new Monster(monsterData));
+    processLoadedData(data.locations, data.featureCodes, data.monsters);
+    // The simulation worker gets its own copy of the locations, once.
+    startSimulationWorker(data.locations);
+    // Start on today's date in Stockholm, which can differ from the UTC date around midnight.
+    appState.currentDate = getZonedToday();
 
     // 4. Initialize the map. This must happen before parsing the URL hash.
     initializeMap();
 
-    // 5. Parse the URL hash to apply any shared state (map view, filters, date).
+    // 5. Parse the URL hash to apply any shared state (map view, filters, date, language, packs).
     // This needs the map and monsters to exist in the state first.
-    parseUrlHash();
+    await regionLevelsDetected;
+    const sharedPacksLoaded = parseUrlHash();
 
     // 6. Create the static DOM structures for UI components.
     initializeMonsterPanel();
@@ -80,13 +124,28 @@ async function initializeApp() {
     // This connects user input to our state update loop.
     initializeListeners(recalculateAndRedraw);
     initializeDebugPanel(recalculateAndRedraw);
+    initializeEditor(recalculateAndRedraw);
+    initializePackManager(recalculateAndRedraw);
+    initializeLanguageSwitcher(recalculateAndRedraw);
+    initializeDiagnostics();
+    initializeForecast();
+    initializeStatistics(recalculateAndRedraw);
+    initializeExportMenu();
+    initializeOfflineManager();
     
     // 8. Perform the initial calculation and render of the entire UI.
     recalculateAndRedraw();
 
+    // Shared packs are fetched in the background; redraw again once they have arrived.
+    sharedPacksLoaded.then(hasPacks => {
+        if (hasPacks) recalculateAndRedraw();
+    });
+
     // 9. Start any ongoing processes, like the clock timer.
     // This updates the header every second independently of the main redraw loop for efficiency.
     setInterval(updateHeader, 1000);
+    // Store the app on the device for offline use; this runs in the background.
+    registerServiceWorker();
 
     // 10. Hide the loading indicator with a small delay for a smooth transition.
     setTimeout(() => {
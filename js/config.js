@@ -4,11 +4,12 @@
  * This acts as the central "rulebook" for game mechanics, balance, and definitions.
  */
 
-// We import the condition functions here because this data structure is
-// fundamentally coupled to the logic that evaluates it. This is a deliberate
-// and clean way to link rules to their evaluation functions.
-// Note: These will be implemented in a future `time.js` module.
-import { isWitchingHour, isPeriod, isFullMoon, isYule, isMidsummer } from './services/time.js';
+/**
+ * The time zone the simulation clock runs in. Time periods, the witching hour and the header
+ * clock all follow the wall-clock time here, so every viewer shares the same time of day.
+ * @type {string}
+ */
+export const SIMULATION_TIME_ZONE = 'Europe/Stockholm';
 
 /**
  * Defines the time periods of the day, their start/end times in minutes from midnight,
@@ -46,29 +47,49 @@ export const GLOBAL_MODIFIERS = {
         lateNight: 0.6
     },
     events: {
-        halloween: 2.5      // Global multiplier for the event
+        halloween: 2.5,     // Global multiplier for the event, applied to every monster
+        epiphany: 1.2,      // Multipliers for monsters that list the event in their `events`
+        easter: 1.8,
+        walpurgis: 2.0,
+        midsummer: 1.5,
+        allSaints: 1.8,
+        lucia: 1.6,
+        yule: 1.3
     }
 };
 
 /**
- * A mapping of modifier names to their activation condition and display label.
- * The Monster class uses this to evaluate bonuses and penalties.
+ * A mapping of modifier names to their activation condition. Their display labels
+ * are the `modifier.<type>.<name>` messages of the locale catalogs in `js/locales/`.
+ * Conditions are written in the declarative condition language interpreted by
+ * `services/rules.js`, so new modifiers can be added here without writing code.
+ * The Monster class uses this to evaluate bonuses, penalties and event multipliers.
  * @type {object}
  */
 export const MODIFIER_DEFINITIONS = {
     bonuses: {
-        'witchingHour': { condition: isWitchingHour, label: "Witching Hour" },
-        'midnight':     { condition: () => isPeriod('Midnight'), label: "Midnight" },
-        'fullMoon':     { condition: isFullMoon, label: "Full Moon" },
-        'yule':         { condition: isYule, label: "Yule Season" },
-        'midsummer':    { condition: isMidsummer, label: "Midsummer" }
+        'witchingHour': { condition: { witchingHour: true } },
+        'midnight':     { condition: { period: 'Midnight' } },
+        'fullMoon':     { condition: { fullMoon: true } },
+        'yule':         { condition: { event: 'yule' } },
+        'midsummer':    { condition: { event: 'midsummer' } }
     },
     penalties: {
-        'day':          { condition: () => isPeriod('Day'), label: "Daylight" },
-        'evening':      { condition: () => isPeriod('Evening'),label: "Evening" },
-        'earlyMorning': { condition: () => isPeriod('Early Morning'), label: "Early Morning" },
-        'night':        { condition: () => isPeriod('Night'), label: "Night" },
-        'lateNight':    { condition: () => isPeriod('Late Night'), label: "Late Night" }
+        'day':          { condition: { period: 'Day' } },
+        'evening':      { condition: { period: 'Evening' } },
+        'earlyMorning': { condition: { period: 'Early Morning' } },
+        'night':        { condition: { period: 'Night' } },
+        'lateNight':    { condition: { period: 'Late Night' } }
+    },
+    events: {
+        'halloween':    { condition: { event: 'halloween' } },
+        'epiphany':     { condition: { event: 'epiphany' } },
+        'easter':       { condition: { event: 'easter' } },
+        'walpurgis':    { condition: { event: 'walpurgis' } },
+        'midsummer':    { condition: { event: 'midsummer' } },
+        'allSaints':    { condition: { event: 'allSaints' } },
+        'lucia':        { condition: { event: 'lucia' } },
+        'yule':         { condition: { event: 'yule' } }
     }
 };
 
@@ -126,6 +147,171 @@ export const LOCATION_GROUPS = {
     'transport_hubs': ['S.AIRP', 'L.PRT', 'S.FYT', 'S.RSTN', 'S.BUSTN', 'S.MAR'],
 };
 
+/**
+ * The kinds of weather the weather simulation can produce, with their icon.
+ * Their display labels are the `weather.<id>` messages of the locale catalogs.
+ * @type {object}
+ */
+export const WEATHER_TYPES = {
+    'clear':        { icon: '🌤️' },
+    'fog':          { icon: '🌫️' },
+    'rain':         { icon: '🌧️' },
+    'snow':         { icon: '🌨️' },
+    'thunderstorm': { icon: '⛈️' }
+};
+
+/**
+ * The relative likelihood of each kind of weather per season. Northern counties
+ * trade part of their rain for snow outside of summer (see `services/weather.js`).
+ * @type {object}
+ */
+export const WEATHER_CLIMATE = {
+    'Spring': { clear: 5, fog: 2, rain: 3, snow: 1, thunderstorm: 0.5 },
+    'Summer': { clear: 6, fog: 1, rain: 3, snow: 0, thunderstorm: 1.5 },
+    'Fall':   { clear: 3, fog: 4, rain: 4, snow: 1, thunderstorm: 0.3 },
+    'Winter': { clear: 4, fog: 2, rain: 1, snow: 5, thunderstorm: 0 }
+};
+
+/**
+ * The extreme points of Sweden. Location-dependent conditions (such as darkness) are
+ * tested at these points when no specific location is given, to decide whether a
+ * condition holds everywhere, nowhere, or only in some parts of the country.
+ * @type {Array<object>}
+ */
+export const REFERENCE_LOCATIONS = [
+    { name: 'Smygehuk',      latitude: 55.337, longitude: 13.359 }, // Southernmost point
+    { name: 'Treriksröset',  latitude: 69.060, longitude: 20.548 }, // Northernmost point
+    { name: 'Koster',        latitude: 58.893, longitude: 11.002 }, // Westernmost point
+    { name: 'Kataja',        latitude: 65.708, longitude: 24.164 }  // Easternmost point
+];
+
+/**
+ * Settings for the "individuals" mode, in which a species opts in to being simulated as a
+ * population of named individuals that wander from day to day (see `services/individuals.js`).
+ * Every individual starts at its den on the epoch and walks forward from there, one step per day.
+ * @type {object}
+ */
+export const INDIVIDUALS_CONFIG = {
+    epoch: Date.UTC(2020, 0, 1),
+    trailDays: 14, // How many days of an individual's trail to show on the map
+    names: [
+        'Agda', 'Alrik', 'Bengta', 'Birger', 'Dagny', 'Egil', 'Folke', 'Frideborg', 'Gorm', 'Gudrun',
+        'Halvar', 'Hjördis', 'Ingvald', 'Jorunn', 'Knut', 'Liv', 'Mårten', 'Ragnfrid', 'Sigvard', 'Sölve',
+        'Tora', 'Tyra', 'Ulvhild', 'Vidar'
+    ]
+};
+
+/**
+ * The basemaps the map can show, chosen with the basemap switcher and shared in the URL hash as
+ * `basemap=<id>`. Their names are the `basemap.<id>` messages of the catalogs. Every basemap has
+ * a `type`:
+ * - 'xyz': Tiles from a URL template with `{z}`, `{x}`, `{y}` and optionally `{s}` for one of the `subdomains`.
+ * - 'wms': Images from a WMS server, with the names of its `layers`.
+ * - 'pmtiles': Raster tiles from a PMTiles file served from the same origin (convert MBTiles files
+ *   with `pmtiles convert`).
+ * - 'none': No tiles; only the outline of Sweden is drawn.
+ * `maxZoom` is the highest zoom level of the tiles; closer in, the tiles of that level are enlarged.
+ * Tiles are loaded with CORS, so that the service worker (`sw.js`) can cache them for offline use;
+ * the host of every tile server must also be listed in `TILE_HOSTS` there. A server without CORS
+ * headers needs `crossOrigin: false`, and its tiles are not cached. The outline of Sweden is also
+ * drawn whenever no tiles can be loaded, such as offline outside the cached areas.
+ * `downloadable: true` lets the offline manager download areas of an 'xyz' basemap ahead. Only set
+ * it for a tile server that allows bulk downloads, such as your own: the usage policies of the
+ * public servers below (OpenStreetMap, OpenTopoMap and CARTO) forbid them.
+ * @type {object}
+ */
+export const BASEMAPS = {
+    'osm': {
+        type: 'xyz',
+        url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+        maxZoom: 19
+    },
+    'topo': {
+        type: 'xyz',
+        url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+        subdomains: 'abc',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, SRTM | &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)',
+        maxZoom: 17
+    },
+    'dark': {
+        type: 'xyz',
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+        subdomains: 'abcd',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
+        maxZoom: 20
+    },
+    'wms': {
+        type: 'wms',
+        url: 'https://ows.terrestris.de/osm/service',
+        layers: 'OSM-WMS',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, &copy; <a href="https://www.terrestris.de">terrestris</a>',
+        maxZoom: 18
+    },
+    'local': {
+        type: 'pmtiles',
+        url: 'data/tiles/sweden.pmtiles',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+        maxZoom: 14
+    },
+    'outline': { type: 'none' }
+};
+
+/**
+ * The basemap shown unless the URL hash names another one. An intranet or offline installation
+ * can default to 'local' or 'outline' instead.
+ * @type {string}
+ */
+export const DEFAULT_BASEMAP = 'osm';
+
+/**
+ * Settings of the map tile download for offline use: the cache the tiles are kept in (the same
+ * `TILE_CACHE` as in `sw.js`), the default and highest zoom levels, and the most tiles that can
+ * be downloaded at once, so that a download does not overload the tile server. Only 'xyz'
+ * basemaps marked `downloadable` can be downloaded.
+ * @type {object}
+ */
+export const TILE_DOWNLOAD = {
+    cache: 'monster-spotter-tiles',
+    minZoom: 6,
+    maxZoom: 12,
+    maxZoomLimit: 16,
+    maxTiles: 10000
+};
+
+/**
+ * The range of the radius of the "near me" search, in kilometres.
+ * @type {{min: number, max: number}}
+ */
+export const NEARBY_RADIUS_KM = { min: 1, max: 500 };
+
+/**
+ * How important each kind of place is in the place search, from 0 to 10. Among equally good
+ * matches, more important places are listed first. Places are looked up by their full feature
+ * code first, then by their feature class.
+ * @type {object}
+ */
+export const SEARCH_IMPORTANCE = {
+    'A.ADM1': 10,
+    'P.PPLC': 10,
+    'P.PPLA': 9,
+    'A.ADM2': 8,
+    'P.PPLA2': 7,
+    'P.PPL': 5,
+    'A': 6,       // Other administrative divisions
+    'H.LK': 5,
+    'T.MT': 5,
+    'T.ISL': 5,
+    'P': 4,       // Other populated places, such as sections and farm villages
+    'H': 4,       // Other waters, such as streams and bays
+    'T': 4,       // Other terrain, such as hills and capes
+    'S': 3,       // Churches, castles, farms and other spots
+    'L': 3,
+    'V': 3,
+    'R': 2,
+    'U': 1
+};
+
 /**
  * UI mapping for season names to icons.
  * @type {object}
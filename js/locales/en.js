@@ -0,0 +1,390 @@
+/**
+ * @file /locales/en.js
+ * @description The English message catalog. English is the fallback locale, so every key used
+ * by the UI must be present here. Keys are grouped by the part of the UI that shows them.
+ */
+
+export const MESSAGES = {
+    // --- Application ---
+    'app.title': "Swedish Monster Spotter",
+    'app.titleHint': "Click to toggle the debug panel",
+    'app.loading': "Loading Monster Positions...",
+    'app.loadError': "Error: Could not load map data. Please try refreshing the page.",
+    'app.copied': "✅ Copied!",
+
+    // --- Header ---
+    'header.clockLocal': "🏠 Local",
+    'header.clockStockholm': "🇸🇪 Stockholm",
+    'header.clockTitle': "Times are shown in {timeZone}. Click to switch to {other}.",
+    'header.stockholmTime': "Stockholm time",
+    'header.localTime': "your local time",
+    'header.dateHint': "Select a date to view past sightings",
+    'header.share': "🔗 Share",
+    'header.shareHint': "Copy a shareable link of your current view",
+    'header.shareFailed': "Failed to copy URL from address bar.",
+    'header.statistics': "📊 Statistics",
+    'header.statisticsHint': "Statistics over a range of dates",
+    'header.export': "⬇️ Export",
+    'header.exportHint': "Download the sightings for GIS tools and GPS units",
+    'header.offline': "Offline",
+    'header.offlineHint': "No connection. The sightings still work, but the map only shows the tiles you have cached.",
+    'header.offlineManager': "💾 Offline",
+    'header.offlineManagerHint': "Prepare the app and the map for use without a connection",
+    'header.languageHint': "Switch the language",
+    'header.witchingHour': "Witching Hour!",
+    'header.fullMoon': "Full Moon!",
+
+    // Header badges for the holidays, keyed by holiday id.
+    'badge.halloween': "Halloween!",
+    'badge.epiphany': "Epiphany!",
+    'badge.easter': "Easter!",
+    'badge.walpurgis': "Walpurgis Night!",
+    'badge.midsummer': "Midsummer!",
+    'badge.allSaints': "All Saints' Day!",
+    'badge.lucia': "Lucia!",
+    'badge.yule': "Yule Season!",
+
+    // --- Debug Panel ---
+    'debug.multiplier': "Spotting Multiplier:",
+    'debug.forceSeason': "Force Season:",
+    'debug.auto': "Auto",
+    'debug.forceTime': "Force Time:",
+    'debug.forceTimeHint': "You can scroll with the mouse wheel to adjust time",
+    'debug.forceMoon': "Force Moon Phase:",
+    'debug.forceFullMoon': "Force Full Moon",
+    'debug.forceNotFullMoon': "Force NOT Full Moon",
+    'debug.forceHalloween': "Force Halloween:",
+    'debug.forceOn': "Force ON",
+    'debug.forceOff': "Force OFF",
+    'debug.reset': "Reset Debug Settings",
+    'debug.showDiagnostics': "Show Data Diagnostics",
+    'debug.editor': "Monster Editor",
+
+    // --- Monster Editor ---
+    'editor.select': "Edit Monster:",
+    'editor.newMonster': "➕ New Monster",
+    'editor.id': "ID:",
+    'editor.name': "Name:",
+    'editor.icon': "Icon:",
+    'editor.chance': "Base Chance:",
+    'editor.habitats': "Habitats",
+    'editor.seasons': "Seasons",
+    'editor.activeTimes': "Active Times",
+    'editor.bonuses': "Bonuses",
+    'editor.penalties': "Penalties",
+    'editor.events': "Events",
+    'editor.restriction': "Restriction",
+    'editor.weightHint': "Relative weight",
+    'editor.overrideHint': "Override the global value",
+    'editor.inlineNote': "{count} inline modifiers kept as they are; edit them in monsters.json.",
+    'editor.export': "monsters.json entry:",
+    'editor.copy': "📋 Copy JSON",
+
+    // --- Monster Filters & Info Panel ---
+    'main.mapToggle': "Toggle Fullscreen Map",
+    'panel.title': "Monster Filters",
+    'panel.visibilityHint': "Toggle visibility on map",
+    'panel.active': "Active:",
+    'panel.activeHint': "Most Active Conditions",
+    'panel.habitats': "Habitats:",
+    'panel.habitatsHint': "Preferred Habitats",
+    'panel.breakdownTitle': "Spotting Chance Breakdown",
+    'panel.halloween': "🎃 It's Halloween! 🎃",
+    'panel.noRestrictions': "All restrictions lifted!",
+    'panel.impossible': "Impossible to Spot!",
+    'panel.reason': "Reason: {reason}",
+    'panel.bonusActive': "Active (+{percent}%)",
+    'panel.multiplierActive': "Active (x{value})",
+    'panel.inactive': "Inactive (÷2)",
+    'panel.habitatMix': "Habitat Mix",
+    'panel.topCounties': "Top Counties",
+    'panel.spotted': "{count} spotted",
+
+    // Steps of the spotting chance breakdown (see `Monster.calculateSpottingData`).
+    'breakdown.globalMultiplier': "Global Multiplier",
+    'breakdown.base': "Base Chance",
+    'breakdown.locationDependent': "Location Dependent",
+    'breakdown.season': "Season",
+    'breakdown.time': "Time",
+    'breakdown.moonlight': "Moonlight",
+    'breakdown.moonlit': "{percent}% lit",
+    'breakdown.weather': "Weather",
+    'breakdown.event': "Event",
+    'breakdown.debug': "Debug Multiplier",
+    'breakdown.final': "Final Chance",
+    'breakdown.requires': "Requires: {conditions}",
+
+    // Descriptions of conditions (see `services/rules.js`).
+    'condition.and': "and",
+    'condition.or': "or",
+    'condition.not': "not {condition}",
+    'condition.no': "No {flag}",
+    'condition.unknown': "Unknown condition \"{key}\"",
+    'flag.fullMoon': "Full Moon",
+    'flag.moonUp': "Moon in the Sky",
+    'flag.dark': "Darkness",
+    'flag.night': "Night",
+    'flag.witchingHour': "Witching Hour",
+
+    // --- Spotting Forecast ---
+    'forecast.open': "📅 {days}-Day Forecast",
+    'forecast.openHint': "Show when to look for this monster in the coming days",
+    'forecast.title': "{name}: {days}-Day Forecast",
+    'forecast.next': "Next chance: {moment}, {chance}",
+    'forecast.never': "Cannot be spotted in the next {days} days.",
+    'forecast.best': "Best Moments",
+    'forecast.expected': "~{count} sightings",
+    'forecast.drivers': "Driven by: {drivers}",
+    'forecast.calendar': "Chance by Day and Time",
+    'forecast.date': "Date",
+    'forecast.past': "Already over",
+    'forecast.moment': "{date}, {period} ({time})",
+    'forecast.note': "Each time period is sampled at its peak, in {timeZone}. Expected sightings are counted before location-dependent restrictions.",
+    'forecast.exportTitle': "Calendar Export",
+    'forecast.exportWhen': "Windows where the",
+    'forecast.thresholdChance': "chance (%) is at least",
+    'forecast.thresholdExpected': "expected sightings are at least",
+    'forecast.export': "📆 Export .ics",
+    'forecast.exportHint': "Download the windows as an iCalendar file for your calendar app",
+    'forecast.exported': "{count} windows exported.",
+    'forecast.noWindows': "No windows reach the threshold in this forecast.",
+    'forecast.calendarName': "{name} Forecast",
+    'forecast.windowSummary': "{name} window – {drivers}, {start}–{end}, {chance}",
+    'forecast.windowSummaryPlain': "{name} window, {start}–{end}, {chance}",
+
+    // --- Statistics Dashboard ---
+    'statistics.title': "Sighting Statistics",
+    'statistics.from': "From",
+    'statistics.to': "to",
+    'statistics.month': "30 days",
+    'statistics.year': "1 year",
+    'statistics.period': "at",
+    'statistics.periodHint': "Every day is simulated at the peak of this time period",
+    'statistics.run': "▶ Run",
+    'statistics.progress': "Simulating day {done} of {total}...",
+    'statistics.done': "{count} days simulated.",
+    'statistics.invalidRange': "Choose a range of 1 to {max} days.",
+    'statistics.error': "⚠️ The simulation failed. Please try again.",
+    'statistics.recordDay': "Record day: {date}, with {count} sightings.",
+    'statistics.noSightings': "No sightings in this range.",
+    'statistics.viewDay': "View this day on the map",
+    'statistics.daily': "Sightings per Day",
+    'statistics.monsters': "Totals and Records",
+    'statistics.total': "Total",
+    'statistics.perDay': "Per day",
+    'statistics.record': "Record day",
+    'statistics.seasons': "Sightings per Day by Season",
+    'statistics.days': "{count} days",
+    'statistics.counties': "Sightings per County",
+    'statistics.mostSeen': "Most seen",
+    'statistics.outsideCounties': "Outside the counties",
+
+    // --- Sightings Export ---
+    'export.title': "Export Sightings",
+    'export.span': "Sightings of",
+    'export.day': "the selected date ({date}), as on the map",
+    'export.range': "a range of dates",
+    'export.format': "Format",
+    'export.download': "⬇️ Download",
+    'export.empty': "There are no sightings to export.",
+    'export.done': "{count} sightings exported as {format}.",
+    'export.name': "Monster sightings {dates}",
+    'export.description': "{name} near {place}, {date} {time}",
+    'export.note': "GeoJSON and CSV open in QGIS and spreadsheets, KML in Google Earth, and GPX on handheld GPS units. Only the enabled monsters are exported.",
+    'offline.title': "Offline Use",
+    'offline.ready': "✅ The app and its data are stored on this device, so the sightings of any date can be calculated without a connection.",
+    'offline.installing': "⏳ The app is being stored on this device for offline use…",
+    'offline.unsupported': "This browser cannot store the app for offline use. Offline use needs a page served over HTTPS or from localhost.",
+    'offline.error': "⚠️ The app could not be stored for offline use.",
+    'offline.storage': "Storage",
+    'offline.usage': "The app uses {used} of the {quota} the browser allows.",
+    'offline.tiles': "{count} map tiles are cached.",
+    'offline.clearTiles': "🗑️ Clear Map Tiles",
+    'offline.cleared': "The cached map tiles were deleted.",
+    'offline.download': "Download Map Tiles ({name})",
+    'offline.notDownloadable': "The tiles of {name} cannot be downloaded ahead, because it has no tile server or its tile server does not allow bulk downloads. The tiles you view are still cached.",
+    'offline.area': "Area",
+    'offline.currentView': "The current map view",
+    'offline.zoom': "Zoom levels",
+    'offline.estimate': "{count} tiles",
+    'offline.tooMany': "{count} tiles; at most {max} can be downloaded at once. Choose a smaller area or fewer zoom levels.",
+    'offline.invalidZoom': "Choose zoom levels from 0 to {max}, the lowest first.",
+    'offline.start': "⬇️ Download",
+    'offline.progress': "{done} / {total} tiles",
+    'offline.done': "{downloaded} tiles downloaded, {cached} already cached, {failed} failed.",
+    'offline.noConnection': "Connect to the internet to download map tiles.",
+    'offline.note': "The map tiles you view are cached as well. Tiles are downloaded one at a time so that the tile server is not overloaded; please only download the areas you need.",
+
+    // --- Monster Packs ---
+    'packs.title': "Monster Packs",
+    'packs.empty': "No packs loaded.",
+    'packs.load': "📦 Load Pack File",
+    'packs.loadHint': "Load a monster pack from a JSON file",
+    'packs.dropHint': "You can also drop pack files anywhere on the page.",
+    'packs.issuesHint': "Show the problems in this pack",
+    'packs.removeHint': "Remove this pack",
+
+    // --- Data Diagnostics ---
+    'diagnostics.title': "Data Diagnostics",
+    'diagnostics.none': "No problems were found in the monster data.",
+    'diagnostics.skipped': "Monsters with errors were not loaded.",
+    'diagnostics.fix': "Fix the following in the monster data:",
+    'diagnostics.errors': "Errors",
+    'diagnostics.warnings': "Warnings",
+
+    // --- Map ---
+    'map.searchPlaceholder': "Search locations...",
+    'map.browseRegions': "Browse Regions:",
+    'map.zoomOutHint': "Zoom out to parent region",
+    'map.regionRoot': "┌ Sweden",
+    'map.findNext': "Find next {name}",
+    'map.timeLapsePlay': "Play the day as a time-lapse",
+    'map.timeLapseScrub': "Scrub through the day",
+    'map.timeLapseReset': "Show all sightings of the day",
+    'map.allDay': "All day",
+    'map.sighting': "{name} Sighting!",
+    'map.individual': "{individual} the {name}",
+    'map.seenAt': "Seen at: {time}",
+    'map.near': "Near: {place}",
+    'map.habitat': "Habitat: {habitat}",
+    'map.coords': "Coords: {coords}",
+    'map.trail': "Trail: last {days} days",
+    'map.choroplethHint': "Colour the regions by their sightings instead of showing markers",
+    'map.counties': "Counties",
+    'map.municipalities': "Municipalities",
+    'map.metricCount': "Sightings",
+    'map.metricDensity': "Sightings per 1,000 km²",
+    'map.density': "{value} per 1,000 km²",
+    'map.regionsLoading': "Loading the region shapes...",
+    'map.regionsError': "The region shapes could not be loaded.",
+    'map.basemapHint': "Basemap",
+    'map.basemapUnreachable': "No map tiles could be loaded, so only the outline of Sweden is shown.",
+    'basemap.osm': "OpenStreetMap",
+    'basemap.topo': "Topographic (OpenTopoMap)",
+    'basemap.dark': "Dark (CARTO)",
+    'basemap.wms': "OpenStreetMap WMS (terrestris)",
+    'basemap.local': "Local tiles (PMTiles)",
+    'basemap.outline': "Outline of Sweden only",
+    'map.heatmapHint': "Show a heatmap of the sightings instead of markers",
+    'map.heatmapAllMonsters': "All enabled monsters",
+    'map.heatmapRadius': "Radius",
+    'map.heatmapWeighted': "Weight by chance",
+    'map.heatmapDay': "Selected day",
+    'map.heatmapRange': "Range of dates",
+    'map.heatmapRun': "Show",
+    'map.heatmapRangeHint': "Choose the first and last day, then press Show.",
+    'map.heatmapDays': "{count} days, at {period}",
+    'map.nearbyHint': "Find the sightings near a place",
+    'map.nearbyPin': "Drop a pin",
+    'map.nearbyPinHint': "Click the map to place the pin",
+    'map.nearbyLocate': "Use my location",
+    'map.nearbyLocating': "Finding your location...",
+    'map.nearbyLocationError': "Your location is not available.",
+    'map.nearbyClear': "Remove the pin",
+    'map.nearbyRadius': "Radius (km)",
+    'map.nearbyStart': "Drop a pin or use your location to list the sightings around it.",
+    'map.nearbyCount': "{count} sightings within {radius} km:",
+    'map.nearbyNone': "No sightings within {radius} km.",
+    'map.nearbyDistance': "{distance} km {direction} ({degrees}°)",
+    'map.nearbyDrag': "Drag to move the pin",
+
+    // The compass points that bearings are named by.
+    'compass.N': "N",
+    'compass.NE': "NE",
+    'compass.E': "E",
+    'compass.SE': "SE",
+    'compass.S': "S",
+    'compass.SW': "SW",
+    'compass.W': "W",
+    'compass.NW': "NW",
+
+    // Fallback names of location types (see `getLocationTypeName`).
+    'location.unknown': "Unknown",
+    'location.area': "Area",
+
+    // --- Simulation Vocabulary ---
+    'season.Spring': "Spring",
+    'season.Summer': "Summer",
+    'season.Fall': "Fall",
+    'season.Winter': "Winter",
+
+    'period.Midnight': "Midnight",
+    'period.Late Night': "Late Night",
+    'period.Early Morning': "Early Morning",
+    'period.Morning': "Morning",
+    'period.Day': "Day",
+    'period.Evening': "Evening",
+    'period.Night': "Night",
+    'period.any': "any",
+
+    'weather.clear': "Clear Skies",
+    'weather.fog': "Fog",
+    'weather.rain': "Rain",
+    'weather.snow': "Snow",
+    'weather.thunderstorm': "Thunderstorm",
+
+    'holiday.epiphany': "Epiphany",
+    'holiday.easter': "Easter",
+    'holiday.walpurgis': "Walpurgis Night",
+    'holiday.midsummer': "Midsummer",
+    'holiday.halloween': "Halloween",
+    'holiday.allSaints': "All Saints' Day",
+    'holiday.lucia': "Lucia",
+    'holiday.yule': "Yule Season",
+
+    // Labels of the shared modifiers of `MODIFIER_DEFINITIONS`, keyed by type and name.
+    'modifier.bonuses.witchingHour': "Witching Hour",
+    'modifier.bonuses.midnight': "Midnight",
+    'modifier.bonuses.fullMoon': "Full Moon",
+    'modifier.bonuses.yule': "Yule Season",
+    'modifier.bonuses.midsummer': "Midsummer",
+    'modifier.penalties.day': "Daylight",
+    'modifier.penalties.evening': "Evening",
+    'modifier.penalties.earlyMorning': "Early Morning",
+    'modifier.penalties.night': "Night",
+    'modifier.penalties.lateNight': "Late Night",
+    'modifier.events.halloween': "Halloween",
+    'modifier.events.epiphany': "Epiphany",
+    'modifier.events.easter': "Easter",
+    'modifier.events.walpurgis': "Walpurgis Night",
+    'modifier.events.midsummer': "Midsummer",
+    'modifier.events.allSaints': "All Saints' Day",
+    'modifier.events.lucia': "Lucia",
+    'modifier.events.yule': "Yule Season",
+
+    // Names of the habitats of `LOCATION_GROUPS`, keyed by group.
+    'habitat.settlements_urban': "towns and cities",
+    'habitat.settlements_rural': "villages and farms",
+    'habitat.settlements_all': "settlements",
+    'habitat.structures_affluent': "grand buildings",
+    'habitat.structures_abandoned': "abandoned buildings",
+    'habitat.structures_historic': "historic buildings",
+    'habitat.structures_defensive': "fortifications",
+    'habitat.structures_industrial': "industrial buildings",
+    'habitat.structures_mines_quarries': "mines and quarries",
+    'habitat.places_of_worship': "places of worship",
+    'habitat.places_of_seclusion': "places of seclusion",
+    'habitat.places_of_death': "places of death",
+    'habitat.places_sacred_all': "sacred places",
+    'habitat.forests_dense': "dense forests",
+    'habitat.forests_sparse': "sparse forests",
+    'habitat.forests_all': "forests",
+    'habitat.cultivated_land': "cultivated land",
+    'habitat.grasslands': "grasslands",
+    'habitat.mountains_high': "high mountains",
+    'habitat.mountains_low': "hills",
+    'habitat.mountains_all': "mountains and hills",
+    'habitat.underground_natural': "caves",
+    'habitat.canyons_and_gorges': "canyons and gorges",
+    'habitat.rocky_terrain': "rocky terrain",
+    'habitat.deserts_and_barrens': "barren land",
+    'habitat.water_freshwater_large': "lakes",
+    'habitat.water_freshwater_moving': "streams and rivers",
+    'habitat.water_coastal': "coasts",
+    'habitat.water_islands': "islands",
+    'habitat.water_wetlands': "wetlands",
+    'habitat.transport_roads': "roads",
+    'habitat.transport_railways': "railways",
+    'habitat.transport_bridges_tunnels': "bridges and tunnels",
+    'habitat.transport_hubs': "stations and harbours"
+};
\ No newline at end of file
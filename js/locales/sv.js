@@ -0,0 +1,389 @@
+/**
+ * @file /locales/sv.js
+ * @description The Swedish message catalog. Keys missing here fall back to the English catalog.
+ */
+
+export const MESSAGES = {
+    // --- Application ---
+    'app.title': "Svenska Monsterspanaren",
+    'app.titleHint': "Klicka för att visa eller dölja felsökningspanelen",
+    'app.loading': "Letar efter monster...",
+    'app.loadError': "Fel: Kartdata kunde inte laddas. Försök att ladda om sidan.",
+    'app.copied': "✅ Kopierad!",
+
+    // --- Header ---
+    'header.clockLocal': "🏠 Lokal",
+    'header.clockStockholm': "🇸🇪 Stockholm",
+    'header.clockTitle': "Tiderna visas i {timeZone}. Klicka för att byta till {other}.",
+    'header.stockholmTime': "Stockholmstid",
+    'header.localTime': "din lokala tid",
+    'header.dateHint': "Välj ett datum för att se tidigare observationer",
+    'header.share': "🔗 Dela",
+    'header.shareHint': "Kopiera en länk till den aktuella vyn",
+    'header.shareFailed': "Det gick inte att kopiera adressen från adressfältet.",
+    'header.statistics': "📊 Statistik",
+    'header.statisticsHint': "Statistik över en period",
+    'header.export': "⬇️ Exportera",
+    'header.exportHint': "Ladda ned observationerna för GIS-verktyg och GPS-enheter",
+    'header.offline': "Offline",
+    'header.offlineHint': "Ingen anslutning. Observationerna fungerar ändå, men kartan visar bara de kartrutor du har sparat.",
+    'header.offlineManager': "💾 Offline",
+    'header.offlineManagerHint': "Förbered appen och kartan för användning utan anslutning",
+    'header.languageHint': "Byt språk",
+    'header.witchingHour': "Spöktimmen!",
+    'header.fullMoon': "Fullmåne!",
+
+    // Header badges for the holidays, keyed by holiday id.
+    'badge.halloween': "Halloween!",
+    'badge.epiphany': "Trettondedag jul!",
+    'badge.easter': "Påsk!",
+    'badge.walpurgis': "Valborg!",
+    'badge.midsummer': "Midsommar!",
+    'badge.allSaints': "Alla helgons dag!",
+    'badge.lucia': "Lucia!",
+    'badge.yule': "Jultid!",
+
+    // --- Debug Panel ---
+    'debug.multiplier': "Observationsfaktor:",
+    'debug.forceSeason': "Tvinga årstid:",
+    'debug.auto': "Auto",
+    'debug.forceTime': "Tvinga tid:",
+    'debug.forceTimeHint': "Du kan scrolla med mushjulet för att ändra tiden",
+    'debug.forceMoon': "Tvinga månfas:",
+    'debug.forceFullMoon': "Tvinga fullmåne",
+    'debug.forceNotFullMoon': "Tvinga INTE fullmåne",
+    'debug.forceHalloween': "Tvinga halloween:",
+    'debug.forceOn': "Tvinga PÅ",
+    'debug.forceOff': "Tvinga AV",
+    'debug.reset': "Återställ felsökningsinställningar",
+    'debug.showDiagnostics': "Visa datadiagnostik",
+    'debug.editor': "Monsterredigerare",
+
+    // --- Monster Editor ---
+    'editor.select': "Redigera monster:",
+    'editor.newMonster': "➕ Nytt monster",
+    'editor.id': "ID:",
+    'editor.name': "Namn:",
+    'editor.icon': "Ikon:",
+    'editor.chance': "Grundchans:",
+    'editor.habitats': "Livsmiljöer",
+    'editor.seasons': "Årstider",
+    'editor.activeTimes': "Aktiva tider",
+    'editor.bonuses': "Bonusar",
+    'editor.penalties': "Avdrag",
+    'editor.events': "Högtider",
+    'editor.restriction': "Villkor",
+    'editor.weightHint': "Relativ vikt",
+    'editor.overrideHint': "Ersätt det globala värdet",
+    'editor.inlineNote': "{count} inbäddade modifierare behålls som de är; redigera dem i monsters.json.",
+    'editor.export': "Post i monsters.json:",
+    'editor.copy': "📋 Kopiera JSON",
+
+    // --- Monster Filters & Info Panel ---
+    'main.mapToggle': "Visa kartan i helskärm",
+    'panel.title': "Monsterfilter",
+    'panel.visibilityHint': "Visa eller dölj på kartan",
+    'panel.active': "Aktiv:",
+    'panel.activeHint': "När monstret är som mest aktivt",
+    'panel.habitats': "Livsmiljöer:",
+    'panel.habitatsHint': "Föredragna livsmiljöer",
+    'panel.breakdownTitle': "Så räknas chansen ut",
+    'panel.halloween': "🎃 Det är halloween! 🎃",
+    'panel.noRestrictions': "Alla villkor är upphävda!",
+    'panel.impossible': "Omöjlig att se!",
+    'panel.reason': "Orsak: {reason}",
+    'panel.bonusActive': "Aktiv (+{percent}%)",
+    'panel.multiplierActive': "Aktiv (x{value})",
+    'panel.inactive': "Inaktiv (÷2)",
+    'panel.habitatMix': "Livsmiljöer",
+    'panel.topCounties': "Vanligast i län",
+    'panel.spotted': "{count} sedda",
+
+    // Steps of the spotting chance breakdown (see `Monster.calculateSpottingData`).
+    'breakdown.globalMultiplier': "Global faktor",
+    'breakdown.base': "Grundchans",
+    'breakdown.locationDependent': "Beror på platsen",
+    'breakdown.season': "Årstid",
+    'breakdown.time': "Tid",
+    'breakdown.moonlight': "Månsken",
+    'breakdown.moonlit': "{percent}% belyst",
+    'breakdown.weather': "Väder",
+    'breakdown.event': "Högtid",
+    'breakdown.debug': "Felsökningsfaktor",
+    'breakdown.final': "Slutlig chans",
+    'breakdown.requires': "Kräver: {conditions}",
+
+    // Descriptions of conditions (see `services/rules.js`).
+    'condition.and': "och",
+    'condition.or': "eller",
+    'condition.not': "inte {condition}",
+    'condition.no': "Ej {flag}",
+    'condition.unknown': "Okänt villkor \"{key}\"",
+    'flag.fullMoon': "Fullmåne",
+    'flag.moonUp': "Månen på himlen",
+    'flag.dark': "Mörker",
+    'flag.night': "Natt",
+    'flag.witchingHour': "Spöktimmen",
+
+    // --- Spotting Forecast ---
+    'forecast.open': "📅 {days}-dagarsprognos",
+    'forecast.openHint': "Visa när det lönar sig att leta efter monstret de närmaste dagarna",
+    'forecast.title': "{name}: {days}-dagarsprognos",
+    'forecast.next': "Nästa chans: {moment}, {chance}",
+    'forecast.never': "Kan inte ses de närmaste {days} dagarna.",
+    'forecast.best': "Bästa tillfällena",
+    'forecast.expected': "~{count} observationer",
+    'forecast.drivers': "Tack vare: {drivers}",
+    'forecast.calendar': "Chans per dag och tid",
+    'forecast.date': "Datum",
+    'forecast.past': "Redan förbi",
+    'forecast.moment': "{date}, {period} ({time})",
+    'forecast.note': "Varje tidsperiod räknas vid sin topp, i {timeZone}. Förväntade observationer räknas innan villkor som beror på platsen.",
+    'forecast.exportTitle': "Kalenderexport",
+    'forecast.exportWhen': "Fönster där",
+    'forecast.thresholdChance': "chansen (%) är minst",
+    'forecast.thresholdExpected': "förväntade observationer är minst",
+    'forecast.export': "📆 Exportera .ics",
+    'forecast.exportHint': "Ladda ner fönstren som en iCalendar-fil till din kalenderapp",
+    'forecast.exported': "{count} fönster exporterade.",
+    'forecast.noWindows': "Inga fönster når gränsen i den här prognosen.",
+    'forecast.calendarName': "Prognos för {name}",
+    'forecast.windowSummary': "{name}-fönster – {drivers}, {start}–{end}, {chance}",
+    'forecast.windowSummaryPlain': "{name}-fönster, {start}–{end}, {chance}",
+
+    // --- Statistics Dashboard ---
+    'statistics.title': "Observationsstatistik",
+    'statistics.from': "Från",
+    'statistics.to': "till",
+    'statistics.month': "30 dagar",
+    'statistics.year': "1 år",
+    'statistics.period': "vid",
+    'statistics.periodHint': "Varje dag simuleras vid toppen av den här tidsperioden",
+    'statistics.run': "▶ Kör",
+    'statistics.progress': "Simulerar dag {done} av {total}...",
+    'statistics.done': "{count} dagar simulerade.",
+    'statistics.invalidRange': "Välj en period på 1 till {max} dagar.",
+    'statistics.error': "⚠️ Simuleringen misslyckades. Försök igen.",
+    'statistics.recordDay': "Rekorddag: {date}, med {count} observationer.",
+    'statistics.noSightings': "Inga observationer under perioden.",
+    'statistics.viewDay': "Visa dagen på kartan",
+    'statistics.daily': "Observationer per dag",
+    'statistics.monsters': "Totaler och rekord",
+    'statistics.total': "Totalt",
+    'statistics.perDay': "Per dag",
+    'statistics.record': "Rekorddag",
+    'statistics.seasons': "Observationer per dag och årstid",
+    'statistics.days': "{count} dagar",
+    'statistics.counties': "Observationer per län",
+    'statistics.mostSeen': "Vanligast",
+    'statistics.outsideCounties': "Utanför länen",
+
+    // --- Sightings Export ---
+    'export.title': "Exportera observationer",
+    'export.span': "Observationer från",
+    'export.day': "det valda datumet ({date}), som på kartan",
+    'export.range': "ett datumintervall",
+    'export.format': "Format",
+    'export.download': "⬇️ Ladda ned",
+    'export.empty': "Det finns inga observationer att exportera.",
+    'export.done': "{count} observationer exporterade som {format}.",
+    'export.name': "Monsterobservationer {dates}",
+    'export.description': "{name} nära {place}, {date} {time}",
+    'export.note': "GeoJSON och CSV öppnas i QGIS och kalkylprogram, KML i Google Earth och GPX i GPS-enheter. Bara de valda monstren exporteras.",
+    'offline.title': "Användning offline",
+    'offline.ready': "✅ Appen och dess data är sparade på enheten, så observationerna för vilket datum som helst kan beräknas utan anslutning.",
+    'offline.installing': "⏳ Appen sparas på enheten för användning offline…",
+    'offline.unsupported': "Den här webbläsaren kan inte spara appen för användning offline. Det kräver en sida som visas över HTTPS eller från localhost.",
+    'offline.error': "⚠️ Appen kunde inte sparas för användning offline.",
+    'offline.storage': "Lagring",
+    'offline.usage': "Appen använder {used} av de {quota} som webbläsaren tillåter.",
+    'offline.tiles': "{count} kartrutor är sparade.",
+    'offline.clearTiles': "🗑️ Rensa kartrutor",
+    'offline.cleared': "De sparade kartrutorna raderades.",
+    'offline.download': "Ladda ned kartrutor ({name})",
+    'offline.notDownloadable': "Kartrutorna i {name} kan inte laddas ned i förväg, eftersom kartan saknar kartserver eller dess kartserver inte tillåter massnedladdning. Kartrutorna du tittar på sparas ändå.",
+    'offline.area': "Område",
+    'offline.currentView': "Nuvarande kartvy",
+    'offline.zoom': "Zoomnivåer",
+    'offline.estimate': "{count} kartrutor",
+    'offline.tooMany': "{count} kartrutor; högst {max} kan laddas ned åt gången. Välj ett mindre område eller färre zoomnivåer.",
+    'offline.invalidZoom': "Välj zoomnivåer från 0 till {max}, den lägsta först.",
+    'offline.start': "⬇️ Ladda ned",
+    'offline.progress': "{done} / {total} kartrutor",
+    'offline.done': "{downloaded} kartrutor nedladdade, {cached} redan sparade, {failed} misslyckades.",
+    'offline.noConnection': "Anslut till internet för att ladda ned kartrutor.",
+    'offline.note': "Kartrutorna du tittar på sparas också. Kartrutorna laddas ned en i taget så att kartservern inte överbelastas; ladda bara ned de områden du behöver.",
+
+    // --- Monster Packs ---
+    'packs.title': "Monsterpaket",
+    'packs.empty': "Inga paket laddade.",
+    'packs.load': "📦 Ladda paketfil",
+    'packs.loadHint': "Ladda ett monsterpaket från en JSON-fil",
+    'packs.dropHint': "Du kan också släppa paketfiler var som helst på sidan.",
+    'packs.issuesHint': "Visa problemen i det här paketet",
+    'packs.removeHint': "Ta bort det här paketet",
+
+    // --- Data Diagnostics ---
+    'diagnostics.title': "Datadiagnostik",
+    'diagnostics.none': "Inga problem hittades i monsterdatan.",
+    'diagnostics.skipped': "Monster med fel laddades inte.",
+    'diagnostics.fix': "Åtgärda följande i monsterdatan:",
+    'diagnostics.errors': "Fel",
+    'diagnostics.warnings': "Varningar",
+
+    // --- Map ---
+    'map.searchPlaceholder': "Sök platser...",
+    'map.browseRegions': "Bläddra bland områden:",
+    'map.zoomOutHint': "Zooma ut till överordnat område",
+    'map.regionRoot': "┌ Sverige",
+    'map.findNext': "Hitta nästa {name}",
+    'map.timeLapsePlay': "Spela upp dagen som ett tidsförlopp",
+    'map.timeLapseScrub': "Bläddra genom dagen",
+    'map.timeLapseReset': "Visa dagens alla observationer",
+    'map.allDay': "Hela dagen",
+    'map.sighting': "{name} siktad!",
+    'map.individual': "{individual}, en {name}",
+    'map.seenAt': "Sedd: {time}",
+    'map.near': "Nära: {place}",
+    'map.habitat': "Livsmiljö: {habitat}",
+    'map.coords': "Koordinater: {coords}",
+    'map.trail': "Spår: senaste {days} dagarna",
+    'map.choroplethHint': "Färglägg områdena efter observationer i stället för att visa markörer",
+    'map.counties': "Län",
+    'map.municipalities': "Kommuner",
+    'map.metricCount': "Observationer",
+    'map.metricDensity': "Observationer per 1 000 km²",
+    'map.density': "{value} per 1 000 km²",
+    'map.regionsLoading': "Laddar områdenas former...",
+    'map.regionsError': "Områdenas former kunde inte laddas.",
+    'map.basemapHint': "Bakgrundskarta",
+    'map.basemapUnreachable': "Inga kartrutor kunde laddas, så bara Sveriges kontur visas.",
+    'basemap.osm': "OpenStreetMap",
+    'basemap.topo': "Topografisk (OpenTopoMap)",
+    'basemap.dark': "Mörk (CARTO)",
+    'basemap.wms': "OpenStreetMap WMS (terrestris)",
+    'basemap.local': "Lokala kartrutor (PMTiles)",
+    'basemap.outline': "Endast Sveriges kontur",
+    'map.heatmapHint': "Visa en värmekarta över observationerna i stället för markörer",
+    'map.heatmapAllMonsters': "Alla valda monster",
+    'map.heatmapRadius': "Radie",
+    'map.heatmapWeighted': "Vikta efter chans",
+    'map.heatmapDay': "Valt datum",
+    'map.heatmapRange': "Datumintervall",
+    'map.heatmapRun': "Visa",
+    'map.heatmapRangeHint': "Välj första och sista dagen och tryck på Visa.",
+    'map.heatmapDays': "{count} dagar, vid {period}",
+    'map.nearbyHint': "Hitta observationerna nära en plats",
+    'map.nearbyPin': "Sätt ut en nål",
+    'map.nearbyPinHint': "Klicka på kartan för att sätta ut nålen",
+    'map.nearbyLocate': "Använd min position",
+    'map.nearbyLocating': "Hämtar din position...",
+    'map.nearbyLocationError': "Din position är inte tillgänglig.",
+    'map.nearbyClear': "Ta bort nålen",
+    'map.nearbyRadius': "Radie (km)",
+    'map.nearbyStart': "Sätt ut en nål eller använd din position för att lista observationerna runt den.",
+    'map.nearbyCount': "{count} observationer inom {radius} km:",
+    'map.nearbyNone': "Inga observationer inom {radius} km.",
+    'map.nearbyDistance': "{distance} km åt {direction} ({degrees}°)",
+    'map.nearbyDrag': "Dra för att flytta nålen",
+
+    // The compass points that bearings are named by.
+    'compass.N': "N",
+    'compass.NE': "NO",
+    'compass.E': "O",
+    'compass.SE': "SO",
+    'compass.S': "S",
+    'compass.SW': "SV",
+    'compass.W': "V",
+    'compass.NW': "NV",
+
+    // Fallback names of location types (see `getLocationTypeName`).
+    'location.unknown': "Okänd",
+    'location.area': "Område",
+
+    // --- Simulation Vocabulary ---
+    'season.Spring': "Vår",
+    'season.Summer': "Sommar",
+    'season.Fall': "Höst",
+    'season.Winter': "Vinter",
+
+    'period.Midnight': "Midnatt",
+    'period.Late Night': "Sen natt",
+    'period.Early Morning': "Tidig morgon",
+    'period.Morning': "Morgon",
+    'period.Day': "Dag",
+    'period.Evening': "Kväll",
+    'period.Night': "Natt",
+    'period.any': "när som helst",
+
+    'weather.clear': "Klart väder",
+    'weather.fog': "Dimma",
+    'weather.rain': "Regn",
+    'weather.snow': "Snö",
+    'weather.thunderstorm': "Åska",
+
+    'holiday.epiphany': "Trettondedag jul",
+    'holiday.easter': "Påsk",
+    'holiday.walpurgis': "Valborgsmässoafton",
+    'holiday.midsummer': "Midsommar",
+    'holiday.halloween': "Halloween",
+    'holiday.allSaints': "Alla helgons dag",
+    'holiday.lucia': "Lucia",
+    'holiday.yule': "Jultid",
+
+    // Labels of the shared modifiers of `MODIFIER_DEFINITIONS`, keyed by type and name.
+    'modifier.bonuses.witchingHour': "Spöktimmen",
+    'modifier.bonuses.midnight': "Midnatt",
+    'modifier.bonuses.fullMoon': "Fullmåne",
+    'modifier.bonuses.yule': "Jultid",
+    'modifier.bonuses.midsummer': "Midsommar",
+    'modifier.penalties.day': "Dagsljus",
+    'modifier.penalties.evening': "Kväll",
+    'modifier.penalties.earlyMorning': "Tidig morgon",
+    'modifier.penalties.night': "Natt",
+    'modifier.penalties.lateNight': "Sen natt",
+    'modifier.events.halloween': "Halloween",
+    'modifier.events.epiphany': "Trettondedag jul",
+    'modifier.events.easter': "Påsk",
+    'modifier.events.walpurgis': "Valborgsmässoafton",
+    'modifier.events.midsummer': "Midsommar",
+    'modifier.events.allSaints': "Alla helgons dag",
+    'modifier.events.lucia': "Lucia",
+    'modifier.events.yule': "Jultid",
+
+    // Names of the habitats of `LOCATION_GROUPS`, keyed by group.
+    'habitat.settlements_urban': "städer och tätorter",
+    'habitat.settlements_rural': "byar och gårdar",
+    'habitat.settlements_all': "orter",
+    'habitat.structures_affluent': "förnäma byggnader",
+    'habitat.structures_abandoned': "övergivna byggnader",
+    'habitat.structures_historic': "historiska byggnader",
+    'habitat.structures_defensive': "befästningar",
+    'habitat.structures_industrial': "industribyggnader",
+    'habitat.structures_mines_quarries': "gruvor och stenbrott",
+    'habitat.places_of_worship': "kyrkor och helgedomar",
+    'habitat.places_of_seclusion': "avskilda platser",
+    'habitat.places_of_death': "dödens platser",
+    'habitat.places_sacred_all': "heliga platser",
+    'habitat.forests_dense': "täta skogar",
+    'habitat.forests_sparse': "glesa skogar",
+    'habitat.forests_all': "skogar",
+    'habitat.cultivated_land': "odlad mark",
+    'habitat.grasslands': "gräsmarker",
+    'habitat.mountains_high': "fjäll",
+    'habitat.mountains_low': "kullar",
+    'habitat.mountains_all': "berg och kullar",
+    'habitat.underground_natural': "grottor",
+    'habitat.canyons_and_gorges': "raviner och klyftor",
+    'habitat.rocky_terrain': "klippig terräng",
+    'habitat.deserts_and_barrens': "karg mark",
+    'habitat.water_freshwater_large': "sjöar",
+    'habitat.water_freshwater_moving': "bäckar och älvar",
+    'habitat.water_coastal': "kuster",
+    'habitat.water_islands': "öar",
+    'habitat.water_wetlands': "våtmarker",
+    'habitat.transport_roads': "vägar",
+    'habitat.transport_railways': "järnvägar",
+    'habitat.transport_bridges_tunnels': "broar och tunnlar",
+    'habitat.transport_hubs': "stationer och hamnar"
+};
\ No newline at end of file
@@ -3,9 +3,13 @@
  * @description Defines the Monster class, the core entity for all monster-related logic.
  */
 
-import { debugState } from './state.js';
+import { appState, debugState } from './state.js';
 import { GLOBAL_MODIFIERS, MODIFIER_DEFINITIONS } from './config.js';
-import { isHalloween, getCurrentSeason, getTimeMultiplier, getCurrentPeriodName, isFullMoon, isDark, isNight } from './services/time.js';
+import { isHalloween, getCurrentSeason, getTimeMultiplier, getCurrentPeriodName, getMoonlight } from './services/time.js';
+import { evaluateCondition } from './services/rules.js';
+import { getWeatherAt, getWeatherMix } from './services/weather.js';
+import { withSimulationMoment } from './services/clock.js';
+import { t, getLocale } from './services/i18n.js';
 
 /**
  * Represents a single type of monster, containing all its properties and
@@ -24,48 +28,125 @@ export class Monster {
         this.state = { isEnabled: true };
     }
 
+    /**
+     * Replaces the monster's definition with new data, keeping its user-modified state.
+     * Used by the monster editor to apply a draft to the instance that is already on the map.
+     * @param {object} monsterData - The new raw monster data, in the format of monsters.json.
+     */
+    applyDefinition(monsterData) {
+        Object.keys(this).filter(key => key !== 'state').forEach(key => delete this[key]);
+        Object.assign(this, monsterData);
+    }
+
+    /**
+     * Returns the monster's definition in the format of monsters.json, without its runtime state.
+     * @returns {object}
+     */
+    toDefinition() {
+        const { state, ...monsterData } = this;
+        return structuredClone(monsterData);
+    }
+
+    /**
+     * Gets the monster's name in the active locale. A monster can translate its name and lore
+     * with a `translations` table keyed by locale, e.g. `{ "sv": { "name": "Vampyr" } }`;
+     * `name` and `lore` themselves are in English.
+     * @returns {string}
+     */
+    getName() {
+        return this.translations?.[getLocale()]?.name ?? this.name;
+    }
+
+    /**
+     * Gets the monster's lore, a short piece of folklore about it, in the active locale.
+     * @returns {string} The lore, or an empty string if the monster has none.
+     */
+    getLore() {
+        return this.translations?.[getLocale()]?.lore ?? this.lore ?? '';
+    }
+
     /**
      * The core calculation logic for a single monster. It determines the final
-     * spotting chance and generates a structured, pure-data breakdown of the calculation.
-     * @returns {{chance: number, event: (string|null), breakdown: Array<object>}} An object containing the final chance, an optional event, and a breakdown array.
+     * spotting chance and generates a structured, pure-data breakdown of the calculation,
+     * whose labels are in the active locale. Every multiplier step also has a stable `id` naming its
+     * factor ('halloween', 'season', 'time', 'moonlight', 'weather', 'event' or 'debug'). `restricted` tells the simulation engine to check the
+     * restriction again at the place and time of every sighting (see `isPossibleAt`).
+     * @returns {{chance: number, event: (string|null), restricted: boolean, breakdown: Array<object>}} An object
+     * containing the final chance, an optional event, whether the restriction applies, and a breakdown array.
      */
     calculateSpottingData() {
         const breakdown = [];
         let chance = this.spottingChance;
         let event = null;
+        let restricted = false;
 
         if (isHalloween()) {
             const multiplier = GLOBAL_MODIFIERS.events.halloween;
             chance *= multiplier;
             event = 'halloween';
-            breakdown.push({ type: 'multiplier', label: "Global Multiplier", value: multiplier });
+            breakdown.push({ type: 'multiplier', id: 'halloween', label: t('breakdown.globalMultiplier'), subLabel: t('holiday.halloween'), value: multiplier });
         } else {
             const restriction = this._checkRestrictions();
             if (!restriction.met) {
                 return {
                     chance: 0,
                     event: null,
+                    restricted: false,
                     breakdown: [{ type: 'impossible', reason: restriction.reason }]
                 };
             }
             
-            breakdown.push({ type: 'base', label: "Base Chance", value: this.spottingChance });
+            breakdown.push({ type: 'base', label: t('breakdown.base'), value: this.spottingChance });
+
+            // The restriction holds now, but may not at the place and time of every sighting.
+            restricted = Boolean(this.restriction);
+            if (restriction.perLocation) {
+                breakdown.push({ type: 'restriction', label: t('breakdown.locationDependent'), reason: restriction.reason });
+            }
 
             const currentSeason = getCurrentSeason();
             if (!this.activeSeasons.includes(currentSeason)) {
                 chance /= 2;
-                breakdown.push({ type: 'multiplier', label: "Season", subLabel: currentSeason, value: 0.5 });
+                breakdown.push({ type: 'multiplier', id: 'season', label: t('breakdown.season'), subLabel: t(`season.${currentSeason}`), value: 0.5 });
             }
 
             const timeMultiplier = getTimeMultiplier(this.activeTime);
             if (timeMultiplier !== 1.0) {
                 chance *= timeMultiplier;
-                breakdown.push({ type: 'multiplier', label: "Time", subLabel: getCurrentPeriodName(), value: timeMultiplier });
+                breakdown.push({ type: 'multiplier', id: 'time', label: t('breakdown.time'), subLabel: t(`period.${getCurrentPeriodName()}`), value: timeMultiplier });
+            }
+
+            // `moonStrength` is the multiplier at a fully lit moon, scaled down linearly to 1.0 at new moon.
+            if (this.moonStrength !== undefined) {
+                const moonlight = getMoonlight();
+                const moonMultiplier = 1 + (this.moonStrength - 1) * moonlight;
+                if (moonMultiplier !== 1.0) {
+                    chance *= moonMultiplier;
+                    breakdown.push({ type: 'multiplier', id: 'moonlight', label: t('breakdown.moonlight'), subLabel: t('breakdown.moonlit', { percent: Math.round(moonlight * 100) }), value: moonMultiplier });
+                }
+            }
+
+            // The weather differs per county, so the nationwide chance uses the average weather
+            // multiplier. Sightings are then placed according to `getRegionalMultiplier`.
+            if (this.weather) {
+                const weatherMix = getWeatherMix();
+                const countyCount = Object.values(weatherMix).reduce((sum, n) => sum + n, 0);
+                const weatherMultiplier = Object.entries(weatherMix)
+                    .reduce((sum, [weatherId, n]) => sum + n * (this.weather[weatherId] ?? 1), 0) / countyCount;
+
+                if (weatherMultiplier !== 1.0) {
+                    chance *= weatherMultiplier;
+                    const subLabel = Object.keys(this.weather)
+                        .filter(weatherId => weatherMix[weatherId] > 0)
+                        .map(weatherId => `${t(`weather.${weatherId}`)} ${weatherMix[weatherId]}/${countyCount}`)
+                        .join(', ');
+                    breakdown.push({ type: 'multiplier', id: 'weather', label: t('breakdown.weather'), subLabel, value: weatherMultiplier });
+                }
             }
 
             if (this.bonuses) {
-                this.bonuses.forEach(bonusName => {
-                    const bonusInfo = this._evaluateModifier(bonusName, 'bonuses');
+                this.bonuses.forEach(bonus => {
+                    const bonusInfo = this._evaluateModifier(bonus, 'bonuses');
                     if (bonusInfo.active) {
                         chance += bonusInfo.value;
                         breakdown.push({ type: 'bonus', label: bonusInfo.label, value: bonusInfo.value });
@@ -74,62 +155,129 @@ export class Monster {
             }
 
             if (this.penalties) {
-                this.penalties.forEach(penaltyName => {
-                    const penaltyInfo = this._evaluateModifier(penaltyName, 'penalties');
+                this.penalties.forEach(penalty => {
+                    const penaltyInfo = this._evaluateModifier(penalty, 'penalties');
                     if (penaltyInfo.active) {
                         chance *= penaltyInfo.value;
                         breakdown.push({ type: 'penalty', label: penaltyInfo.label, value: penaltyInfo.value });
                     }
                 });
             }
+
+            if (this.events) {
+                this.events.forEach(eventName => {
+                    const eventInfo = this._evaluateModifier(eventName, 'events');
+                    if (eventInfo.active) {
+                        chance *= eventInfo.value;
+                        breakdown.push({ type: 'multiplier', id: 'event', label: t('breakdown.event'), subLabel: eventInfo.label, value: eventInfo.value });
+                    }
+                });
+            }
         }
 
         if (debugState.multiplier !== 1) {
             chance *= debugState.multiplier;
-            breakdown.push({ type: 'multiplier', label: "Debug Multiplier", value: debugState.multiplier });
+            breakdown.push({ type: 'multiplier', id: 'debug', label: t('breakdown.debug'), value: debugState.multiplier });
         }
 
         const finalChance = Math.max(0, Math.min(chance, 1));
         
-        breakdown.unshift({ type: 'final', label: "Final Chance", value: finalChance });
+        breakdown.unshift({ type: 'final', label: t('breakdown.final'), value: finalChance });
+
+        return { chance: finalChance, event, restricted, breakdown };
+    }
+
+    /**
+     * Checks whether the monster can be spotted at a specific place and time of the current date,
+     * i.e. whether its restriction holds then and there. Used to place and time sightings, as
+     * conditions such as darkness vary with both latitude and the time of day.
+     * @param {{latitude: number, longitude: number}} location - The candidate sighting location.
+     * @param {number} [minute] - The wall-clock time of the sighting, as minutes past midnight.
+     * Defaults to the simulation instant.
+     * @returns {boolean}
+     */
+    isPossibleAt(location, minute) {
+        const check = () => evaluateCondition(this.restriction, { location }).met;
+        return minute === undefined ? check() : withSimulationMoment(appState.currentDate, minute, check);
+    }
+
+    /**
+     * Lists the monster's habitats with their relative weights. `locations` is either an array of
+     * habitat ids, which are all equally preferred, or an object mapping habitat ids to weights
+     * (e.g., `{ "places_of_death": 5, "settlements_urban": 1 }`).
+     * @returns {Array<{id: string, weight: number}>}
+     */
+    getHabitatWeights() {
+        if (Array.isArray(this.locations)) {
+            return this.locations.map(id => ({ id, weight: 1 }));
+        }
+        return Object.entries(this.locations || {}).map(([id, weight]) => ({ id, weight }));
+    }
+
+    /**
+     * Gets how common the monster is in a county, from its `regions` table keyed by ADM1 code
+     * (e.g., `{ "14": 3.0 }` for a creature that thrives in Norrbotten).
+     * Counties that are not listed, and places outside any county, have the normal abundance of 1.
+     * @param {string} [admin1] - The ADM1 code of the county.
+     * @returns {number}
+     */
+    getAbundance(admin1) {
+        return this.regions?.[admin1] ?? 1;
+    }
 
-        return { chance: finalChance, event, breakdown };
+    /**
+     * Calculates the combined multiplier of all regional factors at a location, i.e. how much
+     * more (or less) likely the monster is to be spotted there than its nationwide chance
+     * implies. This is the monster's abundance in the county multiplied by its `weather`
+     * multiplier for the county's weather.
+     * @param {{admin1?: string}} location - A location object, or an empty object for "no county".
+     * @returns {number}
+     */
+    getRegionalMultiplier(location) {
+        const weatherMultiplier = this.weather?.[getWeatherAt(location)] ?? 1;
+        return weatherMultiplier * this.getAbundance(location?.admin1);
     }
 
     /**
-     * Checks if all of the monster's hard restrictions (e.g., requires full moon) are met.
+     * Checks if the monster's hard restriction condition (e.g., requires full moon) can be met
+     * anywhere in the country. The restriction is written in the declarative condition language
+     * of `services/rules.js`.
      * @private
-     * @returns {{met: boolean, reason?: string}} An object indicating if restrictions are met and why not.
+     * @returns {{met: boolean, perLocation?: boolean, reason?: string}} An object indicating if restrictions
+     * can be met, whether that depends on the sighting location, and which clauses are not met everywhere.
      */
     _checkRestrictions() {
         if (!this.restriction) return { met: true };
 
-        const failed = [];
-        const r = this.restriction;
+        const { met, possible, perLocation, failed } = evaluateCondition(this.restriction);
+        const reason = t('breakdown.requires', { conditions: failed.join(', ') });
 
-        if (r.requiresFullMoon && !isFullMoon()) failed.push('Full Moon');
-        if (r.requiresDark && !isDark()) failed.push('Darkness');
-        if (r.requiresNight && !isNight()) failed.push('Night');
-        
-        return failed.length
-            ? { met: false, reason: `Requires: ${failed.join(', ')}` }
-            : { met: true };
+        if (!possible) return { met: false, reason };
+        return met ? { met: true } : { met: true, perLocation, reason };
     }
 
     /**
-     * Evaluates a single named modifier (a bonus or penalty) to see if its
-     * condition is met and returns its active state, value, and label.
+     * Evaluates a single modifier (a bonus, penalty or event) to see if its condition
+     * is met and returns its active state, value, and label.
+     * A modifier is either the name of a shared entry in `MODIFIER_DEFINITIONS`
+     * or an inline definition of the form `{ label, value, condition }`.
      * @private
-     * @param {string} modifierName - The name of the modifier (e.g., 'fullMoon').
-     * @param {'bonuses'|'penalties'} type - The type of modifier to evaluate.
+     * @param {string|object} modifier - The modifier name (e.g., 'fullMoon') or an inline definition.
+     * @param {'bonuses'|'penalties'|'events'} type - The type of modifier to evaluate.
      * @returns {{active: boolean, value?: number, label?: string}}
      */
-    _evaluateModifier(modifierName, type) {
-        const definition = MODIFIER_DEFINITIONS[type]?.[modifierName];
+    _evaluateModifier(modifier, type) {
+        if (typeof modifier === 'object') {
+            return evaluateCondition(modifier.condition).met
+                ? { active: true, value: modifier.value, label: modifier.label }
+                : { active: false };
+        }
+
+        const definition = MODIFIER_DEFINITIONS[type]?.[modifier];
 
-        if (definition && definition.condition()) {
-            const value = this.overrides?.[type]?.[modifierName] || GLOBAL_MODIFIERS[type][modifierName];
-            return { active: true, value, label: definition.label };
+        if (definition && evaluateCondition(definition.condition).met) {
+            const value = this.overrides?.[type]?.[modifier] || GLOBAL_MODIFIERS[type][modifier];
+            return { active: true, value, label: t(`modifier.${type}.${modifier}`) };
         }
         return { active: false };
     }
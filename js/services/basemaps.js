@@ -0,0 +1,62 @@
+/**
+ * @file basemaps.js
+ * @description The basemaps of the map (see `BASEMAPS` in `config.js`): looking up the chosen one,
+ * building the URLs of its tiles, and loading the bundled outline of Sweden, which is drawn when
+ * no tiles can be loaded.
+ */
+
+import { appState } from '../state.js';
+import { BASEMAPS, DEFAULT_BASEMAP } from '../config.js';
+
+// The bundled outline of Sweden.
+const OUTLINE_FILE = 'data/sweden_outline.geojson';
+
+/**
+ * Checks whether a basemap id is in the registry.
+ * @param {string} id - The basemap id.
+ * @returns {boolean}
+ */
+export function isBasemap(id) {
+    return Object.hasOwn(BASEMAPS, id);
+}
+
+/**
+ * Gets a basemap from the registry.
+ * @param {string} [id=appState.basemap.id] - The basemap id; the chosen basemap by default.
+ * @returns {object} The basemap, or the default basemap if the id is unknown.
+ */
+export function getBasemap(id = appState.basemap.id) {
+    return BASEMAPS[isBasemap(id) ? id : DEFAULT_BASEMAP];
+}
+
+/**
+ * Gets the URL of a tile of an 'xyz' basemap. The subdomain is picked the way Leaflet picks it, so
+ * the URL is the same as when the tile is viewed on the map.
+ * @param {object} basemap - The basemap.
+ * @param {number} x - The tile column.
+ * @param {number} y - The tile row.
+ * @param {number} z - The zoom level.
+ * @returns {string}
+ */
+export function getTileUrl(basemap, x, y, z) {
+    const subdomains = basemap.subdomains ?? 'abc';
+    const values = { x, y, z, s: subdomains[Math.abs(x + y) % subdomains.length] };
+    return basemap.url.replace(/\{([xyzs])\}/g, (_, key) => values[key]);
+}
+
+/**
+ * Loads the outline of Sweden, or gets it from the app state once loaded.
+ * @returns {Promise<object>} The GeoJSON FeatureCollection.
+ */
+export function loadSwedenOutline() {
+    appState.basemap.outlineShape ??= fetch(OUTLINE_FILE)
+        .then(response => {
+            if (!response.ok) throw new Error(`Could not load ${OUTLINE_FILE} (HTTP ${response.status}).`);
+            return response.json();
+        })
+        .catch(error => {
+            appState.basemap.outlineShape = null; // Try again next time
+            throw error;
+        });
+    return appState.basemap.outlineShape;
+}
\ No newline at end of file
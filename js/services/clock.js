@@ -0,0 +1,169 @@
+/**
+ * @file clock.js
+ * @description The simulation clock. It resolves the one instant at which every time-of-day rule
+ * is evaluated: the universal application date combined with a wall-clock time in the simulation
+ * time zone. By default that zone is Europe/Stockholm, so a viewer in New York sees the same
+ * Midnight as a viewer in Stockholm. An optional mode uses the viewer's own time zone instead.
+ * Daylight saving time is handled by the browser's `Intl` time zone database.
+ */
+
+import { appState, debugState } from '../state.js';
+import { SIMULATION_TIME_ZONE } from '../config.js';
+
+/**
+ * Gets the time zone the simulation clock runs in.
+ * @returns {string} An IANA time zone name (e.g., 'Europe/Stockholm').
+ */
+export const getSimulationTimeZone = () => appState.useLocalTime
+    ? Intl.DateTimeFormat().resolvedOptions().timeZone
+    : SIMULATION_TIME_ZONE;
+
+// The formatters that split instants into their components, one per time zone. Creating a
+// formatter is slow, and sightings are checked at their own time of day one by one.
+const zonedFormatters = new Map();
+
+/**
+ * Splits an instant into its calendar and wall-clock components in a time zone.
+ * @param {Date} date - The instant to split.
+ * @param {string} [timeZone] - The IANA time zone. Defaults to the simulation time zone.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ * The components, with a 1-indexed month and a 0-23 hour.
+ */
+export function getZonedParts(date, timeZone = getSimulationTimeZone()) {
+    if (!zonedFormatters.has(timeZone)) {
+        zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+    const formatter = zonedFormatters.get(timeZone);
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/**
+ * Converts a wall-clock time in a time zone to the instant it denotes. On the night the clocks
+ * go back, an ambiguous time resolves to one of its two instants; on the night they go forward,
+ * a skipped time is shifted by the size of the jump.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number, second?: number}} wallTime -
+ * The wall-clock time, with a 1-indexed month.
+ * @param {string} [timeZone] - The IANA time zone. Defaults to the simulation time zone.
+ * @returns {Date}
+ */
+export function zonedTimeToInstant({ year, month, day, hour, minute, second = 0 }, timeZone = getSimulationTimeZone()) {
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    let instant = wallClockAsUtc;
+    // The zone's offset depends on the instant itself, so refine the guess until it is stable.
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedParts(new Date(instant), timeZone);
+        const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(instant / 1000) * 1000;
+        instant = wallClockAsUtc - offset;
+    }
+    return new Date(instant);
+}
+
+/**
+ * Gets today's calendar date in the simulation time zone, as a UTC-midnight application date.
+ * @returns {Date}
+ */
+export function getZonedToday() {
+    const { year, month, day } = getZonedParts(new Date());
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Builds a key that changes whenever the inputs of the simulation instant change, other than
+ * the passing of real time.
+ * @returns {string}
+ */
+const getClockKey = () => `${appState.currentDate.toISOString().slice(0, 10)}|${debugState.forceTime}|${getSimulationTimeZone()}`;
+
+/**
+ * Resolves the simulation instant from the application date and the wall-clock time in the
+ * simulation time zone (or the forced debug time), and stores it in the app state.
+ * Call this once per redraw or clock tick, so that everything drawn in that pass
+ * (time periods, the witching hour, the header clock) shares the same instant.
+ * @returns {Date} The resolved simulation instant.
+ */
+export function resolveSimulationTime() {
+    const timeZone = getSimulationTimeZone();
+    let hour, minute, second = 0;
+    if (debugState.forceTime) {
+        [hour, minute] = debugState.forceTime.split(':').map(Number);
+    } else {
+        ({ hour, minute, second } = getZonedParts(new Date(), timeZone));
+    }
+
+    const date = appState.currentDate;
+    const instant = zonedTimeToInstant({
+        year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour, minute, second
+    }, timeZone);
+
+    appState.clock = { key: getClockKey(), instant, minutes: hour * 60 + minute };
+    return instant;
+}
+
+/**
+ * Gets the last resolved simulation instant. It is resolved again if the date, the forced
+ * time or the time zone have changed since.
+ * @returns {Date}
+ */
+export function getSimulationTime() {
+    if (appState.clock.key !== getClockKey()) resolveSimulationTime();
+    return new Date(appState.clock.instant);
+}
+
+/**
+ * Gets the wall-clock time of the simulation instant, as minutes past midnight.
+ * @returns {number} Minutes past midnight (0-1439).
+ */
+export function getSimulationMinutes() {
+    if (appState.clock.key !== getClockKey()) resolveSimulationTime();
+    return appState.clock.minutes;
+}
+
+/**
+ * Converts a minute of an application date into the instant it denotes in the simulation time zone.
+ * @param {number} minutes - Minutes past midnight (0-1439).
+ * @param {Date} [date=appState.currentDate] - The UTC-midnight application date.
+ * @returns {Date}
+ */
+export function getInstantOfDay(minutes, date = appState.currentDate) {
+    return zonedTimeToInstant({
+        year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+        hour: Math.floor(minutes / 60), minute: minutes % 60
+    });
+}
+
+/**
+ * Runs a function as if the simulation clock stood at another moment, then puts the clock back.
+ * The application date and the forced time are swapped in for the duration of the call, and the
+ * caches derived from them (the resolved instant and the day's weather) are restored afterwards,
+ * so the rules engine can be evaluated at any moment without the rest of the application noticing.
+ * The other debug overrides (season, full moon, Halloween) stay in effect.
+ * @param {Date} date - The UTC-midnight application date to evaluate on.
+ * @param {number} minutes - The wall-clock time in the simulation time zone, as minutes past midnight.
+ * @param {function} evaluate - The function to run at that moment.
+ * @returns {*} Whatever `evaluate` returns.
+ */
+export function withSimulationMoment(date, minutes, evaluate) {
+    const { currentDate, clock, weather } = appState;
+    const { forceTime } = debugState;
+
+    appState.currentDate = date;
+    debugState.forceTime = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    try {
+        resolveSimulationTime();
+        return evaluate();
+    } finally {
+        appState.currentDate = currentDate;
+        appState.clock = clock;
+        appState.weather = weather;
+        debugState.forceTime = forceTime;
+    }
+}
\ No newline at end of file
@@ -4,39 +4,43 @@
  */
 
 import { appState } from '../state.js';
+import { Monster } from '../monster.js';
+import { validateMonsters, reportIssues } from './validator.js';
+import { t, SUPPORTED_LOCALES } from './i18n.js';
 
 /**
- * Fetches all necessary JSON data files in parallel.
+ * Fetches all necessary JSON data files in parallel, including the feature code names
+ * of every supported locale (`featureCodes_<locale>.json`).
  * @returns {Promise<object|null>} A promise that resolves to an object containing the loaded data, or null on failure.
  */
 export async function loadAllData() {
     try {
-        const [locations, featureCodes, monsterData] = await Promise.all([
+        const locales = Object.keys(SUPPORTED_LOCALES);
+        const [locations, monsterData, ...featureCodeFiles] = await Promise.all([
             fetch('data/locations_se.json').then(res => res.json()),
-            fetch('data/featureCodes_sv.json').then(res => res.json()),
-            fetch('data/monsters.json').then(res => res.json())
+            fetch('data/monsters.json').then(res => res.json()),
+            ...locales.map(locale => fetch(`data/featureCodes_${locale}.json`).then(res => res.json()))
         ]);
+        const featureCodes = Object.fromEntries(locales.map((locale, index) => [locale, featureCodeFiles[index]]));
         return { locations, featureCodes, monsters: monsterData };
     } catch (error) {
         console.error("Failed to load application data:", error);
         // This is an initialization-critical error. Direct DOM manipulation is acceptable here.
         const loadingText = document.querySelector('#loading-indicator p');
         if (loadingText) {
-            loadingText.textContent = "Error: Could not load map data. Please try refreshing the page.";
+            loadingText.textContent = t('app.loadError');
         }
         return null;
     }
 }
 
 /**
- * Processes the raw loaded data and populates the application state with
- * structured Maps and arrays for efficient lookups.
+ * Indexes the raw locations into the application state: the list of all locations, the lookups
+ * by GeoNames id, feature code and feature class, and the ADM1 counties. The simulation worker
+ * (see `simulationWorker.js`) indexes its own copy of the locations with it.
  * @param {Array<object>} locations - The raw location data from locations_se.json.
- * @param {object} featureCodes - The raw feature code data from featureCodes_sv.json.
  */
-export function processLoadedData(locations, featureCodes) {
-    appState.featureCodeMap = new Map(Object.entries(featureCodes));
-
+export function indexLocations(locations) {
     appState.allLocations = locations.map(loc => ({
         ...loc,
         fullFeatureCode: `${loc.featureClass}.${loc.featureCode}`
@@ -58,4 +62,29 @@ export function processLoadedData(locations, featureCodes) {
     });
 
     appState.adminHierarchy.adm1 = appState.locationsByFeatureCode.get('A.ADM1') || [];
+}
+
+/**
+ * Processes the raw loaded data and populates the application state with
+ * structured Maps and arrays for efficient lookups. The monster definitions are validated
+ * against the loaded data last; monsters with errors are left out, and every issue found
+ * is stored in `appState.diagnostics` and logged to the console.
+ * @param {Array<object>} locations - The raw location data from locations_se.json.
+ * @param {object} featureCodes - The raw feature code data keyed by locale, from featureCodes_<locale>.json.
+ * All files list the same codes; only their names and descriptions differ.
+ * @param {Array<object>} [monsterData] - The raw monster definitions from monsters.json.
+ */
+export function processLoadedData(locations, featureCodes, monsterData = []) {
+    appState.featureCodeMaps = new Map(Object.entries(featureCodes)
+        .map(([locale, codes]) => [locale, new Map(Object.entries(codes))]));
+    // The English map is used to look up codes, and for names missing from the active locale.
+    appState.featureCodeMap = appState.featureCodeMaps.get('en');
+
+    indexLocations(locations);
+    appState.searchIndex = null; // Rebuilt from the new locations on the next search
+
+    const { valid, issues } = validateMonsters(monsterData);
+    appState.monsters = valid.map(data => new Monster(data));
+    appState.diagnostics = [];
+    reportIssues(issues);
 }
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * @file forecast.js
+ * @description The spotting forecast. Runs the rules engine for every time period of the coming
+ * days, by evaluating `Monster.calculateSpottingData` with the simulation clock moved to each
+ * moment (see `withSimulationMoment`), and summarises when a monster is worth looking for:
+ * the best dates and hours, the conditions behind them, and the number of sightings to expect.
+ * The application state is left exactly as it was found.
+ */
+
+import { appState } from '../state.js';
+import { TIME_PERIODS } from '../config.js';
+import { getSimulationMinutes, withSimulationMoment, getInstantOfDay } from './clock.js';
+import { getExpectedSightings } from './spottingCalculator.js';
+
+// How many days ahead the forecast looks, including the selected date.
+export const FORECAST_DAYS = 30;
+
+// How many of the best moments to list.
+const BEST_SLOT_COUNT = 5;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Lists the conditions that raised a monster's chance at a moment: the bonuses, and the
+ * multipliers above 1 (e.g., moonlight, weather or an event). The time of day is left out,
+ * as every forecast slot is already named after its time period.
+ * @param {Array<object>} breakdown - The breakdown of `Monster.calculateSpottingData`.
+ * @returns {Array<string>} The labels of the conditions, in the order of the breakdown.
+ */
+function getDrivers(breakdown) {
+    return breakdown
+        .filter(step => step.type === 'bonus' || (step.type === 'multiplier' && step.value > 1 && step.id !== 'time'))
+        .map(step => step.subLabel ? `${step.label} (${step.subLabel})` : step.label);
+}
+
+/**
+ * Evaluates a monster at the peak of one time period on one date. Must be called with the
+ * simulation clock at that moment.
+ * @param {Monster} monster - The monster instance.
+ * @param {Date} date - The application date.
+ * @param {string} period - The name of the time period.
+ * @param {boolean} past - Whether the period is already over at the current simulation time.
+ * @returns {{date: Date, period: string, minutes: number, past: boolean, chance: number,
+ * expected: number, drivers: Array<string>, reason: (string|null), event: (string|null)}}
+ */
+function evaluateSlot(monster, date, period, past) {
+    const { chance, event, breakdown } = monster.calculateSpottingData();
+    const impossibleStep = breakdown.find(step => step.type === 'impossible');
+    const restrictionStep = breakdown.find(step => step.type === 'restriction');
+    return {
+        date,
+        period,
+        minutes: TIME_PERIODS[period].peak,
+        past,
+        chance,
+        expected: getExpectedSightings(monster, chance),
+        drivers: getDrivers(breakdown),
+        reason: impossibleStep?.reason ?? restrictionStep?.reason ?? null,
+        event
+    };
+}
+
+/**
+ * Builds the spotting forecast of a monster, starting on the selected date. Every time period
+ * is sampled at its peak minute. Periods of the first day that are already over at the current
+ * simulation time are included for completeness, but are never picked as a best or next moment.
+ * @param {Monster} monster - The monster instance.
+ * @param {number} [dayCount=FORECAST_DAYS] - How many days to forecast.
+ * @returns {{days: Array<{date: Date, slots: Array<object>, best: (object|null)}>, best: Array<object>, next: (object|null)}}
+ * The slots of every day (see `evaluateSlot`) with each day's best slot, the best upcoming slots
+ * overall, and the first upcoming slot in which the monster can be spotted at all.
+ */
+export function forecastMonster(monster, dayCount = FORECAST_DAYS) {
+    const startDate = appState.currentDate;
+    const nowMinutes = getSimulationMinutes();
+
+    const days = [];
+    for (let dayIndex = 0; dayIndex < dayCount; dayIndex++) {
+        const date = new Date(startDate.getTime() + dayIndex * MS_PER_DAY);
+        const slots = Object.keys(TIME_PERIODS).map(period => {
+            const past = dayIndex === 0 && TIME_PERIODS[period].end < nowMinutes;
+            return withSimulationMoment(date, TIME_PERIODS[period].peak, () => evaluateSlot(monster, date, period, past));
+        });
+        const upcoming = slots.filter(slot => !slot.past && slot.chance > 0);
+        const best = upcoming.reduce((top, slot) => (!top || slot.chance > top.chance) ? slot : top, null);
+        days.push({ date, slots, best });
+    }
+
+    const upcoming = days.flatMap(day => day.slots).filter(slot => !slot.past && slot.chance > 0);
+    return {
+        days,
+        best: [...upcoming].sort((a, b) => b.chance - a.chance).slice(0, BEST_SLOT_COUNT),
+        next: upcoming[0] ?? null
+    };
+}
+
+/**
+ * Finds the windows of a forecast worth going out for: runs of back-to-back upcoming time periods
+ * in which the monster's chance and expected sightings reach the given thresholds. A window can
+ * run past midnight into the next day (e.g., from Night into Midnight and Late Night).
+ * @param {object} forecast - A forecast built by `forecastMonster`.
+ * @param {{minChance?: number, minExpected?: number}} [thresholds={}] - The lowest chance (0-1)
+ * and the lowest number of expected sightings a time period must have to be part of a window.
+ * @returns {Array<{slots: Array<object>, start: Date, end: Date, startMinutes: number, endMinutes: number,
+ * chance: number, expected: number, drivers: Array<string>}>} The windows in chronological order, with
+ * the instants they start and end, the wall-clock minutes of their first and last minute, their
+ * highest chance and expected sightings, and every condition that drives any of their periods.
+ */
+export function findForecastWindows(forecast, { minChance = 0, minExpected = 0 } = {}) {
+    const qualifies = slot => !slot.past && slot.chance > 0 && slot.chance >= minChance && slot.expected >= minExpected;
+
+    const runs = [];
+    let run = null;
+    forecast.days.flatMap(day => day.slots).forEach(slot => {
+        if (!qualifies(slot)) {
+            run = null;
+            return;
+        }
+        if (!run) runs.push(run = []);
+        run.push(slot);
+    });
+
+    return runs.map(slots => {
+        const first = slots[0];
+        const last = slots[slots.length - 1];
+        const startMinutes = TIME_PERIODS[first.period].start;
+        const endMinutes = TIME_PERIODS[last.period].end;
+        return {
+            slots,
+            start: getInstantOfDay(startMinutes, first.date),
+            end: new Date(getInstantOfDay(endMinutes, last.date).getTime() + MS_PER_MINUTE),
+            startMinutes,
+            endMinutes,
+            chance: Math.max(...slots.map(slot => slot.chance)),
+            expected: Math.max(...slots.map(slot => slot.expected)),
+            drivers: [...new Set(slots.flatMap(slot => slot.drivers))]
+        };
+    });
+}
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * @file habitats.js
+ * @description Resolves the weighted habitats of a monster into the location pools they cover,
+ * and picks random locations from them. Shared by the spotting calculator and the individuals mode.
+ */
+
+import { appState } from '../state.js';
+import { LOCATION_GROUPS } from '../config.js';
+
+/**
+ * Finds the location pools covered by a single habitat.
+ * A habitat is a `LOCATION_GROUPS` key, a specific feature code (e.g., 'S.OPRA') or a
+ * general feature class (e.g., 'T'). The pools are kept as references to the existing
+ * lookup arrays rather than being copied. Empty pools are left out.
+ * @param {string} habitatId - The habitat id.
+ * @returns {Array<Array<object>>}
+ */
+export function getHabitatPools(habitatId) {
+    const codes = new Set(LOCATION_GROUPS[habitatId] || [habitatId]);
+    return [...codes]
+        .map(code => code.includes('.') // Specific code like 'P.PPL', or general class like 'T'
+            ? appState.locationsByFeatureCode.get(code)
+            : appState.locationsByFeatureClass.get(code))
+        .filter(pool => pool && pool.length > 0);
+}
+
+/**
+ * Resolves a monster's weighted habitats into the location pools they cover
+ * (see `getHabitatPools`). Habitats without any locations are left out.
+ * @param {Monster} monster - The monster instance to resolve habitats for.
+ * @returns {Array<{id: string, weight: number, pools: Array<Array<object>>, size: number}>}
+ */
+export function resolveHabitats(monster) {
+    return monster.getHabitatWeights().map(({ id, weight }) => {
+        const pools = getHabitatPools(id);
+        const size = pools.reduce((sum, pool) => sum + pool.length, 0);
+        return { id, weight, pools, size };
+    }).filter(habitat => habitat.size > 0 && habitat.weight > 0);
+}
+
+/**
+ * Picks a random location from a set of weighted habitats. The habitat is chosen by weight
+ * first and the location uniformly within it, so a habitat's share of sightings does not
+ * depend on how many GeoNames entries it happens to have.
+ * @param {Array<object>} habitats - The resolved habitats (see `resolveHabitats`).
+ * @param {number} totalWeight - The sum of all habitat weights.
+ * @param {function} rng - The seeded random number generator function.
+ * @returns {{habitat: object, location: object}}
+ */
+export function pickFromHabitats(habitats, totalWeight, rng) {
+    let roll = rng() * totalWeight;
+    const habitat = habitats.find(h => (roll -= h.weight) < 0) || habitats[habitats.length - 1];
+
+    let index = Math.floor(rng() * habitat.size);
+    const pool = habitat.pools.find(p => index < p.length || (index -= p.length, false));
+    return { habitat, location: pool[index] };
+}
\ No newline at end of file
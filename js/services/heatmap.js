@@ -0,0 +1,31 @@
+/**
+ * @file heatmap.js
+ * @description The points of the sightings heatmap. The sightings of one day or of every day of a
+ * range (see `getDaySightings` in `spottingCalculator.js` and `simulateDays` in `statistics.js`) are
+ * merged into one heatmap, for one monster or for all enabled monsters combined.
+ */
+
+import { appState } from '../state.js';
+
+/**
+ * Merges the sightings of one or more days into heatmap points.
+ * @param {Array<object>} sightingsByDay - The sightings of every day (see `getDaySightings`).
+ * @param {object} [options={}] - The options.
+ * @param {string|null} [options.monsterId=null] - The monster to show, or null for all enabled monsters.
+ * @param {boolean} [options.weighted=true] - Whether to weight every sighting by the chance of its
+ * monster on its day, relative to the highest chance among them, so that the sightings of likely
+ * days weigh the most. Otherwise, every sighting weighs the same.
+ * @returns {Array<[number, number, number]>} The points, as [lat, lng, intensity (0-1)].
+ */
+export function buildHeatmapPoints(sightingsByDay, { monsterId = null, weighted = true } = {}) {
+    const monsterIds = monsterId
+        ? [monsterId]
+        : appState.monsters.filter(monster => monster.state.isEnabled).map(monster => monster.id);
+    const entries = sightingsByDay.flatMap(sightings => monsterIds.map(id => sightings[id]).filter(Boolean));
+
+    const maxChance = Math.max(0, ...entries.map(entry => entry.chance));
+    return entries.flatMap(entry => {
+        const intensity = weighted && maxChance > 0 ? entry.chance / maxChance : 1;
+        return entry.places.map(({ lat, lng }) => [lat, lng, intensity]);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * @file holidays.js
+ * @description A calendar of the Swedish holidays that act as special events in the simulation.
+ * Fixed and movable feasts (Easter, Midsummer Eve, All Saints' Day, Advent) are computed for any year.
+ * All dates are whole UTC days, matching the universal application date used for determinism.
+ */
+
+const DAY_MS = 86400000;
+
+/**
+ * Returns the UTC timestamp for the start of a calendar day.
+ * @param {number} year - The full year.
+ * @param {number} month - The 0-indexed month.
+ * @param {number} day - The day of the month.
+ * @returns {number}
+ */
+const utcDay = (year, month, day) => Date.UTC(year, month, day);
+
+/**
+ * Finds the first occurrence of a weekday on or after a given day.
+ * Used for feasts defined as "the Friday between June 19-25" and similar.
+ * @param {number} year - The full year.
+ * @param {number} month - The 0-indexed month of the earliest possible date.
+ * @param {number} day - The earliest possible day of the month.
+ * @param {number} weekday - The weekday to find (0 = Sunday, 6 = Saturday).
+ * @returns {number} The UTC timestamp of the matching day.
+ */
+function firstWeekdayFrom(year, month, day, weekday) {
+    const start = new Date(utcDay(year, month, day));
+    const offset = (weekday - start.getUTCDay() + 7) % 7;
+    return start.getTime() + offset * DAY_MS;
+}
+
+/**
+ * Calculates Easter Sunday for a given year using the anonymous Gregorian computus.
+ * @param {number} year - The full year.
+ * @returns {number} The UTC timestamp of Easter Sunday.
+ */
+export function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31); // 3 = March, 4 = April
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return utcDay(year, month - 1, day);
+}
+
+/**
+ * Creates a range covering a single day.
+ * @param {number} timestamp - The UTC timestamp of the day.
+ * @returns {{start: number, end: number}}
+ */
+const singleDay = (timestamp) => ({ start: timestamp, end: timestamp });
+
+/**
+ * The holiday calendar. Each entry returns the inclusive day ranges on which the
+ * holiday is active within a given year. Holidays that span New Year (Yule) return
+ * one range at each end of the year so that no range ever crosses a year boundary.
+ * The display name of a holiday is the `holiday.<id>` message of the locale catalogs.
+ * @type {object}
+ */
+export const HOLIDAYS = {
+    'epiphany': { // Trettondedag jul
+        getRanges: (year) => [singleDay(utcDay(year, 0, 6))]
+    },
+    'easter': { // Maundy Thursday to Easter Sunday, when the påskkärringar fly to Blåkulla
+        getRanges: (year) => {
+            const easterSunday = getEasterSunday(year);
+            return [{ start: easterSunday - 3 * DAY_MS, end: easterSunday }];
+        }
+    },
+    'walpurgis': { // Valborgsmässoafton
+        getRanges: (year) => [singleDay(utcDay(year, 3, 30))]
+    },
+    'midsummer': { // Midsommarafton, the Friday between June 19-25
+        getRanges: (year) => [singleDay(firstWeekdayFrom(year, 5, 19, 5))]
+    },
+    'halloween': {
+        getRanges: (year) => [singleDay(utcDay(year, 9, 31))]
+    },
+    'allSaints': { // Alla helgons dag, the Saturday between Oct 31 and Nov 6
+        getRanges: (year) => [singleDay(firstWeekdayFrom(year, 9, 31, 6))]
+    },
+    'lucia': {
+        getRanges: (year) => [singleDay(utcDay(year, 11, 13))]
+    },
+    'yule': { // First Sunday of Advent until Tjugondedag Knut (January 13)
+        getRanges: (year) => [
+            { start: utcDay(year, 0, 1), end: utcDay(year, 0, 13) },
+            { start: firstWeekdayFrom(year, 10, 27, 0), end: utcDay(year, 11, 31) }
+        ]
+    }
+};
+
+/**
+ * Checks whether a holiday is active on a given date.
+ * @param {string} holidayId - The id of the holiday (a key of `HOLIDAYS`).
+ * @param {Date} date - The date to check. Only its UTC calendar day is considered.
+ * @returns {boolean} True if the holiday is active, false if it is not or is unknown.
+ */
+export function isHolidayOn(holidayId, date) {
+    const holiday = HOLIDAYS[holidayId];
+    if (!holiday) return false;
+
+    const day = utcDay(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    return holiday.getRanges(date.getUTCFullYear()).some(range => day >= range.start && day <= range.end);
+}
\ No newline at end of file
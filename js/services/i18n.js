@@ -0,0 +1,78 @@
+/**
+ * @file i18n.js
+ * @description The localization layer. UI text is looked up by key in the message catalogs of
+ * `js/locales/`, one per supported locale, e.g. `t('panel.spotted', { count: 3 })`.
+ * A message missing from the active catalog falls back to English, and then to the key itself,
+ * so a forgotten translation shows up on screen instead of breaking the page.
+ * The active locale is kept in `appState.locale` and shared in the URL hash as `lang=`.
+ */
+
+import { appState } from '../state.js';
+import { MESSAGES as en } from '../locales/en.js';
+import { MESSAGES as sv } from '../locales/sv.js';
+
+const CATALOGS = { en, sv };
+
+const FALLBACK_LOCALE = 'en';
+
+/**
+ * The locales the UI can be shown in, with the name of each in its own language.
+ * @type {object}
+ */
+export const SUPPORTED_LOCALES = {
+    'en': { name: "English", flag: '🇬🇧' },
+    'sv': { name: "Svenska", flag: '🇸🇪' }
+};
+
+/**
+ * Gets the active locale.
+ * @returns {string} The locale code (e.g., 'sv').
+ */
+export function getLocale() {
+    return appState.locale;
+}
+
+/**
+ * Switches the active locale. Unsupported locales are ignored.
+ * @param {string} locale - The locale code (e.g., 'sv').
+ * @returns {boolean} Whether the locale was applied.
+ */
+export function setLocale(locale) {
+    if (!SUPPORTED_LOCALES[locale]) return false;
+    appState.locale = locale;
+    return true;
+}
+
+/**
+ * Picks the initial locale from the browser's language preferences: Swedish for
+ * Swedish-speaking visitors, English for everyone else.
+ * @returns {string} The locale code.
+ */
+export function detectLocale() {
+    const preferred = globalThis.navigator?.languages ?? [globalThis.navigator?.language];
+    const match = preferred.filter(Boolean)
+        .map(language => language.toLowerCase().split('-')[0])
+        .find(language => SUPPORTED_LOCALES[language]);
+    return match ?? FALLBACK_LOCALE;
+}
+
+/**
+ * Checks whether a message exists, in the active locale or in the fallback locale.
+ * @param {string} key - The message key.
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+    return CATALOGS[appState.locale]?.[key] !== undefined || CATALOGS[FALLBACK_LOCALE][key] !== undefined;
+}
+
+/**
+ * Translates a message into the active locale. Placeholders such as `{count}` in the
+ * message are replaced by the matching parameter.
+ * @param {string} key - The message key (e.g., 'panel.breakdownTitle').
+ * @param {object} [params={}] - The values for the placeholders in the message.
+ * @returns {string} The translated message.
+ */
+export function t(key, params = {}) {
+    const message = CATALOGS[appState.locale]?.[key] ?? CATALOGS[FALLBACK_LOCALE][key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+}
\ No newline at end of file
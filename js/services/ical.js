@@ -0,0 +1,94 @@
+/**
+ * @file ical.js
+ * @description Writes iCalendar (RFC 5545) files, so that forecast windows can be imported into,
+ * or subscribed to from, any calendar application. Times are written in UTC, which every
+ * calendar converts to its own time zone, so no time zone definitions are needed.
+ */
+
+const PRODUCT_ID = '-//Swedish Monster Spotter//Spotting Forecast//EN';
+
+// Content lines longer than this many bytes must be folded onto continuation lines.
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+/**
+ * Escapes a value for use in a TEXT property.
+ * @param {string} text - The text to escape.
+ * @returns {string}
+ */
+function escapeText(text) {
+    return String(text).replace(/[\\;,]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Formats an instant as a UTC date-time (e.g., '20251031T200000Z').
+ * @param {Date} date - The instant to format.
+ * @returns {string}
+ */
+function formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Folds a content line into lines of at most `MAX_LINE_OCTETS` bytes. Continuation lines start
+ * with a space, and multi-byte characters (like 'ö' or emoji) are never split.
+ * @param {string} line - The unfolded content line.
+ * @returns {string} The folded line, with CRLF line breaks.
+ */
+function foldLine(line) {
+    const lines = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines lose one byte to their leading space.
+        const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            lines.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n ');
+}
+
+/**
+ * Builds an iCalendar file.
+ * @param {object} calendar - The calendar.
+ * @param {string} calendar.name - The name of the calendar, shown by calendar applications.
+ * @param {Array<{uid: string, start: Date, end: Date, summary: string, description?: string, categories?: Array<string>}>} calendar.events -
+ * The events. The `uid` must stay the same for the same event, so a re-imported or refreshed
+ * calendar updates its events instead of duplicating them.
+ * @param {Date} [calendar.created=new Date()] - When the file is created.
+ * @returns {string} The contents of the `.ics` file.
+ */
+export function buildCalendar({ name, events, created = new Date() }) {
+    const stamp = formatDateTime(created);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatDateTime(event.start)}`,
+            `DTEND:${formatDateTime(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
\ No newline at end of file
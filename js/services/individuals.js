@@ -0,0 +1,165 @@
+/**
+ * @file individuals.js
+ * @description The opt-in "individuals" mode. A species with an `individuals` setting in monsters.json
+ * is simulated as a small, deterministic population of named individuals instead of independent
+ * random sightings. Each individual's position on a date is derived from its position on the day
+ * before, using a movement model that only lets it travel between locations in its own habitats.
+ * Walked paths are cached in the app state, so moving one day forward only costs a single step.
+ * Note: This module relies on the `seedrandom` library being available in the global scope.
+ */
+
+import { appState } from '../state.js';
+import { INDIVIDUALS_CONFIG } from '../config.js';
+import { resolveHabitats, pickFromHabitats } from './habitats.js';
+import { getDistanceKm, offsetPoint } from '../utils/geo.js';
+
+const DAY_MS = 86400000;
+
+// The size of the spatial grid cells used to find habitat locations near an individual, in degrees.
+const GRID_CELL_DEGREES = 0.25;
+
+// How many random steps an individual tries each day before it stays where it is.
+const MOVE_ATTEMPTS = 8;
+
+/**
+ * Returns the key of the grid cell that contains a point.
+ * @param {number} lat - Latitude in degrees.
+ * @param {number} lng - Longitude in degrees.
+ * @returns {string}
+ */
+const cellKey = (lat, lng) => `${Math.floor(lat / GRID_CELL_DEGREES)}:${Math.floor(lng / GRID_CELL_DEGREES)}`;
+
+/**
+ * Converts a date to the number of whole UTC days since the epoch of the individuals mode.
+ * Dates before the epoch are clamped to day 0.
+ * @param {Date} date - The date to convert. Only its UTC calendar day is considered.
+ * @returns {number}
+ */
+const toDayIndex = (date) => {
+    const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    return Math.max(0, Math.floor((day - INDIVIDUALS_CONFIG.epoch) / DAY_MS));
+};
+
+/**
+ * Sorts all locations of a monster's habitats into a spatial grid, so that the locations
+ * near an individual can be found without scanning the whole country.
+ * @param {Array<object>} habitats - The resolved habitats (see `resolveHabitats`).
+ * @returns {Map<string, Array<{location: object, habitat: string}>>}
+ */
+function buildHabitatGrid(habitats) {
+    const grid = new Map();
+    habitats.forEach(habitat => habitat.pools.forEach(pool => pool.forEach(location => {
+        const key = cellKey(location.latitude, location.longitude);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push({ location, habitat: habitat.id });
+    })));
+    return grid;
+}
+
+/**
+ * The movement model: an individual tries to wander a random distance (up to its daily range)
+ * in a random direction, and settles at a habitat location near the point it reaches.
+ * If no habitat location is within range, it stays where it is.
+ * @param {{location: object, habitat: string}} position - The individual's position on the previous day.
+ * @param {number} range - The maximum distance the individual can travel in a day, in kilometres.
+ * @param {Map<string, Array<object>>} grid - The monster's habitat grid (see `buildHabitatGrid`).
+ * @param {function} rng - The individual's seeded random number generator function.
+ * @returns {{location: object, habitat: string}} The individual's position on the next day.
+ */
+function step(position, range, grid, rng) {
+    const { latitude, longitude } = position.location;
+    for (let attempt = 0; attempt < MOVE_ATTEMPTS; attempt++) {
+        const target = offsetPoint(latitude, longitude, rng() * range, rng() * 2 * Math.PI);
+        const cell = grid.get(cellKey(target.lat, target.lng));
+        if (!cell) continue;
+
+        const candidate = cell[Math.floor(rng() * cell.length)];
+        if (getDistanceKm(latitude, longitude, candidate.location.latitude, candidate.location.longitude) <= range) {
+            return candidate;
+        }
+    }
+    return position;
+}
+
+/**
+ * Gets the cached population of a species, creating it on first use. The population is
+ * rebuilt whenever the species' habitats or individuals settings change.
+ * @param {Monster} monster - The monster instance.
+ * @returns {object|null} The cached population, or null if the monster is not in individuals mode.
+ */
+function getPopulation(monster) {
+    if (!monster.individuals) return null;
+
+    const key = JSON.stringify([monster.locations, monster.individuals]);
+    const cached = appState.individuals.get(monster.id);
+    if (cached && cached.key === key) return cached;
+
+    const habitats = resolveHabitats(monster);
+    const totalWeight = habitats.reduce((sum, habitat) => sum + habitat.weight, 0);
+    const { population = 8, range = 25 } = monster.individuals;
+    const names = [...INDIVIDUALS_CONFIG.names];
+    const namesRNG = new Math.seedrandom(`${monster.id}-names`);
+
+    const members = habitats.length === 0 ? [] : Array.from({ length: population }, (_, index) => {
+        const id = `${monster.id}-${index + 1}`;
+        const rng = new Math.seedrandom(id);
+        const den = pickFromHabitats(habitats, totalWeight, rng);
+        // Draw names without repeats; once the list runs out, fall back to numbered names.
+        const name = names.length > 0 ? names.splice(Math.floor(namesRNG() * names.length), 1)[0] : `${monster.name} #${index + 1}`;
+        return { id, name, rng, path: [{ location: den.location, habitat: den.habitat.id }] };
+    });
+
+    const entry = { key, range, grid: buildHabitatGrid(habitats), members };
+    appState.individuals.set(monster.id, entry);
+    return entry;
+}
+
+/**
+ * Gets an individual's position on a given day, walking its path forward as far as needed.
+ * @param {object} population - The cached population (see `getPopulation`).
+ * @param {object} member - The individual.
+ * @param {number} dayIndex - The number of days since the epoch.
+ * @returns {{location: object, habitat: string}}
+ */
+function getPositionOnDay(population, member, dayIndex) {
+    while (member.path.length <= dayIndex) {
+        member.path.push(step(member.path[member.path.length - 1], population.range, population.grid, member.rng));
+    }
+    return member.path[dayIndex];
+}
+
+/**
+ * Gets every individual of a species with its position on a given date.
+ * @param {Monster} monster - The monster instance.
+ * @param {Date} date - The date of interest.
+ * @returns {Array<{id: string, name: string, location: object, habitat: string}>} An empty array
+ * if the monster is not in individuals mode or has no habitat locations.
+ */
+export function getIndividualsOn(monster, date) {
+    const population = getPopulation(monster);
+    if (!population) return [];
+
+    const dayIndex = toDayIndex(date);
+    return population.members.map(member => ({ id: member.id, name: member.name, ...getPositionOnDay(population, member, dayIndex) }));
+}
+
+/**
+ * Gets the trail of an individual: its positions over the last days up to and including a date.
+ * @param {Monster} monster - The monster instance.
+ * @param {string} individualId - The id of the individual.
+ * @param {Date} date - The last day of the trail.
+ * @param {number} [days] - How many days the trail covers.
+ * @returns {Array<object>} The location objects of the trail, oldest first.
+ */
+export function getIndividualTrail(monster, individualId, date, days = INDIVIDUALS_CONFIG.trailDays) {
+    const population = getPopulation(monster);
+    const member = population?.members.find(m => m.id === individualId);
+    if (!member) return [];
+
+    const lastDay = toDayIndex(date);
+    const trail = [];
+    for (let dayIndex = Math.max(0, lastDay - days + 1); dayIndex <= lastDay; dayIndex++) {
+        trail.push(getPositionOnDay(population, member, dayIndex).location);
+    }
+    return trail;
+}
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * @file moon.js
+ * @description Lunar calculations: illumination, phase age, the exact instant of the full moon,
+ * and the moon's position, rise and set times for a specific location.
+ * These functions are purely astronomical and never depend on how the moon is drawn in the UI.
+ */
+
+import { RAD, DAY_MS, toDays, azimuth, altitude, siderealTime, sunCoords, moonCoords, astroRefraction, solarMeanAnomaly, eclipticLongitude } from '../utils/astro.js';
+
+// The mean length of a lunar (synodic) month, in days.
+export const SYNODIC_MONTH = 29.530588853;
+
+// Half the length of the window around the exact full moon instant that counts as "full moon".
+const FULL_MOON_WINDOW_MS = 12 * 3600000;
+
+const SUN_DISTANCE_KM = 149598000;
+
+/**
+ * Calculates how much of the moon is lit, and where it is in its cycle.
+ * @param {Date} date - The instant to calculate for.
+ * @returns {{fraction: number, phase: number, age: number}} The illuminated fraction (0-1),
+ * the phase (0 = new moon, 0.25 = first quarter, 0.5 = full moon, 0.75 = last quarter)
+ * and the age of the moon in days since the last new moon.
+ */
+export function getMoonIllumination(date) {
+    const days = toDays(date);
+    const s = sunCoords(days);
+    const m = moonCoords(days);
+
+    const elongation = Math.acos(Math.sin(s.dec) * Math.sin(m.dec) + Math.cos(s.dec) * Math.cos(m.dec) * Math.cos(s.ra - m.ra));
+    const inc = Math.atan2(SUN_DISTANCE_KM * Math.sin(elongation), m.dist - SUN_DISTANCE_KM * Math.cos(elongation));
+    const angle = Math.atan2(Math.cos(s.dec) * Math.sin(s.ra - m.ra), Math.sin(s.dec) * Math.cos(m.dec) - Math.cos(s.dec) * Math.sin(m.dec) * Math.cos(s.ra - m.ra));
+    const phase = 0.5 + 0.5 * inc * (angle < 0 ? -1 : 1) / Math.PI;
+
+    return {
+        fraction: (1 + Math.cos(inc)) / 2,
+        phase,
+        age: phase * SYNODIC_MONTH
+    };
+}
+
+/**
+ * Calculates the angle between the moon and the sun along the ecliptic, normalized to [0, 2π).
+ * It is exactly π at the instant of the full moon.
+ * @param {Date} date - The instant to calculate for.
+ * @returns {number} The elongation in radians.
+ */
+function eclipticElongation(date) {
+    const days = toDays(date);
+    const sunLongitude = eclipticLongitude(solarMeanAnomaly(days));
+    const elongation = (moonCoords(days).lng - sunLongitude) % (2 * Math.PI);
+    return elongation < 0 ? elongation + 2 * Math.PI : elongation;
+}
+
+/**
+ * Finds the instant of the full moon (the moon in opposition to the sun) nearest to a date.
+ * @param {Date} date - The reference instant.
+ * @returns {Date} The instant of the nearest full moon.
+ */
+export function getNearestFullMoon(date) {
+    let time = date.getTime();
+    // Step towards opposition using the mean angular speed of the moon relative to the sun.
+    // A few iterations converge well within the accuracy of the underlying lunar model.
+    for (let i = 0; i < 4; i++) {
+        const offset = Math.PI - eclipticElongation(new Date(time));
+        time += (offset / (2 * Math.PI)) * SYNODIC_MONTH * DAY_MS;
+    }
+    return new Date(time);
+}
+
+/**
+ * Checks whether a date falls within the full moon, defined as the 24 hours centred
+ * on the exact instant of opposition.
+ * @param {Date} date - The instant to check.
+ * @returns {boolean}
+ */
+export const isFullMoonAt = (date) => Math.abs(getNearestFullMoon(date).getTime() - date.getTime()) <= FULL_MOON_WINDOW_MS;
+
+/**
+ * Calculates the moon's position in the sky, corrected for atmospheric refraction.
+ * @param {Date} date - The instant to calculate for.
+ * @param {number} lat - Latitude in degrees.
+ * @param {number} lng - Longitude in degrees.
+ * @returns {{altitude: number, azimuth: number, distance: number}} Altitude and azimuth in degrees, distance in km.
+ */
+export function getMoonPosition(date, lat, lng) {
+    const lw = RAD * -lng;
+    const phi = RAD * lat;
+    const days = toDays(date);
+    const c = moonCoords(days);
+    const H = siderealTime(days, lw) - c.ra;
+    const h = altitude(H, phi, c.dec);
+
+    return {
+        altitude: (h + astroRefraction(h)) / RAD,
+        azimuth: azimuth(H, phi, c.dec) / RAD,
+        distance: c.dist
+    };
+}
+
+/**
+ * Calculates moonrise and moonset within the 24 hours following `date`.
+ * Like the sun near the poles, the moon may stay above or below the horizon all day.
+ * @param {Date} date - The start of the 24-hour search window.
+ * @param {number} lat - Latitude in degrees.
+ * @param {number} lng - Longitude in degrees.
+ * @returns {{rise: (Date|null), set: (Date|null), alwaysUp: boolean, alwaysDown: boolean}}
+ */
+export function getMoonTimes(date, lat, lng) {
+    const start = date.getTime();
+    const horizonAltitude = 0.133; // Degrees, corrects for the moon's apparent radius
+    const altitudeAt = (hours) => getMoonPosition(new Date(start + hours * 3600000), lat, lng).altitude - horizonAltitude;
+
+    let rise = null;
+    let set = null;
+    let peak = 0;
+    let h0 = altitudeAt(0);
+
+    // Fit a parabola through each pair of two-hour steps and look for horizon crossings.
+    for (let i = 1; i <= 24 && !(rise !== null && set !== null); i += 2) {
+        const h1 = altitudeAt(i);
+        const h2 = altitudeAt(i + 1);
+
+        const a = (h0 + h2) / 2 - h1;
+        const b = (h2 - h0) / 2;
+        const xe = -b / (2 * a);
+        peak = (a * xe + b) * xe + h1;
+        const discriminant = b * b - 4 * a * h1;
+
+        if (discriminant >= 0) {
+            const dx = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+            let x1 = xe - dx;
+            const x2 = xe + dx;
+            let roots = 0;
+            if (Math.abs(x1) <= 1) roots++;
+            if (Math.abs(x2) <= 1) roots++;
+            if (x1 < -1) x1 = x2;
+
+            if (roots === 1) {
+                if (h0 < 0) rise = i + x1;
+                else set = i + x1;
+            } else if (roots === 2) {
+                rise = i + (peak < 0 ? x2 : x1);
+                set = i + (peak < 0 ? x1 : x2);
+            }
+        }
+        h0 = h2;
+    }
+
+    const toDate = (hours) => hours === null ? null : new Date(start + hours * 3600000);
+    const neverCrosses = rise === null && set === null;
+
+    return {
+        rise: toDate(rise),
+        set: toDate(set),
+        alwaysUp: neverCrosses && peak > 0,
+        alwaysDown: neverCrosses && peak <= 0
+    };
+}
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * @file nearby.js
+ * @description The "near me" search: finds the sightings of the day within a radius of a point,
+ * such as a dropped pin or the user's own location, with their great-circle distance and bearing.
+ */
+
+import { appState } from '../state.js';
+import { getDistanceKm, getBearing } from '../utils/geo.js';
+
+/**
+ * Finds today's sightings of the enabled monsters within a radius of a point.
+ * @param {{lat: number, lng: number}} center - The point to search around.
+ * @param {number} radiusKm - The radius, in kilometres.
+ * @returns {Array<{monster: Monster, location: object, index: number, distanceKm: number, bearing: number}>}
+ * The sightings, nearest first (and clockwise from north at equal distances), each with its index
+ * among the monster's sightings, its distance in kilometres and its bearing from the point in degrees.
+ */
+export function findSightingsNear(center, radiusKm) {
+    const sightings = [];
+    appState.monsters.forEach(monster => {
+        if (!monster.state.isEnabled) return;
+        (appState.spottedMonstersData[monster.id]?.locations || []).forEach((location, index) => {
+            const distanceKm = getDistanceKm(center.lat, center.lng, location.lat, location.lng);
+            if (distanceKm > radiusKm) return;
+            const bearing = getBearing(center.lat, center.lng, location.lat, location.lng);
+            sightings.push({ monster, location, index, distanceKm, bearing });
+        });
+    });
+    return sightings.sort((a, b) => a.distanceKm - b.distanceKm || a.bearing - b.bearing);
+}
\ No newline at end of file
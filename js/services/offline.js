@@ -0,0 +1,188 @@
+/**
+ * @file offline.js
+ * @description Offline use. Registers the service worker (`sw.js`), which stores the app, its data
+ * and its libraries on the device and caches every map tile that is viewed. Because the simulation
+ * is deterministic, the sightings of any date can then be calculated without a connection. The
+ * tiles of an area can also be downloaded ahead of a trip, such as a county at zoom levels 6 to 12
+ * of the chosen basemap, and the tile cache can be measured and cleared.
+ */
+
+import { appState } from '../state.js';
+import { TILE_DOWNLOAD } from '../config.js';
+import { getBasemap, getTileUrl } from './basemaps.js';
+import { getTileRange } from '../utils/geo.js';
+
+// The margin around the places of a county that is downloaded with it, in degrees.
+const COUNTY_MARGIN = 0.05;
+
+/**
+ * Registers the service worker. Its progress is kept in `appState.offline.status`: 'installing'
+ * until the app is stored on the device, then 'ready'; 'unsupported' in browsers without service
+ * workers (or pages not served over HTTPS or from localhost), and 'error' if registration failed.
+ * @returns {Promise<void>}
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        appState.offline.status = 'unsupported';
+        return;
+    }
+    try {
+        appState.offline.status = 'installing';
+        await navigator.serviceWorker.register('sw.js');
+        await navigator.serviceWorker.ready;
+        appState.offline.status = 'ready';
+    } catch (error) {
+        console.error('Failed to register the service worker:', error);
+        appState.offline.status = 'error';
+    }
+}
+
+/**
+ * Checks whether map tiles can be cached in this browser.
+ * @returns {boolean}
+ */
+export function canCacheTiles() {
+    return 'caches' in window;
+}
+
+/**
+ * Gets the area covered by the places of a county, with a small margin.
+ * @param {string} admin1 - The ADM1 code of the county.
+ * @returns {{south: number, west: number, north: number, east: number}|null} The area, or null if
+ * no places of the county are loaded.
+ */
+export function getCountyBounds(admin1) {
+    let bounds = null;
+    appState.allLocations.forEach(location => {
+        if (String(location.admin1) !== admin1) return;
+        const { latitude, longitude } = location;
+        bounds ??= { south: latitude, west: longitude, north: latitude, east: longitude };
+        bounds.south = Math.min(bounds.south, latitude);
+        bounds.west = Math.min(bounds.west, longitude);
+        bounds.north = Math.max(bounds.north, latitude);
+        bounds.east = Math.max(bounds.east, longitude);
+    });
+    return bounds && {
+        south: bounds.south - COUNTY_MARGIN,
+        west: bounds.west - COUNTY_MARGIN,
+        north: bounds.north + COUNTY_MARGIN,
+        east: bounds.east + COUNTY_MARGIN
+    };
+}
+
+/**
+ * Counts the map tiles that cover an area at a range of zoom levels.
+ * @param {{south: number, west: number, north: number, east: number}} bounds - The area, in degrees.
+ * @param {number} minZoom - The lowest zoom level.
+ * @param {number} maxZoom - The highest zoom level.
+ * @returns {number}
+ */
+export function countTiles(bounds, minZoom, maxZoom) {
+    let count = 0;
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const { minX, maxX, minY, maxY } = getTileRange(bounds, zoom);
+        count += (maxX - minX + 1) * (maxY - minY + 1);
+    }
+    return count;
+}
+
+/**
+ * Checks whether the tiles of the chosen basemap can be downloaded: only those of 'xyz' basemaps
+ * have URLs of their own, and only a tile server that allows bulk downloads is marked `downloadable`.
+ * @returns {boolean}
+ */
+export function canDownloadBasemap() {
+    const basemap = getBasemap();
+    return basemap.type === 'xyz' && basemap.downloadable === true;
+}
+
+/**
+ * Gets the highest zoom level that can be downloaded of the chosen basemap.
+ * @returns {number}
+ */
+export function getMaxDownloadZoom() {
+    return Math.min(TILE_DOWNLOAD.maxZoomLimit, getBasemap().maxZoom ?? TILE_DOWNLOAD.maxZoomLimit);
+}
+
+/**
+ * Downloads the tiles of the chosen basemap that cover an area into the tile cache, one at a
+ * time, so the tile server is not flooded. Tiles that are already cached are skipped. The browser
+ * is asked to keep the cache even when storage runs low.
+ * @param {{south: number, west: number, north: number, east: number}} bounds - The area, in degrees.
+ * @param {number} minZoom - The lowest zoom level.
+ * @param {number} maxZoom - The highest zoom level.
+ * @param {object} [options={}] - The options.
+ * @param {function(number, number): void} [options.onProgress] - Called after every tile with the
+ * number of tiles done and the total.
+ * @param {AbortSignal} [options.signal] - Cancels the download when aborted.
+ * @returns {Promise<{downloaded: number, cached: number, failed: number}|null>} The number of tiles
+ * downloaded, already cached and failed, or null if the download was cancelled.
+ * @throws {Error} If the basemap cannot be downloaded.
+ * @throws {RangeError} If the zoom levels are invalid or the area needs more than `TILE_DOWNLOAD.maxTiles` tiles.
+ */
+export async function downloadTiles(bounds, minZoom, maxZoom, { onProgress, signal } = {}) {
+    const basemap = getBasemap();
+    if (!canDownloadBasemap()) {
+        throw new Error(`The tiles of the '${basemap.type}' basemap cannot be downloaded.`);
+    }
+    if (!(minZoom >= 0 && maxZoom <= getMaxDownloadZoom() && minZoom <= maxZoom)) {
+        throw new RangeError(`Invalid zoom levels ${minZoom}-${maxZoom}.`);
+    }
+    const total = countTiles(bounds, minZoom, maxZoom);
+    if (total > TILE_DOWNLOAD.maxTiles) {
+        throw new RangeError(`${total} tiles exceed the limit of ${TILE_DOWNLOAD.maxTiles}.`);
+    }
+
+    await navigator.storage?.persist?.();
+    const cache = await caches.open(TILE_DOWNLOAD.cache);
+    const result = { downloaded: 0, cached: 0, failed: 0 };
+    let done = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const { minX, maxX, minY, maxY } = getTileRange(bounds, z);
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                if (signal?.aborted) return null;
+                const url = getTileUrl(basemap, x, y, z);
+                if (await cache.match(url)) {
+                    result.cached++;
+                } else {
+                    try {
+                        const response = await fetch(url, { mode: 'cors', signal });
+                        if (response.ok) {
+                            await cache.put(url, response);
+                            result.downloaded++;
+                        } else {
+                            result.failed++;
+                        }
+                    } catch (error) {
+                        if (signal?.aborted) return null;
+                        result.failed++;
+                    }
+                }
+                onProgress?.(++done, total);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Measures the storage used by the app: the space used by all its caches and the space the browser
+ * allows it, where the browser reports them, and the number of cached map tiles.
+ * @returns {Promise<{usage: number|null, quota: number|null, tiles: number}>} The usage and quota in bytes, and the tile count.
+ */
+export async function getStorageUsage() {
+    const estimate = await navigator.storage?.estimate?.() ?? {};
+    const tiles = canCacheTiles() && await caches.has(TILE_DOWNLOAD.cache)
+        ? (await (await caches.open(TILE_DOWNLOAD.cache)).keys()).length
+        : 0;
+    return { usage: estimate.usage ?? null, quota: estimate.quota ?? null, tiles };
+}
+
+/**
+ * Deletes every cached map tile. The app itself stays stored.
+ * @returns {Promise<void>}
+ */
+export async function clearTileCache() {
+    await caches.delete(TILE_DOWNLOAD.cache);
+}
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * @file packs.js
+ * @description Loads monster packs: themed collections of extra monsters that are shared as JSON
+ * files instead of being added to monsters.json. A pack is either a plain list of monster
+ * definitions or an object such as `{ "name": "Urban legends", "monsters": [...], "locationGroups": {...} }`,
+ * whose optional `locationGroups` extend `LOCATION_GROUPS`. Packs are loaded from a dropped file or
+ * from a `pack=` URL in the hash, validated like monsters.json, and can be switched on and off.
+ */
+
+import { appState } from '../state.js';
+import { LOCATION_GROUPS } from '../config.js';
+import { Monster } from '../monster.js';
+import { validateMonsters, reportIssues } from './validator.js';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Turns a pack name into an identifier that is safe to use in monster ids.
+ * @param {string} name - The pack name (e.g., "Norse Pantheon").
+ * @returns {string} The identifier (e.g., "norse_pantheon").
+ */
+const toPackId = (name) => name.toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'pack';
+
+/**
+ * Rebuilds `appState.monsters` from the monsters that are not part of a pack
+ * (those from monsters.json or the editor) and the monsters of every enabled pack.
+ */
+function syncPackMonsters() {
+    appState.monsters = [
+        ...appState.monsters.filter(monster => !monster.state.pack),
+        ...appState.packs.filter(pack => pack.enabled).flatMap(pack => pack.monsters)
+    ];
+}
+
+/**
+ * Adds a pack's location groups to `LOCATION_GROUPS`. A pack cannot replace an existing group.
+ * @param {*} groups - The `locationGroups` of the pack.
+ * @param {string} source - The pack name, recorded with every issue.
+ * @param {Array<object>} issues - The list to add issues to.
+ * @returns {Array<string>} The keys of the groups that were added.
+ */
+function mergeLocationGroups(groups, source, issues) {
+    if (groups === undefined) return [];
+    const report = (level, field, message) => issues.push({ level, source, monster: '', field, message });
+    if (!isPlainObject(groups)) {
+        report('error', 'locationGroups', 'must be an object of feature code lists keyed by group name');
+        return [];
+    }
+
+    return Object.entries(groups).filter(([key, codes]) => {
+        if (LOCATION_GROUPS[key]) {
+            report('warning', `locationGroups.${key}`, 'already exists; the existing group is kept');
+            return false;
+        }
+        if (!Array.isArray(codes) || codes.length === 0 || codes.some(code => typeof code !== 'string')) {
+            report('error', `locationGroups.${key}`, 'must be a non-empty list of feature codes');
+            return false;
+        }
+        codes.filter(code => !appState.featureCodeMap.has(code))
+            .forEach(code => report('warning', `locationGroups.${key}`, `has unknown feature code "${code}"`));
+        LOCATION_GROUPS[key] = codes;
+        return true;
+    }).map(([key]) => key);
+}
+
+/**
+ * Gives a pack's monsters new ids where they collide with a monster that is already loaded
+ * (including the monsters of disabled packs), by prefixing them with the pack id.
+ * @param {Array<*>} monsterData - The raw monster definitions of the pack.
+ * @param {string} packId - The id of the pack.
+ * @param {string} source - The pack name, recorded with every issue.
+ * @param {Array<object>} issues - The list to add issues to.
+ * @returns {Array<*>} The definitions, with new ids where needed.
+ */
+function resolveIdCollisions(monsterData, packId, source, issues) {
+    const taken = new Set([
+        ...appState.monsters.filter(monster => !monster.state.pack).map(monster => monster.id),
+        ...appState.packs.flatMap(pack => pack.monsters.map(monster => monster.id))
+    ]);
+
+    return monsterData.map(data => {
+        if (!isPlainObject(data) || typeof data.id !== 'string') return data;
+        let id = data.id;
+        if (taken.has(id)) {
+            id = `${packId}_${data.id}`;
+            for (let n = 2; taken.has(id); n++) id = `${packId}_${data.id}_${n}`;
+            issues.push({ level: 'warning', source, monster: data.id, field: 'id', message: `is already taken; the monster was renamed to "${id}"` });
+        }
+        taken.add(id);
+        return id === data.id ? data : { ...data, id };
+    });
+}
+
+/**
+ * Adds a pack to the app state and merges its monsters and location groups. A pack with the
+ * same name as one that is already loaded replaces it.
+ * @param {*} packData - The parsed pack JSON.
+ * @param {string} source - Where the pack came from: a file name or a URL.
+ * @param {string|null} [url=null] - The URL of the pack, if it was loaded from one. Only these packs are shared in the URL hash.
+ * @returns {object} The added pack.
+ */
+export function addPack(packData, source, url = null) {
+    const { name, monsters, locationGroups } = Array.isArray(packData) ? { monsters: packData } : (isPlainObject(packData) ? packData : {});
+    const packName = typeof name === 'string' && name.trim() !== '' ? name.trim() : source.split('/').pop().replace(/\.json$/i, '');
+    const id = toPackId(packName);
+    if (appState.packs.some(pack => pack.id === id)) removePack(id);
+
+    const issues = [];
+    const groups = mergeLocationGroups(locationGroups, packName, issues);
+    const monsterData = Array.isArray(monsters) ? resolveIdCollisions(monsters, id, packName, issues) : monsters;
+    const { valid, issues: validationIssues } = validateMonsters(monsterData, packName);
+    issues.push(...validationIssues);
+
+    const pack = {
+        id,
+        name: packName,
+        source,
+        url,
+        enabled: true,
+        locationGroups: groups,
+        issueCount: issues.length,
+        monsters: valid.map(data => {
+            const monster = new Monster(data);
+            monster.state.pack = id;
+            return monster;
+        })
+    };
+    appState.packs.push(pack);
+    reportIssues(issues);
+    syncPackMonsters();
+    return pack;
+}
+
+/**
+ * Enables or disables a pack. The monsters of a disabled pack are taken out of the simulation.
+ * @param {string} packId - The id of the pack.
+ * @param {boolean} enabled - Whether the pack should be enabled.
+ */
+export function setPackEnabled(packId, enabled) {
+    const pack = appState.packs.find(p => p.id === packId);
+    if (!pack) return;
+    pack.enabled = enabled;
+    syncPackMonsters();
+}
+
+/**
+ * Unloads a pack, removing its monsters and the location groups it added.
+ * @param {string} packId - The id of the pack.
+ */
+export function removePack(packId) {
+    const pack = appState.packs.find(p => p.id === packId);
+    if (!pack) return;
+    pack.locationGroups.forEach(key => { delete LOCATION_GROUPS[key]; });
+    appState.packs = appState.packs.filter(p => p !== pack);
+    syncPackMonsters();
+}
+
+/**
+ * Records a pack that could not be loaded or parsed as a diagnostics error.
+ * @param {string} source - The file name or URL of the pack.
+ * @param {Error} error - The error that occurred.
+ * @returns {null}
+ */
+function reportLoadFailure(source, error) {
+    reportIssues([{ level: 'error', source, monster: '', field: '', message: `could not be loaded: ${error.message}` }]);
+    return null;
+}
+
+/**
+ * Fetches a pack from a URL and adds it.
+ * @param {string} url - The URL of the pack JSON.
+ * @returns {Promise<object|null>} A promise that resolves to the added pack, or null on failure.
+ */
+export function loadPackFromUrl(url) {
+    return fetch(url)
+        .then(res => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.json();
+        })
+        .then(packData => addPack(packData, url, url))
+        .catch(error => reportLoadFailure(url, error));
+}
+
+/**
+ * Reads a pack from a local file (e.g., one dropped on the page) and adds it.
+ * @param {File} file - The pack JSON file.
+ * @returns {Promise<object|null>} A promise that resolves to the added pack, or null on failure.
+ */
+export function loadPackFromFile(file) {
+    return file.text()
+        .then(text => addPack(JSON.parse(text), file.name))
+        .catch(error => reportLoadFailure(file.name, error));
+}
\ No newline at end of file
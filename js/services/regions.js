@@ -0,0 +1,104 @@
+/**
+ * @file regions.js
+ * @description The administrative regions used by the choropleth map mode: the shapes of the
+ * ADM1 counties and ADM2 municipalities, loaded from local GeoJSON files on first use, and the
+ * number of sightings in each. Sightings are assigned to regions through the GeoNames admin codes
+ * on their location records, so no point-in-polygon tests are needed.
+ */
+
+import { appState } from '../state.js';
+import { getGeometryAreaKm2 } from '../utils/geo.js';
+
+/**
+ * The region levels, with the GeoJSON file holding their shapes and the GeoNames feature code of
+ * their location records. Each feature must have the `admin1` code of its county in its properties,
+ * and municipalities also their `admin2` code; a `name` property is used for regions without a
+ * location record. The file of an `optional` level is not part of the repository, and the level is
+ * only offered if the file is there (see `detectRegionLevels`).
+ * @type {object}
+ */
+export const REGION_LEVELS = {
+    'adm1': { file: 'data/counties_se.geojson', featureCode: 'A.ADM1' },
+    'adm2': { file: 'data/municipalities_se.geojson', featureCode: 'A.ADM2', optional: true }
+};
+
+/**
+ * Checks which optional region levels have their file on the server, with a HEAD request each, and
+ * stores the levels that can be shown in `appState.choropleth.levels`. A file that cannot be
+ * reached, such as when offline, counts as missing.
+ * @returns {Promise<void>}
+ */
+export async function detectRegionLevels() {
+    const levels = await Promise.all(Object.entries(REGION_LEVELS).map(async ([level, { file, optional }]) => {
+        if (!optional) return level;
+        try {
+            const response = await fetch(file, { method: 'HEAD' });
+            return response.ok ? level : null;
+        } catch (error) {
+            return null;
+        }
+    }));
+    appState.choropleth.levels = levels.filter(Boolean);
+}
+
+/**
+ * Gets the key of the region a location record lies in. Municipality codes are only unique within
+ * their county, so the key of a municipality combines both codes (e.g., '14.2584').
+ * @param {{admin1?: string, admin2?: string}} record - A location record or the properties of a region feature.
+ * @param {'adm1'|'adm2'} level - The region level.
+ * @returns {string|null} The region key, or null if the record lacks the admin codes.
+ */
+export function getRegionKey(record, level) {
+    if (!record?.admin1) return null;
+    if (level === 'adm1') return String(record.admin1);
+    return record.admin2 ? `${record.admin1}.${record.admin2}` : null;
+}
+
+/**
+ * Loads the shapes of a region level, or gets them from the app state once loaded. Every feature
+ * gets its region `key`, its `name` and its area in km² (`areaKm2`) added to its properties.
+ * @param {'adm1'|'adm2'} level - The region level.
+ * @returns {Promise<object>} The GeoJSON FeatureCollection.
+ */
+export async function loadRegionShapes(level) {
+    if (appState.regionShapes[level]) return appState.regionShapes[level];
+
+    const response = await fetch(REGION_LEVELS[level].file);
+    if (!response.ok) throw new Error(`Could not load ${REGION_LEVELS[level].file} (HTTP ${response.status}).`);
+    const shapes = await response.json();
+
+    const records = new Map((appState.locationsByFeatureCode.get(REGION_LEVELS[level].featureCode) || [])
+        .map(record => [getRegionKey(record, level), record]));
+    shapes.features = shapes.features.filter(feature => getRegionKey(feature.properties, level));
+    shapes.features.forEach(feature => {
+        const key = getRegionKey(feature.properties, level);
+        feature.properties.key = key;
+        feature.properties.name = records.get(key)?.name ?? feature.properties.name ?? key;
+        feature.properties.areaKm2 = getGeometryAreaKm2(feature.geometry);
+    });
+
+    appState.regionShapes[level] = shapes;
+    return shapes;
+}
+
+/**
+ * Counts today's sightings of the enabled monsters in every region of a level.
+ * @param {'adm1'|'adm2'} level - The region level.
+ * @returns {Map<string, {count: number, byMonster: object}>} The number of sightings keyed by
+ * region key, in total and keyed by monster id. Regions without sightings are left out.
+ */
+export function countSightingsByRegion(level) {
+    const counts = new Map();
+    appState.monsters.forEach(monster => {
+        if (!monster.state.isEnabled) return;
+        (appState.spottedMonstersData[monster.id]?.locations || []).forEach(location => {
+            const key = getRegionKey(location, level);
+            if (!key) return;
+            const entry = counts.get(key) ?? { count: 0, byMonster: {} };
+            entry.count++;
+            entry.byMonster[monster.id] = (entry.byMonster[monster.id] ?? 0) + 1;
+            counts.set(key, entry);
+        });
+    });
+    return counts;
+}
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * @file rules.js
+ * @description A small interpreter for the declarative condition language used in
+ * `monsters.json` and `config.js`. Conditions are plain JSON, for example:
+ *
+ *   { "all": [ { "season": "Winter" }, { "period": ["Night", "Midnight"] }, { "not": { "event": "yule" } } ] }
+ *
+ * Leaf clauses are looked up in `CONDITION_PREDICATES` (events are the holidays of
+ * `holidays.js`), and the combinators `all`, `any` and `not` can be nested freely.
+ * Every evaluation also reports which clauses failed, so the UI can explain why a
+ * monster cannot be spotted.
+ */
+
+import { REFERENCE_LOCATIONS, WEATHER_TYPES, TIME_PERIODS, SEASON_ICONS } from '../config.js';
+import { isHoliday, isFullMoon, isMoonUp, isDark, isNight, isWitchingHour, getCurrentSeason, getCurrentPeriodName } from './time.js';
+import { HOLIDAYS } from './holidays.js';
+import { getWeatherAt } from './weather.js';
+import { t } from './i18n.js';
+
+/**
+ * Normalizes a leaf value that may be given either as a single value or as a list.
+ * @param {string|Array<string>} value - The raw clause value.
+ * @returns {Array<string>}
+ */
+const toList = (value) => Array.isArray(value) ? value : [value];
+
+/**
+ * Describes the alternatives of a leaf clause, e.g. "Winter or Spring", translating each value.
+ * @param {string|Array<string>} value - The raw clause value.
+ * @param {string} prefix - The message key prefix of the values (e.g., 'season').
+ * @returns {string}
+ */
+const describeList = (value, prefix) => toList(value).map(item => t(`${prefix}.${item}`)).join(` ${t('condition.or')} `);
+
+/**
+ * Creates a predicate for a boolean flag clause such as `{ "fullMoon": true }`.
+ * @param {function(object=): boolean} check - The function reporting the current state of the flag.
+ * @param {string} flag - The name of the flag, whose human-readable name is the `flag.<name>` message.
+ * @param {boolean} [perLocation=false] - Whether the flag depends on where the sighting happens.
+ * @returns {{test: function, describe: function, values: function, perLocation: boolean}}
+ */
+const flagPredicate = (check, flag, perLocation = false) => ({
+    test: (expected, context) => check(context.location) === (expected !== false),
+    describe: (expected) => expected !== false ? t(`flag.${flag}`) : t('condition.no', { flag: t(`flag.${flag}`) }),
+    values: () => [true, false],
+    perLocation
+});
+
+// The clause names that combine other conditions rather than test something themselves.
+const COMBINATORS = ['all', 'any', 'not'];
+
+/**
+ * The leaf clauses understood by the interpreter. Each predicate knows how to test
+ * a clause value against the current conditions, how to describe it to a user,
+ * and which values it accepts (used to validate monster data).
+ * Predicates marked `perLocation` are tested at the location in the evaluation context.
+ * @type {object}
+ */
+export const CONDITION_PREDICATES = {
+    'season': {
+        test: (value) => toList(value).includes(getCurrentSeason()),
+        describe: (value) => describeList(value, 'season'),
+        values: () => Object.keys(SEASON_ICONS)
+    },
+    'period': {
+        test: (value) => toList(value).includes(getCurrentPeriodName()),
+        describe: (value) => describeList(value, 'period'),
+        values: () => Object.keys(TIME_PERIODS)
+    },
+    'event': {
+        test: (value) => toList(value).some(isHoliday),
+        describe: (value) => describeList(value, 'holiday'),
+        values: () => Object.keys(HOLIDAYS)
+    },
+    'weather': {
+        test: (value, context) => toList(value).includes(getWeatherAt(context.location)),
+        describe: (value) => describeList(value, 'weather'),
+        values: () => Object.keys(WEATHER_TYPES),
+        perLocation: true
+    },
+    'fullMoon':     flagPredicate(isFullMoon, 'fullMoon'),
+    'moonUp':       flagPredicate(isMoonUp, 'moonUp', true),
+    'dark':         flagPredicate(isDark, 'dark', true),
+    'night':        flagPredicate(isNight, 'night', true),
+    'witchingHour': flagPredicate(isWitchingHour, 'witchingHour')
+};
+
+/**
+ * Produces a short, human-readable description of a condition in the active locale.
+ * @param {object} condition - The condition to describe.
+ * @returns {string}
+ */
+export function describeCondition(condition) {
+    if (!condition) return '';
+    const and = ` ${t('condition.and')} `;
+    if (condition.all) return condition.all.map(describeCondition).join(and);
+    if (condition.any) return `(${condition.any.map(describeCondition).join(` ${t('condition.or')} `)})`;
+    if (condition.not) return t('condition.not', { condition: describeCondition(condition.not) });
+
+    return Object.entries(condition)
+        .map(([key, value]) => CONDITION_PREDICATES[key]?.describe(value) ?? t('condition.unknown', { key }))
+        .join(and);
+}
+
+/**
+ * Checks a condition for mistakes that the interpreter would otherwise tolerate silently,
+ * such as unknown clauses, misspelled values and malformed combinators.
+ * @param {*} condition - The condition to check.
+ * @param {string} [path='condition'] - Where the condition sits, used to locate problems in messages.
+ * @returns {Array<string>} One message per problem found. Empty if the condition is valid.
+ */
+export function findConditionProblems(condition, path = 'condition') {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return [`${path} must be an object`];
+    }
+
+    const keys = Object.keys(condition);
+    const problems = [];
+    if (keys.length > 1 && keys.some(key => COMBINATORS.includes(key))) {
+        problems.push(`${path} mixes a combinator (${COMBINATORS.join(', ')}) with other clauses`);
+    }
+
+    keys.forEach(key => {
+        const value = condition[key];
+        const at = `${path}.${key}`;
+
+        if (key === 'all' || key === 'any') {
+            if (!Array.isArray(value) || value.length === 0) {
+                problems.push(`${at} must be a non-empty list of conditions`);
+            } else {
+                value.forEach((child, index) => problems.push(...findConditionProblems(child, `${at}[${index}]`)));
+            }
+        } else if (key === 'not') {
+            problems.push(...findConditionProblems(value, at));
+        } else if (!CONDITION_PREDICATES[key]) {
+            problems.push(`${at} is not a known condition (expected one of ${[...COMBINATORS, ...Object.keys(CONDITION_PREDICATES)].join(', ')})`);
+        } else {
+            const allowed = CONDITION_PREDICATES[key].values();
+            toList(value)
+                .filter(item => !allowed.includes(item))
+                .forEach(item => problems.push(`${at} has unknown value ${JSON.stringify(item)} (expected one of ${allowed.join(', ')})`));
+        }
+    });
+    return problems;
+}
+
+/**
+ * Lists the per-location clauses (such as `dark` or `weather`) used anywhere in a condition.
+ * @param {*} condition - The condition to search.
+ * @returns {Array<string>} The names of the per-location clauses, each listed once.
+ */
+export function findPerLocationClauses(condition) {
+    if (!condition || typeof condition !== 'object') return [];
+    const found = Object.entries(condition).flatMap(([key, value]) => {
+        if (key === 'all' || key === 'any') return Array.isArray(value) ? value.flatMap(findPerLocationClauses) : [];
+        if (key === 'not') return findPerLocationClauses(value);
+        return CONDITION_PREDICATES[key]?.perLocation ? [key] : [];
+    });
+    return [...new Set(found)];
+}
+
+/**
+ * Tests a single leaf clause. A per-location clause evaluated without a location is
+ * tested at every reference point of the country instead, and only gives a definite
+ * answer if all of them agree.
+ * @param {string} key - The clause name.
+ * @param {*} value - The clause value.
+ * @param {object} context - The evaluation context.
+ * @returns {boolean|null} The result, or null if it depends on the location.
+ */
+function testClause(key, value, context) {
+    const predicate = CONDITION_PREDICATES[key];
+    if (!predicate) return false;
+    if (!predicate.perLocation || context.location) return predicate.test(value, context);
+
+    const results = new Set(REFERENCE_LOCATIONS.map(location => predicate.test(value, { ...context, location })));
+    return results.size === 1 ? results.has(true) : null;
+}
+
+/**
+ * Evaluates a condition using three-valued logic, where `null` means "depends on the location".
+ * @param {object} condition - The condition to evaluate.
+ * @param {object} context - The evaluation context.
+ * @returns {{result: (boolean|null), failed: Array<string>}}
+ */
+function evaluate(condition, context) {
+    if (condition.all) {
+        const children = condition.all.map(child => evaluate(child, context));
+        const result = children.some(c => c.result === false) ? false
+            : children.some(c => c.result === null) ? null : true;
+        return { result, failed: children.flatMap(c => c.failed) };
+    }
+
+    if (condition.any) {
+        const children = condition.any.map(child => evaluate(child, context));
+        const result = children.some(c => c.result === true) ? true
+            : children.some(c => c.result === null) ? null : false;
+        return { result, failed: result === true ? [] : [describeCondition(condition)] };
+    }
+
+    if (condition.not) {
+        const inner = evaluate(condition.not, context).result;
+        const result = inner === null ? null : !inner;
+        return { result, failed: result === true ? [] : [describeCondition(condition)] };
+    }
+
+    const clauses = Object.entries(condition).map(([key, value]) => ({ key, value, result: testClause(key, value, context) }));
+    const result = clauses.some(c => c.result === false) ? false
+        : clauses.some(c => c.result === null) ? null : true;
+    const failed = clauses.filter(c => c.result !== true).map(c => describeCondition({ [c.key]: c.value }));
+    return { result, failed };
+}
+
+/**
+ * Evaluates a condition against the current simulation conditions.
+ * A leaf object with several keys is treated as an implicit `all`.
+ * An unknown clause never matches, so a typo cannot silently unlock a monster.
+ *
+ * Without a location in the context, per-location clauses such as `dark` may not have
+ * a single answer for the whole country. The condition is then `possible` but not `met`,
+ * and `perLocation` tells the caller to re-check it for each sighting location.
+ * @param {object} [condition] - The condition to evaluate. An empty condition always matches.
+ * @param {{location?: {latitude: number, longitude: number}}} [context={}] - The evaluation context.
+ * @returns {{met: boolean, possible: boolean, perLocation: boolean, failed: Array<string>}} Whether the condition
+ * definitely holds, whether it can hold somewhere, whether that depends on the location, and a description of
+ * every clause that did not definitely hold.
+ */
+export function evaluateCondition(condition, context = {}) {
+    if (!condition) return { met: true, possible: true, perLocation: false, failed: [] };
+
+    const { result, failed } = evaluate(condition, context);
+    return { met: result === true, possible: result !== false, perLocation: result === null, failed };
+}
\ No newline at end of file
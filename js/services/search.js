@@ -0,0 +1,194 @@
+/**
+ * @file search.js
+ * @description The place search. On the first search, an index is built over every loaded GeoNames
+ * place (towns, lakes, mountains, churches and so on) from its name, ASCII name and alternate
+ * names. Names are folded to lower case without diacritics, so "goteborg" finds Göteborg, and split
+ * into trigrams. A query is only compared with the names that share trigrams with it; close
+ * misspellings are found by a fuzzy prefix match. The matches are ranked by how well they match
+ * and by how important the place is (see `SEARCH_IMPORTANCE`).
+ */
+
+import { appState } from '../state.js';
+import { SEARCH_IMPORTANCE } from '../config.js';
+
+// The most places a search returns.
+export const MAX_SEARCH_RESULTS = 12;
+
+// The shortest query, in folded characters, that is searched for.
+const MIN_QUERY_LENGTH = 2;
+
+// Letters that have no decomposed form, with what they fold to.
+const FOLDED_LETTERS = { 'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'ß': 'ss', 'đ': 'd', 'ł': 'l', 'þ': 'th' };
+
+// The match qualities, from an exact match of the whole name down to a substring in a word.
+const MATCH_QUALITY = { exact: 1, prefix: 0.9, wordPrefix: 0.8, substring: 0.6, fuzzy: 0.5 };
+
+// How much the match quality weighs against the importance of the place (0-10) in the ranking.
+const MATCH_WEIGHT = 20;
+
+/**
+ * Folds a text for searching: lower case, without diacritics (å, ä and ö become a, a and o), and
+ * with every run of punctuation and spaces turned into a single space.
+ * @param {string} text - The text to fold.
+ * @returns {string}
+ */
+export function foldText(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[øæœßđłþ]/g, letter => FOLDED_LETTERS[letter])
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Splits a folded text into its trigrams. The text is padded with a leading space, so that the
+ * start of a name has trigrams of its own and a two-letter query has one.
+ * @param {string} folded - The folded text.
+ * @returns {Set<string>}
+ */
+function getTrigrams(folded) {
+    const padded = ` ${folded}`;
+    const trigrams = new Set();
+    for (let i = 0; i + 3 <= padded.length; i++) {
+        trigrams.add(padded.slice(i, i + 3));
+    }
+    return trigrams;
+}
+
+/**
+ * Gets all names of a place: its name, its ASCII name and its alternate names. Alternate names
+ * can be given as an array or, as in the GeoNames dump, as a comma-separated string.
+ * @param {object} location - A location record.
+ * @returns {Array<string>}
+ */
+function getPlaceNames(location) {
+    const alternateNames = Array.isArray(location.alternatenames)
+        ? location.alternatenames
+        : String(location.alternatenames ?? '').split(',');
+    return [location.name, location.asciiname, ...alternateNames].filter(Boolean);
+}
+
+/**
+ * Builds the search index over a list of places.
+ * @param {Array<object>} locations - The location records.
+ * @returns {{names: Array<{location: object, name: string, folded: string}>, postings: Map<string, Array<number>>}}
+ * Every distinct folded name of every place, and the indices of the names that contain each trigram.
+ */
+function buildSearchIndex(locations) {
+    const names = [];
+    const postings = new Map();
+    locations.forEach(location => {
+        const seen = new Set();
+        getPlaceNames(location).forEach(name => {
+            const folded = foldText(name);
+            if (!folded || seen.has(folded)) return;
+            seen.add(folded);
+
+            const index = names.length;
+            names.push({ location, name, folded });
+            getTrigrams(folded).forEach(trigram => {
+                if (!postings.has(trigram)) postings.set(trigram, []);
+                postings.get(trigram).push(index);
+            });
+        });
+    });
+    return { names, postings };
+}
+
+/**
+ * Calculates the edit distance between a query and the closest prefix of a text. Every inserted,
+ * deleted or replaced letter and every swap of two neighbouring letters counts as one edit, and
+ * the rest of the text after the prefix is free.
+ * @param {string} query - The folded query.
+ * @param {string} text - The folded text.
+ * @returns {number}
+ */
+function getPrefixDistance(query, text) {
+    let beforePrevious = null;
+    let previous = Array.from({ length: text.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= query.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= text.length; j++) {
+            const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && query[i - 1] === text[j - 2] && query[i - 2] === text[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+        }
+        beforePrevious = previous;
+        previous = current;
+    }
+    return Math.min(...previous);
+}
+
+/**
+ * Rates how well a folded name matches a folded query. Short queries must match exactly; longer
+ * ones may be one typo away from the start of a word, and long ones two.
+ * @param {string} query - The folded query.
+ * @param {string} folded - The folded name.
+ * @returns {number} The match quality (see `MATCH_QUALITY`), or 0 if the name does not match.
+ */
+function getMatchQuality(query, folded) {
+    if (folded === query) return MATCH_QUALITY.exact;
+    if (folded.startsWith(query)) return MATCH_QUALITY.prefix;
+    if (folded.includes(` ${query}`)) return MATCH_QUALITY.wordPrefix;
+    if (folded.includes(query)) return MATCH_QUALITY.substring;
+
+    const allowedTypos = query.length < 5 ? 0 : (query.length < 9 ? 1 : 2);
+    if (allowedTypos === 0) return 0;
+    const words = folded.split(' ').map((_, index, parts) => parts.slice(index).join(' '));
+    const typos = Math.min(...words.map(word => getPrefixDistance(query, word)));
+    return typos <= allowedTypos ? MATCH_QUALITY.fuzzy * (1 - typos / (allowedTypos + 1)) : 0;
+}
+
+/**
+ * Gets the importance of a place in the ranking, from its kind and, when known, its population.
+ * @param {object} location - A location record.
+ * @returns {number}
+ */
+function getImportance(location) {
+    const importance = SEARCH_IMPORTANCE[location.fullFeatureCode] ?? SEARCH_IMPORTANCE[location.featureClass] ?? 0;
+    return importance + Math.log10((Number(location.population) || 0) + 1) / 3;
+}
+
+/**
+ * Searches all loaded places by name. The index is built on the first search and kept in the app state.
+ * @param {string} query - What the user typed.
+ * @param {number} [limit=MAX_SEARCH_RESULTS] - The most places to return.
+ * @returns {Array<{location: object, name: string, score: number}>} The matching places, best
+ * first, each with the name it matched by (its own name or an alternate name).
+ */
+export function searchPlaces(query, limit = MAX_SEARCH_RESULTS) {
+    const folded = foldText(query);
+    if (folded.length < MIN_QUERY_LENGTH) return [];
+
+    appState.searchIndex ??= buildSearchIndex(appState.allLocations);
+    const { names, postings } = appState.searchIndex;
+
+    // A typo breaks up to three trigrams, so candidates need to share only some of them.
+    const queryTrigrams = getTrigrams(folded);
+    const sharedCounts = new Map();
+    queryTrigrams.forEach(trigram => {
+        (postings.get(trigram) ?? []).forEach(index => sharedCounts.set(index, (sharedCounts.get(index) ?? 0) + 1));
+    });
+    const minShared = Math.max(1, queryTrigrams.size - 6);
+
+    const bestByLocation = new Map();
+    sharedCounts.forEach((shared, index) => {
+        if (shared < minShared) return;
+        const { location, name } = names[index];
+        const quality = getMatchQuality(folded, names[index].folded);
+        if (quality === 0) return;
+
+        const score = quality * MATCH_WEIGHT + getImportance(location);
+        if (score > (bestByLocation.get(location)?.score ?? -Infinity)) {
+            bestByLocation.set(location, { location, name, score });
+        }
+    });
+
+    return [...bestByLocation.values()]
+        .sort((a, b) => b.score - a.score || a.location.name.localeCompare(b.location.name))
+        .slice(0, limit);
+}
\ No newline at end of file
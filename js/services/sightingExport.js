@@ -0,0 +1,189 @@
+/**
+ * @file sightingExport.js
+ * @description Exports sightings as GeoJSON, CSV, KML or GPX files, for GIS tools like QGIS, Google
+ * Earth and handheld GPS units. The sightings of one day or of every day of a range (see
+ * `getDaySightings` in `spottingCalculator.js` and `simulateDays` in `statistics.js`) are first
+ * turned into flat records, which every format writes in its own way.
+ */
+
+import { appState } from '../state.js';
+import { getInstantOfDay } from './clock.js';
+import { t } from './i18n.js';
+import { getLocationTypeName, formatMinutes } from '../utils/helpers.js';
+
+// The name the files are created by, in the formats that record it.
+const CREATOR = 'Swedish Monster Spotter';
+
+// The number of decimals coordinates are written with (about 0.1 m).
+const COORDINATE_DECIMALS = 6;
+
+// The columns of the CSV file, in order.
+const CSV_COLUMNS = ['monsterId', 'monsterName', 'date', 'time', 'timestamp', 'latitude', 'longitude', 'place', 'geonameid', 'habitat', 'chance'];
+
+/**
+ * Turns the sightings of one or more days into export records, one per sighting of an enabled monster.
+ * @param {Array<{date: Date, seed: string, sightings: object}>} days - The days, each with its
+ * UTC-midnight application date, its date seed and its sightings (see `getDaySightings`).
+ * @returns {Array<object>} The records, by day and then by monster: the monster's id and name, the
+ * date seed, the time of day and the instant it denotes, the jittered coordinates, the name and
+ * `geonameid` of the nearest place, the type of that place and the monster's final chance on that day.
+ */
+export function buildSightingRecords(days) {
+    const monsters = appState.monsters.filter(monster => monster.state.isEnabled);
+    return days.flatMap(day => monsters.flatMap(monster => {
+        const entry = day.sightings[monster.id];
+        if (!entry) return [];
+        return entry.places.map(({ lat, lng, geonameid, minute }) => {
+            const place = appState.locationsByGeonameId.get(String(geonameid));
+            return {
+                monsterId: monster.id,
+                monsterName: monster.getName(),
+                date: day.seed,
+                time: formatMinutes(minute),
+                timestamp: getInstantOfDay(minute, day.date).toISOString(),
+                latitude: Number(lat.toFixed(COORDINATE_DECIMALS)),
+                longitude: Number(lng.toFixed(COORDINATE_DECIMALS)),
+                place: place?.name ?? '',
+                geonameid: geonameid ?? null,
+                habitat: place ? getLocationTypeName(place) : '',
+                chance: Number(entry.chance.toFixed(6))
+            };
+        });
+    }));
+}
+
+/**
+ * Escapes a text for use in XML content or attribute values.
+ * @param {*} value - The value to escape.
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Describes a record in one line in the active language, e.g. 'Vampire near Sigtuna, 2025-10-31 23:14'.
+ * @param {object} record - An export record.
+ * @returns {string}
+ */
+function describeRecord(record) {
+    return t('export.description', { name: record.monsterName, place: record.place || '?', date: record.date, time: record.time });
+}
+
+/**
+ * Writes the records as a GeoJSON FeatureCollection of points.
+ * @param {Array<object>} records - The export records.
+ * @returns {string}
+ */
+function toGeoJSON(records) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: records.map(({ latitude, longitude, ...properties }) => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [longitude, latitude] },
+            properties
+        }))
+    }, null, 2);
+}
+
+/**
+ * Writes the records as a CSV file (RFC 4180), with a header row. Text that a spreadsheet would
+ * run as a formula (starting with =, +, - or @) is prefixed with an apostrophe.
+ * @param {Array<object>} records - The export records.
+ * @returns {string}
+ */
+function toCSV(records) {
+    const formatCell = value => {
+        if (value === null || value === undefined) return '';
+        if (typeof value !== 'string') return String(value);
+        const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = records.map(record => CSV_COLUMNS.map(column => formatCell(record[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes the records as a KML document, with one folder of placemarks per monster. Every placemark
+ * has its time stamp, so Google Earth can play the sightings back on its time slider.
+ * @param {Array<object>} records - The export records.
+ * @param {string} name - The name of the document.
+ * @returns {string}
+ */
+function toKML(records, name) {
+    const folders = new Map();
+    records.forEach(record => {
+        if (!folders.has(record.monsterId)) folders.set(record.monsterId, []);
+        folders.get(record.monsterId).push(record);
+    });
+
+    const placemark = record => {
+        const data = CSV_COLUMNS
+            .filter(column => column !== 'latitude' && column !== 'longitude')
+            .map(column => `<Data name="${column}"><value>${escapeXml(record[column] ?? '')}</value></Data>`)
+            .join('');
+        return `      <Placemark>
+        <name>${escapeXml(record.monsterName)}</name>
+        <description>${escapeXml(describeRecord(record))}</description>
+        <TimeStamp><when>${record.timestamp}</when></TimeStamp>
+        <ExtendedData>${data}</ExtendedData>
+        <Point><coordinates>${record.longitude},${record.latitude}</coordinates></Point>
+      </Placemark>`;
+    };
+
+    const folderXml = [...folders.values()].map(folderRecords => `    <Folder>
+      <name>${escapeXml(folderRecords[0].monsterName)}</name>
+${folderRecords.map(placemark).join('\n')}
+    </Folder>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+${folderXml}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Writes the records as a GPX 1.1 file of waypoints, which handheld GPS units can load.
+ * @param {Array<object>} records - The export records.
+ * @param {string} name - The name of the file's contents.
+ * @returns {string}
+ */
+function toGPX(records, name) {
+    const waypoints = records.map(record => `  <wpt lat="${record.latitude}" lon="${record.longitude}">
+    <time>${record.timestamp}</time>
+    <name>${escapeXml(record.monsterName)}</name>
+    <desc>${escapeXml(describeRecord(record))}</desc>
+    <type>${escapeXml(record.monsterId)}</type>
+  </wpt>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${waypoints}
+</gpx>
+`;
+}
+
+/**
+ * The export formats, with their file extension, MIME type and writer. Every writer takes the
+ * records and a name for the contents, and returns the contents of the file.
+ * @type {object}
+ */
+export const EXPORT_FORMATS = {
+    geojson: { label: 'GeoJSON', extension: 'geojson', type: 'application/geo+json', write: toGeoJSON },
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv', write: toCSV },
+    kml: { label: 'KML', extension: 'kml', type: 'application/vnd.google-earth.kml+xml', write: toKML },
+    gpx: { label: 'GPX', extension: 'gpx', type: 'application/gpx+xml', write: toGPX }
+};
\ No newline at end of file
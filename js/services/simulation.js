@@ -0,0 +1,203 @@
+/**
+ * @file simulation.js
+ * @description Runs the spotting engine (see `spottingCalculator.js`) in a Web Worker
+ * (`simulationWorker.js`), so that the page stays responsive while the sightings are calculated.
+ * The locations are sent to the worker once at startup; every calculation then sends the state the
+ * engine reads, and the worker streams the sightings back monster by monster. Only the newest
+ * calculation counts: requesting a new one cancels the one in progress, so scrubbing the debug
+ * time does not queue up a calculation for every step. The statistics also simulate their ranges of
+ * days in the worker; several ranges can run at once, and each is cancelled on its own. In browsers
+ * without module workers, or if the worker cannot be loaded, everything is calculated on the main
+ * thread instead.
+ */
+
+import { appState, debugState } from '../state.js';
+import { LOCATION_GROUPS } from '../config.js';
+import { calculateSpottedMonsters, calculateSpottedDay } from './spottingCalculator.js';
+import { withSimulationMoment } from './clock.js';
+
+// How many days to simulate on the main thread between yields to the browser, so the page stays responsive.
+const DAYS_PER_CHUNK = 5;
+
+let worker = null;
+let nextRequestId = 1;
+
+// The calculation in progress: its request id and monsters, the sightings received so far, and its callbacks.
+let pending = null;
+
+// The ranges of days being simulated, keyed by request id: their dates and time of day, the days received so far, and their callbacks.
+const dayRuns = new Map();
+
+/**
+ * Gets the state the engine reads, to send with a request to the worker.
+ * @param {Array<Monster>} monsters - The Monster instances to calculate.
+ * @returns {object}
+ */
+function getRequestState(monsters) {
+    return {
+        currentDate: appState.currentDate,
+        useLocalTime: appState.useLocalTime,
+        clock: appState.clock,
+        locale: appState.locale,
+        debug: { ...debugState },
+        locationGroups: LOCATION_GROUPS,
+        monsters: monsters.map(monster => monster.toDefinition())
+    };
+}
+
+/**
+ * Calculates the pending request on the main thread, once the worker has failed.
+ */
+function calculatePendingOnMainThread() {
+    if (!pending) return;
+    const { monsters, resolve, reject } = pending;
+    pending = null;
+    try {
+        resolve(calculateSpottedMonsters(monsters));
+    } catch (error) {
+        reject(error);
+    }
+}
+
+/**
+ * Simulates a list of days on the main thread, a few at a time.
+ * @param {Array<Date>} dates - The UTC-midnight application dates.
+ * @param {number} minutes - The time of day, in minutes past midnight.
+ * @param {object} [options={}] - The options of `calculateDays`.
+ * @returns {Promise<Array<object>|null>} The simulated days, or null if the run was cancelled.
+ */
+async function calculateDaysOnMainThread(dates, minutes, { onProgress, signal } = {}) {
+    const days = [];
+    for (const date of dates) {
+        if (signal?.aborted) return null;
+        days.push(withSimulationMoment(date, minutes, calculateSpottedDay));
+
+        if (days.length % DAYS_PER_CHUNK === 0) {
+            onProgress?.(days.length, dates.length);
+            await new Promise(resolve => setTimeout(resolve));
+        }
+    }
+    onProgress?.(dates.length, dates.length);
+    return days;
+}
+
+/**
+ * Handles a message from the worker about a range of days.
+ * @param {object} message - The message.
+ */
+function handleDayRunMessage(message) {
+    const run = dayRuns.get(message.id);
+    if (message.type === 'day') {
+        run.days.push(message.day);
+        run.onProgress?.(run.days.length, run.dates.length);
+    } else if (message.type === 'done') {
+        dayRuns.delete(message.id);
+        run.resolve(run.days);
+    } else if (message.type === 'error') {
+        dayRuns.delete(message.id);
+        run.reject(new Error(message.message));
+    }
+}
+
+/**
+ * Handles a message from the worker. Messages of a request that has been superseded or cancelled are ignored.
+ * @param {MessageEvent} event - The message event.
+ */
+function handleMessage({ data: message }) {
+    if (dayRuns.has(message.id)) {
+        handleDayRunMessage(message);
+        return;
+    }
+    if (!pending || message.id !== pending.id) return;
+
+    if (message.type === 'result') {
+        pending.results[message.monsterId] = message.data;
+        pending.onResult?.(message.monsterId, message.data);
+    } else if (message.type === 'done') {
+        pending.resolve(pending.results);
+        pending = null;
+    } else if (message.type === 'error') {
+        pending.reject(new Error(message.message));
+        pending = null;
+    }
+}
+
+/**
+ * Stops using a worker that could not be loaded or has crashed, and falls back on the main thread.
+ * @param {ErrorEvent} event - The error event.
+ */
+function handleWorkerError(event) {
+    console.error('The simulation worker failed; calculating on the main thread instead:', event.message);
+    worker.terminate();
+    worker = null;
+    calculatePendingOnMainThread();
+
+    dayRuns.forEach(run => calculateDaysOnMainThread(run.dates, run.minutes, run).then(run.resolve, run.reject));
+    dayRuns.clear();
+}
+
+/**
+ * Starts the simulation worker and sends it the locations. Call this once, after the data has loaded.
+ * @param {Array<object>} locations - The raw location data from locations_se.json.
+ */
+export function startSimulationWorker(locations) {
+    if (typeof Worker === 'undefined') return;
+    try {
+        worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.error('Failed to start the simulation worker:', error);
+        return;
+    }
+    worker.addEventListener('message', handleMessage);
+    worker.addEventListener('error', handleWorkerError);
+    worker.postMessage({ type: 'init', locations });
+}
+
+/**
+ * Calculates the sightings of the monsters on the current date, at the simulation instant last
+ * resolved (see `resolveSimulationTime`). A calculation that is still in progress is cancelled.
+ * @param {Array<Monster>} monsters - The array of Monster instances from the app state.
+ * @param {object} [options={}] - The options.
+ * @param {function(string, object): void} [options.onResult] - Called with the id and the
+ * calculated spotting data of every monster as it arrives from the worker.
+ * @returns {Promise<object|null>} An object mapping monster IDs to their calculated spotting data
+ * (see `calculateSpottedMonsters`), or null if the calculation was cancelled by a newer one.
+ */
+export function calculateSightings(monsters, { onResult } = {}) {
+    pending?.resolve(null);
+    pending = null;
+    if (!worker) return Promise.resolve(calculateSpottedMonsters(monsters));
+
+    return new Promise((resolve, reject) => {
+        pending = { id: nextRequestId++, monsters, results: {}, onResult, resolve, reject };
+        worker.postMessage({ type: 'calculate', id: pending.id, ...getRequestState(monsters) });
+    });
+}
+
+/**
+ * Simulates a list of days, each at the same time of day, for the statistics (see `simulateDays` in
+ * `statistics.js`). Unlike `calculateSightings`, a new run does not cancel the others.
+ * @param {Array<Date>} dates - The UTC-midnight application dates.
+ * @param {number} minutes - The time of day to simulate every day at, in minutes past midnight.
+ * @param {object} [options={}] - The options.
+ * @param {function(number, number): void} [options.onProgress] - Called with the number of days
+ * done and the number of days in total.
+ * @param {AbortSignal} [options.signal] - Cancels the run when aborted.
+ * @returns {Promise<Array<object>|null>} The simulated days in the order of `dates` (see
+ * `calculateSpottedDay`), or null if the run was cancelled.
+ */
+export function calculateDays(dates, minutes, { onProgress, signal } = {}) {
+    if (signal?.aborted) return Promise.resolve(null);
+    if (!worker) return calculateDaysOnMainThread(dates, minutes, { onProgress, signal });
+
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        dayRuns.set(id, { dates, minutes, days: [], onProgress, signal, resolve, reject });
+        signal?.addEventListener('abort', () => {
+            if (!dayRuns.delete(id)) return;
+            worker?.postMessage({ type: 'cancel', id });
+            resolve(null);
+        }, { once: true });
+        worker.postMessage({ type: 'simulateDays', id, dates, minutes, ...getRequestState(appState.monsters) });
+    });
+}
\ No newline at end of file
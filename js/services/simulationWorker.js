@@ -0,0 +1,143 @@
+/**
+ * @file simulationWorker.js
+ * @description The entry point of the simulation worker (see `simulation.js`), which runs the
+ * spotting engine off the main thread. The worker has its own copy of the app state: the locations
+ * are sent once at startup, and every calculation request brings the rest of what the engine reads
+ * (the date and clock, the debug overrides, the locale, the location groups and the monster
+ * definitions). The sightings of each monster are posted back as soon as they are calculated.
+ * Between two monsters the worker handles its pending messages, so a calculation is abandoned as
+ * soon as a newer one is requested.
+ * The statistics send ranges of days to simulate, which are posted back one day at a time. A range
+ * runs until it is done or cancelled, taking turns with the other requests in progress, and each
+ * request brings its own state back into the app state when its turn comes.
+ *
+ * Messages in: `{ type: 'init', locations }`, `{ type: 'calculate', id, ...state }`,
+ * `{ type: 'simulateDays', id, dates, minutes, ...state }` and `{ type: 'cancel', id }`.
+ * Messages out: `{ type: 'result', id, monsterId, data }`, `{ type: 'day', id, day }`,
+ * `{ type: 'done', id }` and `{ type: 'error', id, message }`.
+ */
+
+// The engine needs `Math.seedrandom`; module workers cannot use importScripts, so the library is imported for its side effect.
+import 'https://cdnjs.cloudflare.com/ajax/libs/seedrandom/3.0.5/seedrandom.min.js';
+import { appState, debugState } from '../state.js';
+import { LOCATION_GROUPS } from '../config.js';
+import { Monster } from '../monster.js';
+import { indexLocations } from './dataLoader.js';
+import { calculateSpottedMonster, calculateSpottedDay } from './spottingCalculator.js';
+import { getDateSeed } from './time.js';
+import { withSimulationMoment } from './clock.js';
+import { setLocale } from './i18n.js';
+
+// The id of the newest calculation request. Any older calculation still running is abandoned.
+let latestRequestId = null;
+
+// The ids of the ranges of days being simulated. A cancelled range is removed, and stops at its next turn.
+const dayRunIds = new Set();
+
+// The request whose state is in the app state.
+let activeRequest = null;
+
+// A channel to the worker itself, used to yield to its pending messages without the delay of a timer.
+// Every yield posts one message, which resumes the oldest yield still waiting.
+const yieldChannel = new MessageChannel();
+const waitingYields = [];
+yieldChannel.port1.onmessage = () => waitingYields.shift()();
+
+/**
+ * Lets the worker handle the messages that have arrived meanwhile, such as a newer request.
+ * @returns {Promise<void>}
+ */
+function yieldToMessages() {
+    return new Promise(resolve => {
+        waitingYields.push(resolve);
+        yieldChannel.port2.postMessage(null);
+    });
+}
+
+/**
+ * Copies the state sent with a request into the worker's app state, unless it is there already.
+ * @param {object} request - The calculation request.
+ */
+function applyRequestState(request) {
+    if (request === activeRequest) return;
+    activeRequest = request;
+
+    const { currentDate, useLocalTime, clock, locale, debug, locationGroups, monsters } = request;
+    appState.currentDate = currentDate;
+    appState.useLocalTime = useLocalTime;
+    appState.clock = clock;
+    Object.assign(debugState, debug);
+    setLocale(locale);
+
+    // Packs add location groups of their own, and remove them again when they are uninstalled.
+    Object.keys(LOCATION_GROUPS).forEach(key => { delete LOCATION_GROUPS[key]; });
+    Object.assign(LOCATION_GROUPS, locationGroups);
+
+    request.instances ??= monsters.map(data => new Monster(data));
+    appState.monsters = request.instances;
+}
+
+/**
+ * Calculates the sightings of every monster for a request and posts them one monster at a time.
+ * @param {object} request - The calculation request.
+ * @returns {Promise<void>}
+ */
+async function calculate(request) {
+    applyRequestState(request);
+    const dateSeed = getDateSeed();
+
+    for (const monster of request.instances) {
+        await yieldToMessages();
+        if (request.id !== latestRequestId) return; // Superseded by a newer request
+
+        applyRequestState(request);
+        const data = calculateSpottedMonster(monster, dateSeed);
+        self.postMessage({ type: 'result', id: request.id, monsterId: monster.id, data });
+    }
+    self.postMessage({ type: 'done', id: request.id });
+}
+
+/**
+ * Simulates every day of a request at its time of day and posts them one day at a time.
+ * @param {object} request - The request, with its `dates` and `minutes`.
+ * @returns {Promise<void>}
+ */
+async function simulateDays(request) {
+    for (const date of request.dates) {
+        await yieldToMessages();
+        if (!dayRunIds.has(request.id)) return; // Cancelled
+
+        applyRequestState(request);
+        const day = withSimulationMoment(date, request.minutes, calculateSpottedDay);
+        self.postMessage({ type: 'day', id: request.id, day });
+    }
+    dayRunIds.delete(request.id);
+    self.postMessage({ type: 'done', id: request.id });
+}
+
+/**
+ * Runs a request, and posts its error if it fails.
+ * @param {function(object): Promise<void>} run - The function that runs the request.
+ * @param {object} request - The request.
+ */
+function runRequest(run, request) {
+    run(request).catch(error => {
+        console.error('Simulation failed:', error);
+        dayRunIds.delete(request.id);
+        self.postMessage({ type: 'error', id: request.id, message: error.message });
+    });
+}
+
+self.addEventListener('message', ({ data: message }) => {
+    if (message.type === 'init') {
+        indexLocations(message.locations);
+    } else if (message.type === 'calculate') {
+        latestRequestId = message.id;
+        runRequest(calculate, message);
+    } else if (message.type === 'simulateDays') {
+        dayRunIds.add(message.id);
+        runRequest(simulateDays, message);
+    } else if (message.type === 'cancel') {
+        dayRunIds.delete(message.id);
+    }
+});
\ No newline at end of file
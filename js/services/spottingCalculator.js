@@ -5,8 +5,9 @@
  */
 
 import { appState } from '../state.js';
-import { LOCATION_GROUPS } from '../config.js';
-import { getDateSeed } from './time.js';
+import { getDateSeed, getCumulativeActivity, getTimeOfDay, getCurrentSeason } from './time.js';
+import { resolveHabitats, pickFromHabitats } from './habitats.js';
+import { getIndividualsOn } from './individuals.js';
 
 /**
  * Interprets a spotted count number into a human-readable likelihood string.
@@ -20,53 +21,269 @@ function getLikelihood(count) {
     return 'High';
 }
 
+// How many candidates (places and times, or only times for an individual) to try per sighting before giving up on the restriction.
+const MAX_PLACEMENT_ATTEMPTS = 20;
+
+// The maximum number of potential sightings to simulate per monster and day.
+const MAX_SPOTTED = 40;
+
+// How many of a monster's most favourable counties to list in its breakdown.
+const TOP_REGION_COUNT = 3;
+
+/**
+ * Builds a monster's regional modifier table for the current date: the combined regional
+ * multiplier (abundance and weather) of every ADM1 county, from the most to the least favourable.
+ * @param {Monster} monster - The monster instance.
+ * @returns {Array<{admin1: string, name: string, multiplier: number}>}
+ */
+function buildRegionalTable(monster) {
+    return appState.adminHierarchy.adm1
+        .map(county => ({ admin1: county.admin1, name: county.name, multiplier: monster.getRegionalMultiplier(county) }))
+        .sort((a, b) => b.multiplier - a.multiplier);
+}
+
+/**
+ * Finds the highest regional multiplier a monster can have anywhere in the country today.
+ * @param {Monster} monster - The monster instance.
+ * @param {Array<{multiplier: number}>} regionalTable - The monster's regional table (see `buildRegionalTable`).
+ * @returns {number}
+ */
+function getMaxRegionalMultiplier(monster, regionalTable) {
+    // The empty location stands for places outside any known county.
+    return Math.max(monster.getRegionalMultiplier({}), ...regionalTable.map(region => region.multiplier));
+}
+
 /**
- * Generates a list of geographic locations for a given number of monster sightings.
+ * Draws a deterministic time of day for a sighting from the monster's activity curve
+ * (see `getCumulativeActivity`), so that sightings cluster around its most active periods.
+ * @param {Array<number>} cumulative - The monster's cumulative activity curve.
+ * @param {function} rng - A seeded random number generator function, separate from the one used for
+ * placement so that the times of unrestricted monsters never shift their sighting locations.
+ * @returns {number} Minutes past midnight (0-1439).
+ */
+function drawSightingMinute(cumulative, rng) {
+    // Binary search for the first minute whose cumulative weight exceeds the roll.
+    const roll = rng() * cumulative[cumulative.length - 1];
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (cumulative[mid] > roll) high = mid;
+        else low = mid + 1;
+    }
+    return low;
+}
+
+/**
+ * Gives a sighting a time of day and checks the monster's restriction at its place and time.
+ * @param {Monster} monster - The monster instance.
+ * @param {object} location - The candidate sighting location.
+ * @param {Array<number>} cumulative - The monster's cumulative activity curve.
+ * @param {function} timeRNG - The seeded random number generator function for the times.
+ * @param {boolean} checkRestriction - Whether the restriction must be checked for each sighting.
+ * @returns {number|null} The minute of the sighting, or null if the restriction does not hold then and there.
+ */
+function timeSighting(monster, location, cumulative, timeRNG, checkRestriction) {
+    const minute = drawSightingMinute(cumulative, timeRNG);
+    if (checkRestriction && !monster.isPossibleAt(location, minute)) return null;
+    return minute;
+}
+
+/**
+ * Generates a list of geographic locations for a given number of monster sightings, each with a
+ * time of day drawn from the monster's activity curve. When the monster has a restriction, it is
+ * checked for every candidate with `Monster.isPossibleAt` at the candidate's place and time, as
+ * conditions such as darkness vary with both latitude and the time of day. Candidates are also accepted
+ * in proportion to the monster's regional multiplier (e.g., weather), so sightings gather
+ * where the monster is abundant and conditions favour it. Sightings for which no valid candidate is found
+ * are dropped, so the returned list can be shorter than `count`.
  * @param {Monster} monster - The monster instance to generate locations for.
+ * @param {Array<object>} habitats - The monster's resolved habitats (see `resolveHabitats`).
+ * @param {Array<object>} regionalTable - The monster's regional table (see `buildRegionalTable`).
  * @param {number} count - The number of locations to generate.
  * @param {function} rng - The seeded random number generator function.
- * @returns {Array<object>} An array of location objects with randomized lat/lng.
+ * @param {function} timeRNG - The seeded random number generator function for the times.
+ * @param {boolean} checkRestriction - Whether the restriction must be checked for each sighting.
+ * @returns {Array<object>} An array of location objects with randomized lat/lng, the id of their
+ * habitat, and their `minute` (past midnight) and `timestamp`.
  */
-function generateMonsterLocations(monster, count, rng) {
-    if (count === 0) return [];
-    
-    const resolvedFeatureCodes = new Set();
-    monster.locations.forEach(locIdentifier => {
-        if (LOCATION_GROUPS[locIdentifier]) {
-            LOCATION_GROUPS[locIdentifier].forEach(code => resolvedFeatureCodes.add(code));
-        } else {
-            resolvedFeatureCodes.add(locIdentifier);
-        }
-    });
-
-    let locationPool = [];
-    resolvedFeatureCodes.forEach(code => {
-        if (code.includes('.')) { // Specific code like 'P.PPL'
-            locationPool.push(...(appState.locationsByFeatureCode.get(code) || []));
-        } else { // General class like 'T'
-            locationPool.push(...(appState.locationsByFeatureClass.get(code) || []));
-        }
-    });
+function generateMonsterLocations(monster, habitats, regionalTable, count, rng, timeRNG, checkRestriction) {
+    if (count === 0 || habitats.length === 0) return [];
 
-    if (locationPool.length === 0) return [];
+    const totalWeight = habitats.reduce((sum, habitat) => sum + habitat.weight, 0);
+    const maxRegionalMultiplier = getMaxRegionalMultiplier(monster, regionalTable);
+    const cumulative = getCumulativeActivity(monster.activeTime);
 
     const monsterLocations = [];
     for (let i = 0; i < count; i++) {
-        const baseLocation = locationPool[Math.floor(rng() * locationPool.length)];
+        let baseLocation = null;
+        let baseHabitat = null;
+        let minute = null;
+        for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS && !baseLocation; attempt++) {
+            const { habitat, location: candidate } = pickFromHabitats(habitats, totalWeight, rng);
+            const regionalMultiplier = monster.getRegionalMultiplier(candidate);
+            if (regionalMultiplier < maxRegionalMultiplier && rng() * maxRegionalMultiplier >= regionalMultiplier) continue;
+
+            minute = timeSighting(monster, candidate, cumulative, timeRNG, checkRestriction);
+            if (minute === null) continue;
+
+            baseLocation = candidate;
+            baseHabitat = habitat;
+        }
+        if (!baseLocation) continue;
+
         const spottedLocation = {
             ...baseLocation,
             // Add a small, deterministic jitter to the coordinates for visual variety
             lat: baseLocation.latitude + (rng() - 0.5) * 0.01,
             lng: baseLocation.longitude + (rng() - 0.5) * 0.01,
+            habitat: baseHabitat.id,
+            minute,
+            timestamp: getTimeOfDay(minute)
         };
         monsterLocations.push(spottedLocation);
     }
     return monsterLocations;
 }
 
+/**
+ * Gets the chance that one individual of a population is sighted today. Each individual gets an
+ * equal share of the potential sightings, so the expected number of sightings stays close to that
+ * of the normal mode, but never exceeds the size of the population.
+ * @param {number} chance - The monster's final spotting chance.
+ * @param {number} population - The number of individuals.
+ * @returns {number}
+ */
+function getIndividualSightingChance(chance, population) {
+    return 1 - Math.pow(1 - chance, MAX_SPOTTED / population);
+}
+
+/**
+ * Calculates how many sightings of a monster to expect on the current date at a given spotting
+ * chance, before any sightings are dropped by the restriction at their places and times.
+ * @param {Monster} monster - The monster instance.
+ * @param {number} chance - The monster's final spotting chance.
+ * @returns {number} The expected number of sightings.
+ */
+export function getExpectedSightings(monster, chance) {
+    if (chance <= 0) return 0;
+    if (!monster.individuals) return chance * MAX_SPOTTED;
+
+    const population = getIndividualsOn(monster, appState.currentDate).length;
+    return population === 0 ? 0 : population * getIndividualSightingChance(chance, population);
+}
+
+/**
+ * Decides which members of a species in individuals mode are sighted today, each with the
+ * chance of `getIndividualSightingChance`. Individuals are subject to the same regional thinning as
+ * normal sightings. An individual stays where it is, so when the restriction does not hold at the time drawn
+ * for its sighting, other times are drawn; if none of them fits, the individual is not sighted.
+ * @param {Monster} monster - The monster instance.
+ * @param {number} chance - The monster's final spotting chance.
+ * @param {Array<object>} regionalTable - The monster's regional table (see `buildRegionalTable`).
+ * @param {function} rng - The seeded random number generator function.
+ * @param {function} timeRNG - The seeded random number generator function for the times.
+ * @param {boolean} checkRestriction - Whether the restriction must be checked for each sighting.
+ * @returns {Array<object>} An array of location objects with randomized lat/lng, the id of their
+ * habitat, their `minute` (past midnight) and `timestamp`, and the id and name of the individual.
+ */
+function locateIndividuals(monster, chance, regionalTable, rng, timeRNG, checkRestriction) {
+    const individuals = getIndividualsOn(monster, appState.currentDate);
+    if (individuals.length === 0) return [];
+
+    const sightingChance = getIndividualSightingChance(chance, individuals.length);
+    const maxRegionalMultiplier = getMaxRegionalMultiplier(monster, regionalTable);
+    const cumulative = getCumulativeActivity(monster.activeTime);
+
+    const sightings = [];
+    individuals.forEach(individual => {
+        if (rng() >= sightingChance) return;
+
+        const regionalMultiplier = monster.getRegionalMultiplier(individual.location);
+        if (regionalMultiplier < maxRegionalMultiplier && rng() * maxRegionalMultiplier >= regionalMultiplier) return;
+
+        let minute = null;
+        for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS && minute === null; attempt++) {
+            minute = timeSighting(monster, individual.location, cumulative, timeRNG, checkRestriction);
+        }
+        if (minute === null) return;
+
+        sightings.push({
+            ...individual.location,
+            // Add a small, deterministic jitter to the coordinates for visual variety
+            lat: individual.location.latitude + (rng() - 0.5) * 0.01,
+            lng: individual.location.longitude + (rng() - 0.5) * 0.01,
+            habitat: individual.habitat,
+            minute,
+            timestamp: getTimeOfDay(minute),
+            individual: { id: individual.id, name: individual.name }
+        });
+    });
+    return sightings;
+}
+
+/**
+ * Calculates a single monster's spotting chance, simulates its sightings, and generates their locations.
+ * @param {Monster} monster - The monster instance.
+ * @param {string} [dateSeed] - The seed of the current date (see `getDateSeed`).
+ * @returns {object} The monster's calculated spotting data.
+ */
+export function calculateSpottedMonster(monster, dateSeed = getDateSeed()) {
+    const monsterRNG = new Math.seedrandom(dateSeed + monster.id);
+    const spottingData = monster.calculateSpottingData();
+    const habitats = resolveHabitats(monster);
+    const totalWeight = habitats.reduce((sum, habitat) => sum + habitat.weight, 0);
+    const habitatMix = habitats.map(habitat => ({ id: habitat.id, share: habitat.weight / totalWeight }));
+    const regionalTable = buildRegionalTable(monster);
+    const topRegions = regionalTable.filter(region => region.multiplier > 0).slice(0, TOP_REGION_COUNT);
+    
+    if (spottingData.chance <= 0) {
+        const isImpossible = spottingData.breakdown.some(step => step.type === 'impossible');
+        return {
+            count: 0,
+            locations: [],
+            likelihood: isImpossible ? 'Impossible' : 'Very Low',
+            currentChance: 0,
+            breakdown: spottingData.breakdown,
+            event: spottingData.event,
+            habitatMix,
+            topRegions: topRegions.map(region => ({ ...region, count: 0 }))
+        };
+    }
+
+    const timeRNG = new Math.seedrandom(`${dateSeed}${monster.id}-time`);
+    let locations;
+    if (monster.individuals) {
+        locations = locateIndividuals(monster, spottingData.chance, regionalTable, monsterRNG, timeRNG, spottingData.restricted);
+    } else {
+        let spottedCount = 0;
+        for (let i = 0; i < MAX_SPOTTED; i++) {
+            if (monsterRNG() < spottingData.chance) {
+                spottedCount++;
+            }
+        }
+        locations = generateMonsterLocations(monster, habitats, regionalTable, spottedCount, monsterRNG, timeRNG, spottingData.restricted);
+    }
+
+    return {
+        count: locations.length,
+        locations,
+        likelihood: getLikelihood(locations.length),
+        currentChance: spottingData.chance,
+        breakdown: spottingData.breakdown,
+        event: spottingData.event,
+        habitatMix,
+        topRegions: topRegions.map(region => ({
+            ...region,
+            count: locations.filter(loc => loc.admin1 === region.admin1).length
+        }))
+    };
+}
+
 /**
  * The main calculation function. It iterates through all monsters, determines their
  * spotting chance, simulates sightings, and generates their locations.
+ * The app runs it in the simulation worker (see `simulation.js`).
  * @param {Array<Monster>} monsters - The array of Monster instances from the app state.
  * @returns {object} An object mapping monster IDs to their calculated spotting data.
  */
@@ -75,39 +292,52 @@ export function calculateSpottedMonsters(monsters) {
     const dateSeed = getDateSeed();
 
     monsters.forEach(monster => {
-        const monsterRNG = new Math.seedrandom(dateSeed + monster.id);
-        const spottingData = monster.calculateSpottingData();
-        
-        if (spottingData.chance <= 0) {
-            const isImpossible = spottingData.breakdown.some(step => step.type === 'impossible');
-            calculatedData[monster.id] = {
-                count: 0,
-                locations: [],
-                likelihood: isImpossible ? 'Impossible' : 'Very Low',
-                currentChance: 0,
-                breakdown: spottingData.breakdown,
-                event: spottingData.event
-            };
-            return;
-        }
+        calculatedData[monster.id] = calculateSpottedMonster(monster, dateSeed);
+    });
 
-        let spottedCount = 0;
-        const maxSpotted = 40; // The maximum number of potential sightings to simulate
-        for (let i = 0; i < maxSpotted; i++) {
-            if (monsterRNG() < spottingData.chance) {
-                spottedCount++;
-            }
-        }
-        
-        calculatedData[monster.id] = {
-            count: spottedCount,
-            locations: generateMonsterLocations(monster, spottedCount, monsterRNG),
-            likelihood: getLikelihood(spottedCount),
-            currentChance: spottingData.chance,
-            breakdown: spottingData.breakdown,
-            event: spottingData.event
+    return calculatedData;
+}
+
+/**
+ * Reduces the spotting data of a day to its sightings: where and when they happened, and the
+ * chance of their monster. This is all the heatmap and the export need, and small enough to keep
+ * for every day of a long range.
+ * @param {object} spottedData - The spotting data of the day, from `calculateSpottedMonsters`.
+ * @returns {object} The chance of every monster with sightings, and its sightings (`places`), keyed
+ * by monster id. Each sighting has its jittered coordinates (`lat`, `lng`), the `geonameid` of the
+ * place it is near and its time of day (`minute`).
+ */
+export function getDaySightings(spottedData) {
+    const sightings = {};
+    Object.entries(spottedData).forEach(([monsterId, data]) => {
+        if (data.locations.length === 0) return;
+        sightings[monsterId] = {
+            chance: data.currentChance,
+            places: data.locations.map(({ lat, lng, geonameid, minute }) => ({ lat, lng, geonameid, minute }))
         };
     });
+    return sightings;
+}
+
+/**
+ * Calculates the sightings of all monsters on the current date and reduces them to what the
+ * statistics keep of a day (see `simulateDays` in `statistics.js`).
+ * @returns {{seed: string, season: string, counts: object, counties: object, sightings: object}} The
+ * date seed, the season, the number of sightings keyed by monster id, in total and per ADM1 code, and
+ * the chance and sightings of every monster (see `getDaySightings`).
+ */
+export function calculateSpottedDay() {
+    const spottedData = calculateSpottedMonsters(appState.monsters);
+    const counts = {};
+    const counties = {};
+    Object.entries(spottedData).forEach(([monsterId, data]) => {
+        counts[monsterId] = data.count;
+        data.locations.forEach(location => {
+            const admin1 = location.admin1 ?? '';
+            counties[admin1] ??= {};
+            counties[admin1][monsterId] = (counties[admin1][monsterId] ?? 0) + 1;
+        });
+    });
 
-    return calculatedData;
+    return { seed: getDateSeed(), season: getCurrentSeason(), counts, counties, sightings: getDaySightings(spottedData) };
 }
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * @file statistics.js
+ * @description Historical statistics over a range of dates. Runs the simulation engine
+ * (`calculateSpottedDay`) for every day of the range at a fixed time of day, in the simulation
+ * worker (see `simulation.js`), and sums up the sightings per monster and day, per county and per
+ * season, along with the record days. The simulated days also keep the places of their sightings,
+ * for the heatmap and the export of a range of dates.
+ * Every simulated day is cached in the app state under its date seed, so running the same or an
+ * overlapping range again only simulates the days that are new. Everything runs on the data that
+ * is already loaded, so no network is needed.
+ */
+
+import { appState, debugState } from '../state.js';
+import { TIME_PERIODS } from '../config.js';
+import { getDateSeed } from './time.js';
+import { getSimulationTimeZone } from './clock.js';
+import { calculateDays } from './simulation.js';
+
+// The longest range that can be simulated in one run, in days.
+export const MAX_STATISTICS_DAYS = 366;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds a key for everything besides the date that changes the outcome of a simulated day:
+ * the time of day, the time zone, the debug overrides and the monster definitions.
+ * A cached day is only reused if it was simulated under the same key.
+ * @param {string} period - The name of the time period the days are simulated in.
+ * @returns {string}
+ */
+function getContextKey(period) {
+    const { forceTime, ...overrides } = debugState;
+    return JSON.stringify([period, getSimulationTimeZone(), overrides, appState.monsters.map(monster => monster.toDefinition())]);
+}
+
+/**
+ * Sums up the simulated days of a range.
+ * @param {Array<object>} days - The simulated days (see `simulateDays`).
+ * @returns {object} The statistics (see `runStatistics`).
+ */
+function summarize(days) {
+    const monsterIds = appState.monsters.map(monster => monster.id);
+
+    const monsters = monsterIds.map(id => {
+        const total = days.reduce((sum, day) => sum + (day.counts[id] ?? 0), 0);
+        const record = days.reduce((best, day) => (day.counts[id] ?? 0) > (best?.count ?? 0)
+            ? { date: day.date, count: day.counts[id] } : best, null);
+        return { id, total, average: total / days.length, record };
+    });
+
+    const countyNames = new Map(appState.adminHierarchy.adm1.map(county => [county.admin1, county.name]));
+    const countyTotals = new Map();
+    days.forEach(day => {
+        Object.entries(day.counties).forEach(([admin1, byMonster]) => {
+            const entry = countyTotals.get(admin1) ?? { admin1, name: countyNames.get(admin1) ?? null, total: 0, byMonster: {} };
+            Object.entries(byMonster).forEach(([monsterId, count]) => {
+                entry.byMonster[monsterId] = (entry.byMonster[monsterId] ?? 0) + count;
+                entry.total += count;
+            });
+            countyTotals.set(admin1, entry);
+        });
+    });
+
+    const seasons = {};
+    days.forEach(day => {
+        seasons[day.season] ??= { days: 0, totals: {} };
+        seasons[day.season].days++;
+        monsterIds.forEach(id => {
+            seasons[day.season].totals[id] = (seasons[day.season].totals[id] ?? 0) + (day.counts[id] ?? 0);
+        });
+    });
+
+    const dayTotals = days.map(day => ({ date: day.date, total: Object.values(day.counts).reduce((sum, n) => sum + n, 0) }));
+    const recordDay = dayTotals.reduce((best, day) => day.total > (best?.total ?? 0) ? day : best, null);
+
+    return {
+        days: days.map(day => ({ date: day.date, seed: day.seed, season: day.season, counts: day.counts })),
+        monsters,
+        counties: [...countyTotals.values()].sort((a, b) => b.total - a.total),
+        seasons,
+        recordDay
+    };
+}
+
+/**
+ * Runs the simulation for every day from `startDate` to `endDate` (both included). The days that
+ * are not cached yet are simulated in the simulation worker, and the run can be cancelled.
+ * @param {Date} startDate - The first UTC-midnight application date.
+ * @param {Date} endDate - The last UTC-midnight application date.
+ * @param {object} [options={}] - The options.
+ * @param {string} [options.period='Midnight'] - The time period to simulate every day in, at its peak.
+ * @param {function} [options.onProgress] - Called with the number of days done and the number of days in total.
+ * @param {AbortSignal} [options.signal] - Cancels the run when aborted.
+ * @returns {Promise<Array<object>|null>} The simulated days (see `calculateSpottedDay`), each with
+ * its `date`, or null if the run was cancelled.
+ * @throws {RangeError} If the range is empty or longer than `MAX_STATISTICS_DAYS`.
+ */
+export async function simulateDays(startDate, endDate, { period = 'Midnight', onProgress, signal } = {}) {
+    const dayCount = Math.round((endDate.getTime() - startDate.getTime()) / MS_PER_DAY) + 1;
+    if (dayCount < 1 || dayCount > MAX_STATISTICS_DAYS) {
+        throw new RangeError(`The range must cover between 1 and ${MAX_STATISTICS_DAYS} days.`);
+    }
+
+    const contextKey = getContextKey(period);
+    const dates = Array.from({ length: dayCount }, (_, dayIndex) => new Date(startDate.getTime() + dayIndex * MS_PER_DAY));
+    const isCached = date => appState.statisticsCache.get(getDateSeed(date))?.contextKey === contextKey;
+    const newDates = dates.filter(date => !isCached(date));
+    const cachedCount = dayCount - newDates.length;
+
+    const newDays = await calculateDays(newDates, TIME_PERIODS[period].peak, {
+        signal,
+        onProgress: done => onProgress?.(cachedCount + done, dayCount)
+    });
+    if (!newDays) return null;
+    newDays.forEach(day => appState.statisticsCache.set(day.seed, { contextKey, ...day }));
+
+    onProgress?.(dayCount, dayCount);
+    return dates.map(date => ({ ...appState.statisticsCache.get(getDateSeed(date)), date }));
+}
+
+/**
+ * Runs the simulation for every day from `startDate` to `endDate` (both included) and sums up the
+ * results (see `simulateDays` for the parameters).
+ * @param {Date} startDate - The first UTC-midnight application date.
+ * @param {Date} endDate - The last UTC-midnight application date.
+ * @param {object} [options={}] - The options of `simulateDays`.
+ * @returns {Promise<object|null>} The statistics, or null if the run was cancelled:
+ * `days` (date, seed, season and sightings per monster of every day), `monsters` (the total,
+ * the daily average and the record day of every monster), `counties` (the sightings per ADM1 county,
+ * from most to fewest), `seasons` (the number of days and the sightings per monster of every season),
+ * and `recordDay` (the day with the most sightings in total).
+ */
+export async function runStatistics(startDate, endDate, options = {}) {
+    const days = await simulateDays(startDate, endDate, options);
+    return days && summarize(days);
+}
\ No newline at end of file
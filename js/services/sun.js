@@ -0,0 +1,100 @@
+/**
+ * @file sun.js
+ * @description Solar position calculations for a specific place and instant.
+ * Darkness in Sweden depends heavily on latitude (Kiruna has midnight sun in June and
+ * polar night in December while Malmö has neither), so these functions always take
+ * the coordinates of the location being evaluated.
+ */
+
+import { RAD, toDays, fromJulian, daysToJulian, solarMeanAnomaly, eclipticLongitude, declination, azimuth, altitude, siderealTime, sunCoords } from '../utils/astro.js';
+
+/**
+ * The sun altitudes (in degrees) that define the boundaries of daylight and twilight.
+ * @type {object}
+ */
+export const SUN_ALTITUDES = {
+    horizon: -0.833,  // Sunrise and sunset, corrected for refraction and the sun's radius
+    civil: -6,        // End of civil twilight: too dark to read outdoors
+    nautical: -12     // End of nautical twilight: the horizon is no longer visible
+};
+
+const J0 = 0.0009;
+
+/**
+ * Calculates the sun's position in the sky.
+ * @param {Date} date - The instant to calculate for.
+ * @param {number} lat - Latitude in degrees.
+ * @param {number} lng - Longitude in degrees.
+ * @returns {{altitude: number, azimuth: number}} The altitude and azimuth in degrees.
+ */
+export function getSunPosition(date, lat, lng) {
+    const lw = RAD * -lng;
+    const phi = RAD * lat;
+    const days = toDays(date);
+    const c = sunCoords(days);
+    const H = siderealTime(days, lw) - c.ra;
+
+    return {
+        altitude: altitude(H, phi, c.dec) / RAD,
+        azimuth: azimuth(H, phi, c.dec) / RAD
+    };
+}
+
+/**
+ * Calculates the sun's altitude in degrees. A convenience wrapper around `getSunPosition`.
+ * @param {Date} date - The instant to calculate for.
+ * @param {number} lat - Latitude in degrees.
+ * @param {number} lng - Longitude in degrees.
+ * @returns {number}
+ */
+export const getSunAltitude = (date, lat, lng) => getSunPosition(date, lat, lng).altitude;
+
+/**
+ * Calculates the times of sunrise, sunset and twilight for the solar day containing `date`.
+ * A value is `null` when the event does not happen that day, e.g. there is no sunset
+ * during the midnight sun and no sunrise during the polar night.
+ * @param {Date} date - Any instant within the day of interest.
+ * @param {number} lat - Latitude in degrees.
+ * @param {number} lng - Longitude in degrees.
+ * @returns {{solarNoon: Date, sunrise: (Date|null), sunset: (Date|null), civilDawn: (Date|null), civilDusk: (Date|null), nauticalDawn: (Date|null), nauticalDusk: (Date|null)}}
+ */
+export function getSunTimes(date, lat, lng) {
+    const lw = RAD * -lng;
+    const phi = RAD * lat;
+
+    const days = toDays(date);
+    const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+    const approxNoon = J0 + lw / (2 * Math.PI) + cycle;
+    const M = solarMeanAnomaly(approxNoon);
+    const L = eclipticLongitude(M);
+    const dec = declination(L, 0);
+    const transit = (approx) => daysToJulian(approx) + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+    const noon = transit(approxNoon);
+
+    /**
+     * Returns the rise and set times for a given sun altitude, or nulls if the sun
+     * never crosses that altitude on this day.
+     * @param {number} h - The altitude in degrees.
+     */
+    const crossing = (h) => {
+        const cosH = (Math.sin(h * RAD) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+        if (cosH < -1 || cosH > 1) return { rise: null, set: null };
+
+        const set = transit(J0 + (Math.acos(cosH) + lw) / (2 * Math.PI) + cycle);
+        return { rise: fromJulian(noon - (set - noon)), set: fromJulian(set) };
+    };
+
+    const horizon = crossing(SUN_ALTITUDES.horizon);
+    const civil = crossing(SUN_ALTITUDES.civil);
+    const nautical = crossing(SUN_ALTITUDES.nautical);
+
+    return {
+        solarNoon: fromJulian(noon),
+        sunrise: horizon.rise,
+        sunset: horizon.set,
+        civilDawn: civil.rise,
+        civilDusk: civil.set,
+        nauticalDawn: nautical.rise,
+        nauticalDusk: nautical.set
+    };
+}
\ No newline at end of file
@@ -2,22 +2,28 @@
  * @file time.js
  * @description Centralized module for all date, time, and celestial calculations.
  * It correctly separates the universal UTC date for deterministic calculations
- * from the user's local time for simulation and display.
+ * from the simulation clock time (Europe/Stockholm by default, see `clock.js`) for simulation and display.
  */
 
 import { appState, debugState } from '../state.js';
 import { TIME_PERIODS } from '../config.js';
+import { isHolidayOn } from './holidays.js';
+import { getSunAltitude, SUN_ALTITUDES } from './sun.js';
+import { getMoonIllumination, getMoonPosition, isFullMoonAt } from './moon.js';
+import { getSimulationTime, getSimulationMinutes, getInstantOfDay } from './clock.js';
 
 // A constant for the spotting chance multiplier when a monster is active outside its preferred time.
 const INACTIVE_TIME_PENALTY = 0.05;
 
+const MINUTES_PER_DAY = 1440;
+
 /**
  * [UTC-BASED] Generates a deterministic seed string from the current application date (YYYY-MM-DD).
  * This MUST use UTC to ensure all users get the same seed for the same date.
+ * @param {Date} [d=appState.currentDate] - The UTC-midnight application date.
  * @returns {string} The date seed.
  */
-export const getDateSeed = () => {
-    const d = appState.currentDate;
+export const getDateSeed = (d = appState.currentDate) => {
     const year = d.getUTCFullYear();
     const month = String(d.getUTCMonth() + 1).padStart(2, '0');
     const day = String(d.getUTCDate()).padStart(2, '0');
@@ -25,44 +31,30 @@ export const getDateSeed = () => {
 };
 
 /**
- * [LOCAL-TIME-BASED] Gets the current time for the simulation.
- * It respects the debug 'forceTime' override. If not forced, it uses the user's
- * real system time but applies it to the selected universal application date.
+ * [CLOCK-BASED] Gets the current time for the simulation.
+ * This is the instant resolved by the simulation clock: the wall-clock time in the simulation
+ * time zone (or the debug 'forceTime' override) on the selected universal application date.
  * @returns {Date} The current simulation time.
  */
-export const getCurrentTime = () => {
-    // Start with the universal date from the app state.
-    const simulationTime = new Date(appState.currentDate);
-
-    if (debugState.forceTime) {
-        const [hours, minutes] = debugState.forceTime.split(':').map(Number);
-        // setHours correctly interprets the time in the local context of the date object.
-        simulationTime.setHours(hours, minutes, 0, 0);
-    } else {
-        // Get the user's real, local time.
-        const now = new Date();
-        // Apply the user's local time components to our universal date.
-        simulationTime.setHours(now.getHours(), now.getMinutes(), now.getSeconds(), now.getMilliseconds());
-    }
-    return simulationTime;
-};
+export const getCurrentTime = () => getSimulationTime();
 
 /**
- * [LOCAL-TIME-BASED] Converts a Date object to the number of minutes past midnight in its local context.
- * @param {Date} time - The date object to convert.
- * @returns {number}
+ * [CLOCK-BASED] Converts a minute of the current application day into a Date,
+ * in the same time zone as `getCurrentTime`.
+ * @param {number} minutes - Minutes past midnight (0-1439).
+ * @returns {Date}
  */
-const timeToMins = (time) => time.getHours() * 60 + time.getMinutes();
+export const getTimeOfDay = (minutes) => getInstantOfDay(minutes);
 
 /**
- * [LOCAL-TIME-BASED] Determines the name of the current time period (e.g., 'Day', 'Night').
- * @returns {string} The name of the current period.
+ * Determines the name of the time period that contains a given minute of the day.
+ * @param {number} minutes - Minutes past midnight (0-1439).
+ * @returns {string} The name of the period (e.g., 'Day', 'Night').
  */
-export const getCurrentPeriodName = () => {
-    const currentTimeInMins = timeToMins(getCurrentTime());
+export const getPeriodNameAt = (minutes) => {
     for (const periodName in TIME_PERIODS) {
         const period = TIME_PERIODS[periodName];
-        if (currentTimeInMins >= period.start && currentTimeInMins <= period.end) {
+        if (minutes >= period.start && minutes <= period.end) {
             return periodName;
         }
     }
@@ -70,81 +62,106 @@ export const getCurrentPeriodName = () => {
 };
 
 /**
- * [LOCAL-TIME-BASED] Checks if the current time falls within a specific named period.
+ * [CLOCK-BASED] Determines the name of the current time period (e.g., 'Day', 'Night').
+ * @returns {string} The name of the current period.
+ */
+export const getCurrentPeriodName = () => getPeriodNameAt(getSimulationMinutes());
+
+/**
+ * [CLOCK-BASED] Checks if the current time falls within a specific named period.
  * @param {string} periodName - The name of the period to check (e.g., 'Midnight', 'Day').
  * @returns {boolean} True if the current time is in the specified period.
  */
 export const isPeriod = (periodName) => getCurrentPeriodName() === periodName;
 
 /**
- * [LOCAL-TIME-BASED] Checks if the current time is considered 'dark'.
+ * [CLOCK-BASED] Checks if it is currently considered 'dark'.
+ * At a location, it is dark once the sun has dropped below the civil twilight altitude.
+ * Without a location, it falls back to the nationwide clock-hour rule (Evening or Night).
+ * @param {{latitude: number, longitude: number}} [location] - The place to check.
  * @returns {boolean}
  */
-export const isDark = () => isPeriod('Evening') || isNight();
+export const isDark = (location = null) => {
+    if (!location) return isPeriod('Evening') || isNight();
+    return getSunAltitude(getCurrentTime(), location.latitude, location.longitude) < SUN_ALTITUDES.civil;
+};
 
 /**
- * [LOCAL-TIME-BASED] Checks if the current time is considered 'night' (21:00 - 05:59).
+ * [CLOCK-BASED] Checks if it is currently considered 'night'.
+ * At a location, it is night once the sun has dropped below the nautical twilight altitude.
+ * Without a location, it falls back to the nationwide clock hours (21:00 - 05:59).
+ * @param {{latitude: number, longitude: number}} [location] - The place to check.
  * @returns {boolean}
  */
-export const isNight = () => {
-    const h = getCurrentTime().getHours();
+export const isNight = (location = null) => {
+    if (location) {
+        return getSunAltitude(getCurrentTime(), location.latitude, location.longitude) < SUN_ALTITUDES.nautical;
+    }
+    const h = Math.floor(getSimulationMinutes() / 60);
     return h >= 21 || h < 6;
 };
 
 /**
- * [LOCAL-TIME-BASED] Checks if the current time is the 'witching hour' (00:00 - 00:59).
+ * [CLOCK-BASED] Checks if the current time is the 'witching hour' (00:00 - 00:59).
  * @returns {boolean}
  */
-export const isWitchingHour = () => getCurrentTime().getHours() === 0;
+export const isWitchingHour = () => getSimulationMinutes() < 60;
 
 /**
- * [UTC-BASED] Calculates the current moon phase icon for a given date.
+ * [UTC-BASED] Picks the moon phase icon for a given date. This is for display only;
+ * game logic uses the astronomical functions of `moon.js` instead.
  * @param {Date} date - The date for which to calculate the moon phase.
  * @returns {string} An emoji representing the moon phase.
  */
 export const getMoonPhaseIcon = (date) => {
-    const LUNAR_MONTH = 29.530588853;
-    const knownNewMoon = new Date(Date.UTC(2000, 0, 6, 18, 14));
-    const daysSinceKnownNewMoon = (date.getTime() - knownNewMoon.getTime()) / 86400000; // (1000 * 60 * 60 * 24)
-    const phase = (daysSinceKnownNewMoon % LUNAR_MONTH) / LUNAR_MONTH;
     const moonIcons = ['🌑', '🌒', '🌓', '🌔', '🌕', '🌖', '🌗', '🌘'];
-    const index = Math.round(phase * 8) % 8;
+    const index = Math.round(getMoonIllumination(date).phase * 8) % 8;
     return moonIcons[index];
 };
 
 /**
- * [UTC-BASED] Checks if the current date is a full moon, respecting the debug override.
+ * [CLOCK-BASED] Checks if it is currently full moon, respecting the debug override.
+ * Full moon is the 24 hours centred on the exact instant of opposition.
  * @returns {boolean}
  */
 export const isFullMoon = () => {
     if (debugState.forceFullMoon !== null) return debugState.forceFullMoon;
-    return getMoonPhaseIcon(appState.currentDate) === '🌕';
+    return isFullMoonAt(getCurrentTime());
 };
 
 /**
- * [UTC-BASED] Checks if the current date is October 31st, respecting the debug override.
- * @returns {boolean}
+ * [CLOCK-BASED] Gets the illuminated fraction of the moon (0-1) at the current time.
+ * A forced full moon is treated as fully lit.
+ * @returns {number}
  */
-export const isHalloween = () => {
-    if (debugState.forceHalloween !== null) return debugState.forceHalloween;
-    const d = appState.currentDate;
-    return d.getUTCMonth() === 9 && d.getUTCDate() === 31; // Month 9 is October
+export const getMoonlight = () => {
+    if (debugState.forceFullMoon === true) return 1;
+    return getMoonIllumination(getCurrentTime()).fraction;
 };
 
 /**
- * [UTC-BASED] Checks if the current date is the summer solstice, June 21st.
+ * [CLOCK-BASED] Checks if the moon is currently above the horizon at a location.
+ * @param {{latitude: number, longitude: number}} location - The place to check.
  * @returns {boolean}
  */
-export const isMidsummer = () => {
-    const d = appState.currentDate;
-    return d.getUTCMonth() === 5 && d.getUTCDate() === 21; // Month 5 is June
+export const isMoonUp = (location) => getMoonPosition(getCurrentTime(), location.latitude, location.longitude).altitude > 0;
+
+/**
+ * [UTC-BASED] Checks if a named holiday from the holiday calendar is active on the current date.
+ * Halloween respects its debug override.
+ * @param {string} holidayId - The id of the holiday (e.g., 'midsummer', 'walpurgis').
+ * @returns {boolean}
+ */
+export const isHoliday = (holidayId) => {
+    if (holidayId === 'halloween' && debugState.forceHalloween !== null) return debugState.forceHalloween;
+    return isHolidayOn(holidayId, appState.currentDate);
 };
 
 /**
- * [UTC-BASED] Checks if the current date is within December (the Yule season).
+ * [UTC-BASED] Checks if the current date is October 31st, respecting the debug override.
  * @returns {boolean}
  */
-export const isYule = () => appState.currentDate.getUTCMonth() === 11; // Month 11 is December
+export const isHalloween = () => isHoliday('halloween');
 
 /**
  * [UTC-BASED] Determines the current season based on the application date, respecting the debug override.
@@ -160,16 +177,16 @@ export const getCurrentSeason = () => {
 };
 
 /**
- * [LOCAL-TIME-BASED] Calculates a time-based spotting multiplier for a monster.
+ * Calculates the time-based spotting multiplier for a monster at a given minute of the day.
  * Returns a value > 1.0 during active periods (peaking at the defined `multiplier`),
- * and a small penalty if the current time is not in any of the monster's active periods.
+ * and a small penalty if the minute is not in any of the monster's active periods.
  * @param {Array<string>} monsterActiveTimes - An array of time period names (e.g., ['Night', 'Late Night']).
+ * @param {number} currentTimeInMins - Minutes past midnight (0-1439).
  * @returns {number} The calculated multiplier.
  */
-export function getTimeMultiplier(monsterActiveTimes) {
+export function getTimeMultiplierAt(monsterActiveTimes, currentTimeInMins) {
     if (monsterActiveTimes.includes('any')) return 1.0;
 
-    const currentTimeInMins = timeToMins(getCurrentTime());
     let highestMultiplier = 0;
 
     monsterActiveTimes.forEach(periodName => {
@@ -198,4 +215,27 @@ export function getTimeMultiplier(monsterActiveTimes) {
     });
 
     return highestMultiplier === 0 ? INACTIVE_TIME_PENALTY : highestMultiplier;
+}
+
+/**
+ * [CLOCK-BASED] Calculates the time-based spotting multiplier for a monster at the current time.
+ * @param {Array<string>} monsterActiveTimes - An array of time period names (e.g., ['Night', 'Late Night']).
+ * @returns {number} The calculated multiplier.
+ */
+export const getTimeMultiplier = (monsterActiveTimes) => getTimeMultiplierAt(monsterActiveTimes, getSimulationMinutes());
+
+/**
+ * Builds the cumulative activity curve of a monster over a whole day: entry `m` is the sum of
+ * `getTimeMultiplierAt` over minutes 0 to `m`. Used to draw sighting times that follow the curve.
+ * @param {Array<string>} monsterActiveTimes - An array of time period names (e.g., ['Night', 'Late Night']).
+ * @returns {Float64Array} 1440 cumulative weights, one per minute of the day.
+ */
+export function getCumulativeActivity(monsterActiveTimes) {
+    const cumulative = new Float64Array(MINUTES_PER_DAY);
+    let total = 0;
+    for (let minute = 0; minute < MINUTES_PER_DAY; minute++) {
+        total += getTimeMultiplierAt(monsterActiveTimes, minute);
+        cumulative[minute] = total;
+    }
+    return cumulative;
 }
\ No newline at end of file
@@ -0,0 +1,297 @@
+/**
+ * @file validator.js
+ * @description Validates monster definitions from monsters.json against a schema before they are
+ * turned into `Monster` instances. Besides types and ranges, every reference (time periods, seasons,
+ * habitats, modifiers, weather, counties and conditions) is checked against the configuration and
+ * the loaded data, so a typo is reported instead of being silently ignored.
+ * Errors make a monster unusable and it is left out; warnings point out likely mistakes that
+ * the simulation tolerates, such as habitats without any locations.
+ */
+
+import { appState } from '../state.js';
+import { TIME_PERIODS, SEASON_ICONS, LOCATION_GROUPS, MODIFIER_DEFINITIONS, GLOBAL_MODIFIERS, WEATHER_TYPES } from '../config.js';
+import { findConditionProblems, findPerLocationClauses } from './rules.js';
+import { getHabitatPools } from './habitats.js';
+import { SUPPORTED_LOCALES } from './i18n.js';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Creates a check for a required, non-empty string.
+ * @returns {function(*, object): void}
+ */
+const nonEmptyString = () => (value, report) => {
+    if (typeof value !== 'string' || value.trim() === '') report.error('must be a non-empty string');
+};
+
+/**
+ * Creates a check for a number within an inclusive range.
+ * @param {number} min - The smallest allowed value.
+ * @param {number} max - The largest allowed value.
+ * @returns {function(*, object): void}
+ */
+const numberIn = (min, max) => (value, report) => {
+    if (!isNumber(value) || value < min || value > max) {
+        report.error(`must be a number ${max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`}`);
+    }
+};
+
+/**
+ * Creates a check for a non-empty list whose entries must come from a set of allowed values.
+ * @param {function(): Array<string>} getAllowed - Returns the allowed values.
+ * @returns {function(*, object): void}
+ */
+const listOf = (getAllowed) => (value, report) => {
+    if (!Array.isArray(value) || value.length === 0) return report.error('must be a non-empty list');
+    const allowed = getAllowed();
+    value.filter(item => !allowed.includes(item))
+        .forEach(item => report.error(`has unknown value ${JSON.stringify(item)} (expected one of ${allowed.join(', ')})`));
+};
+
+/**
+ * Creates a check for an object of non-negative numbers keyed by allowed ids.
+ * @param {function(): Array<string>} getAllowed - Returns the allowed keys.
+ * @param {string} noun - What a key stands for, used in messages.
+ * @returns {function(*, object): void}
+ */
+const numberTable = (getAllowed, noun) => (value, report) => {
+    if (!isPlainObject(value)) return report.error(`must be an object of multipliers keyed by ${noun}`);
+    const allowed = getAllowed();
+    Object.entries(value).forEach(([key, multiplier]) => {
+        if (!allowed.includes(key)) report.error(`has unknown ${noun} "${key}" (expected one of ${allowed.join(', ')})`);
+        if (!isNumber(multiplier) || multiplier < 0) report.error(`"${key}" must be a number of at least 0`);
+    });
+};
+
+/**
+ * Checks the habitats of a monster: either a list of habitat ids or an object of weights.
+ * Every id must be a `LOCATION_GROUPS` key or a feature code or class in the feature code map.
+ * Habitats without any locations in the loaded data are only a warning.
+ * @param {*} value - The `locations` value.
+ * @param {object} report - The reporter for this field.
+ */
+function checkHabitats(value, report) {
+    let entries;
+    if (Array.isArray(value)) {
+        entries = value.map(id => [id, 1]);
+    } else if (isPlainObject(value)) {
+        entries = Object.entries(value);
+    } else {
+        return report.error('must be a list of habitats or an object of habitat weights');
+    }
+    if (entries.length === 0) return report.error('must contain at least one habitat');
+
+    let totalLocations = 0;
+    entries.forEach(([id, weight]) => {
+        if (typeof id !== 'string') return report.error(`has a habitat that is not a string: ${JSON.stringify(id)}`);
+        if (!isNumber(weight) || weight <= 0) report.error(`habitat "${id}" must have a weight greater than 0`);
+
+        if (!LOCATION_GROUPS[id] && !appState.featureCodeMap.has(id)) {
+            return report.error(`has unknown habitat "${id}" (not a location group, feature code or feature class)`);
+        }
+        const size = getHabitatPools(id).reduce((sum, pool) => sum + pool.length, 0);
+        if (size === 0) report.warning(`habitat "${id}" has no locations in the loaded data`);
+        totalLocations += size;
+    });
+
+    if (totalLocations === 0) report.warning('has no habitat locations at all, so the monster can never be placed on the map');
+}
+
+/**
+ * Creates a check for a list of modifiers of one type. Each entry is either the name of a
+ * shared modifier from `MODIFIER_DEFINITIONS` or an inline `{ label, value, condition }` definition.
+ * @param {'bonuses'|'penalties'|'events'} type - The modifier type.
+ * @returns {function(*, object): void}
+ */
+const modifierList = (type) => (value, report) => {
+    if (!Array.isArray(value)) return report.error('must be a list of modifiers');
+    const known = Object.keys(MODIFIER_DEFINITIONS[type]);
+
+    value.forEach((modifier, index) => {
+        if (typeof modifier === 'string') {
+            if (!known.includes(modifier)) report.error(`has unknown ${type} modifier "${modifier}" (expected one of ${known.join(', ')})`);
+        } else if (isPlainObject(modifier)) {
+            if (typeof modifier.label !== 'string') report.error(`[${index}].label must be a string`);
+            if (!isNumber(modifier.value)) report.error(`[${index}].value must be a number`);
+            findConditionProblems(modifier.condition, `${type}[${index}].condition`).forEach(problem => report.root.error(problem));
+            // A modifier scales the nationwide chance, so it can only depend on what holds across the whole country.
+            const perLocation = findPerLocationClauses(modifier.condition);
+            if (perLocation.length > 0) {
+                report.root.error(`${type}[${index}].condition uses the per-location clause${perLocation.length > 1 ? 's' : ''} ${perLocation.join(', ')}, which only a restriction can use`);
+            }
+        } else {
+            report.error(`[${index}] must be a modifier name or an inline { label, value, condition } definition`);
+        }
+    });
+};
+
+/**
+ * Checks per-monster overrides of the global modifier values.
+ * @param {*} value - The `overrides` value.
+ * @param {object} report - The reporter for this field.
+ */
+function checkOverrides(value, report) {
+    if (!isPlainObject(value)) return report.error('must be an object keyed by modifier type');
+    Object.entries(value).forEach(([type, values]) => {
+        if (!GLOBAL_MODIFIERS[type]) {
+            return report.error(`has unknown modifier type "${type}" (expected one of ${Object.keys(GLOBAL_MODIFIERS).join(', ')})`);
+        }
+        numberTable(() => Object.keys(GLOBAL_MODIFIERS[type]), `${type} modifier`)(values, report.at(type));
+    });
+}
+
+/**
+ * Checks the regional abundance table, keyed by ADM1 county code.
+ * Unknown county codes are only a warning, as they may belong to a different data set.
+ * @param {*} value - The `regions` value.
+ * @param {object} report - The reporter for this field.
+ */
+function checkRegions(value, report) {
+    if (!isPlainObject(value)) return report.error('must be an object of abundance multipliers keyed by ADM1 code');
+    const counties = new Set(appState.adminHierarchy.adm1.map(county => county.admin1));
+    Object.entries(value).forEach(([admin1, multiplier]) => {
+        if (!isNumber(multiplier) || multiplier < 0) report.error(`"${admin1}" must be a number of at least 0`);
+        if (counties.size > 0 && !counties.has(admin1)) report.warning(`county "${admin1}" is not an ADM1 code in the loaded data`);
+    });
+}
+
+/**
+ * Checks the settings of the individuals mode.
+ * @param {*} value - The `individuals` value.
+ * @param {object} report - The reporter for this field.
+ */
+function checkIndividuals(value, report) {
+    if (!isPlainObject(value)) return report.error('must be an object such as { "population": 6, "range": 30 }');
+    if (value.population !== undefined && (!Number.isInteger(value.population) || value.population < 1)) {
+        report.error('population must be a whole number of at least 1');
+    }
+    if (value.range !== undefined && (!isNumber(value.range) || value.range <= 0)) {
+        report.error('range must be a number of kilometres greater than 0');
+    }
+}
+
+/**
+ * Checks the translations of a monster's text: an object keyed by supported locale, each
+ * with an optional `name` and `lore`.
+ * @param {*} value - The `translations` value.
+ * @param {object} report - The reporter for this field.
+ */
+function checkTranslations(value, report) {
+    if (!isPlainObject(value)) return report.error('must be an object keyed by locale, such as { "sv": { "name": "..." } }');
+    const locales = Object.keys(SUPPORTED_LOCALES);
+    Object.entries(value).forEach(([locale, text]) => {
+        const at = report.at(locale);
+        if (!locales.includes(locale)) at.warning(`is not a supported locale (expected one of ${locales.join(', ')})`);
+        if (!isPlainObject(text)) return at.error('must be an object with a "name" and/or "lore"');
+        Object.entries(text).forEach(([key, translation]) => {
+            if (!['name', 'lore'].includes(key)) at.warning(`has unknown key "${key}" (expected name or lore)`);
+            else if (typeof translation !== 'string' || translation.trim() === '') at.at(key).error('must be a non-empty string');
+        });
+    });
+}
+
+/**
+ * The monster schema. Every property a monster can have, whether it is required,
+ * and the check that validates its value.
+ * @type {object}
+ */
+const MONSTER_SCHEMA = {
+    id:             { required: true, check: (value, report) => {
+        if (typeof value !== 'string' || !/^[a-z0-9_]+$/.test(value)) report.error('must be an identifier of lowercase letters, digits and underscores');
+    } },
+    name:           { required: true, check: nonEmptyString() },
+    lore:           { check: nonEmptyString() },
+    translations:   { check: checkTranslations },
+    icon:           { required: true, check: nonEmptyString() },
+    spottingChance: { required: true, check: numberIn(0, 1) },
+    locations:      { required: true, check: checkHabitats },
+    activeSeasons:  { required: true, check: listOf(() => Object.keys(SEASON_ICONS)) },
+    activeTime:     { required: true, check: listOf(() => ['any', ...Object.keys(TIME_PERIODS)]) },
+    restriction:    { check: (value, report) => findConditionProblems(value, 'restriction').forEach(problem => report.root.error(problem)) },
+    bonuses:        { check: modifierList('bonuses') },
+    penalties:      { check: modifierList('penalties') },
+    events:         { check: modifierList('events') },
+    overrides:      { check: checkOverrides },
+    weather:        { check: numberTable(() => Object.keys(WEATHER_TYPES), 'weather type') },
+    moonStrength:   { check: numberIn(0, Infinity) },
+    regions:        { check: checkRegions },
+    individuals:    { check: checkIndividuals }
+};
+
+/**
+ * Creates a reporter that records issues for one field of one monster.
+ * @param {Array<object>} issues - The list to add issues to.
+ * @param {string} monster - The id of the monster (or its position in the file if it has no id).
+ * @param {string} field - The path of the field within the monster.
+ * @returns {{error: function(string), warning: function(string), at: function(string): object, root: object}}
+ * The reporter, with `at` for a nested field and `root` for messages that name their own field path.
+ */
+function createReporter(issues, monster, field) {
+    const add = (level) => (message) => issues.push({ level, monster, field, message });
+    return {
+        error: add('error'),
+        warning: add('warning'),
+        at: (subField) => createReporter(issues, monster, `${field}.${subField}`),
+        get root() { return createReporter(issues, monster, ''); }
+    };
+}
+
+/**
+ * Validates a list of raw monster definitions. Must run after the location and feature code
+ * data have been processed, since habitats and counties are checked against them.
+ * @param {Array<object>} monsterData - The raw monster definitions, from monsters.json or a monster pack.
+ * @param {string} [source='monsters.json'] - Where the definitions come from, recorded with every issue.
+ * @returns {{valid: Array<object>, issues: Array<{level: ('error'|'warning'), source: string, monster: string, field: string, message: string}>}}
+ * The definitions without errors, and every issue found.
+ */
+export function validateMonsters(monsterData, source = 'monsters.json') {
+    const issues = [];
+    if (!Array.isArray(monsterData)) {
+        issues.push({ level: 'error', source, monster: '', field: '', message: 'must contain a list of monsters' });
+        return { valid: [], issues };
+    }
+
+    const seenIds = new Set();
+    const valid = monsterData.filter((data, index) => {
+        const monster = typeof data?.id === 'string' ? data.id : `#${index + 1}`;
+        const errorsBefore = issues.filter(issue => issue.level === 'error').length;
+
+        if (!isPlainObject(data)) {
+            createReporter(issues, monster, '').error('must be an object');
+            return false;
+        }
+
+        Object.entries(MONSTER_SCHEMA).forEach(([field, { required, check }]) => {
+            const report = createReporter(issues, monster, field);
+            if (data[field] === undefined) {
+                if (required) report.error('is required');
+            } else {
+                check(data[field], report);
+            }
+        });
+
+        Object.keys(data)
+            .filter(field => !MONSTER_SCHEMA[field])
+            .forEach(field => createReporter(issues, monster, field).warning('is not a known property and is ignored'));
+
+        if (seenIds.has(data.id)) createReporter(issues, monster, 'id').error('is used by more than one monster');
+        seenIds.add(data.id);
+
+        return issues.filter(issue => issue.level === 'error').length === errorsBefore;
+    });
+
+    return { valid, issues: issues.map(issue => ({ source, ...issue })) };
+}
+
+/**
+ * Adds validation issues to the app state's diagnostics and logs them to the console.
+ * @param {Array<object>} issues - The issues to report (see `validateMonsters`).
+ */
+export function reportIssues(issues) {
+    appState.diagnostics.push(...issues);
+    issues.forEach(({ level, source, monster, field, message }) => {
+        const location = [monster, field].filter(Boolean).join('.');
+        console[level === 'error' ? 'error' : 'warn'](`${source}: ${location ? `${location} ` : ''}${message}`);
+    });
+}
\ No newline at end of file
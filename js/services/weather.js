@@ -0,0 +1,101 @@
+/**
+ * @file weather.js
+ * @description A deterministic weather simulation. Every ADM1 county gets one kind of weather
+ * per day, drawn with the same `seedrandom` date-seed approach as the spotting calculator,
+ * so every user sees the same weather for the same date.
+ * Note: This module relies on the `seedrandom` library being available in the global scope.
+ */
+
+import { appState } from '../state.js';
+import { WEATHER_TYPES, WEATHER_CLIMATE } from '../config.js';
+import { getDateSeed, getCurrentSeason } from './time.js';
+
+// The chance that a county simply follows the nationwide weather front instead of rolling its own.
+const FRONT_COVERAGE = 0.5;
+
+// Counties north of this latitude get snow instead of part of their rain outside of summer.
+const NORTHERN_LATITUDE = 63;
+
+/**
+ * Picks a weather type from a table of relative weights.
+ * @param {object} weights - Relative weights keyed by weather id.
+ * @param {function} rng - The seeded random number generator function.
+ * @returns {string} The chosen weather id.
+ */
+function pickWeather(weights, rng) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = rng() * total;
+    for (const [weatherId, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return weatherId;
+    }
+    return entries[entries.length - 1][0];
+}
+
+/**
+ * Returns the climate weights for a county, adjusted for its latitude.
+ * @param {string} season - The current season.
+ * @param {number} latitude - The latitude of the county.
+ * @returns {object} Relative weights keyed by weather id.
+ */
+function getClimate(season, latitude) {
+    const weights = { ...WEATHER_CLIMATE[season] };
+    if (latitude >= NORTHERN_LATITUDE && season !== 'Summer') {
+        weights.snow += weights.rain / 2;
+        weights.rain /= 2;
+    }
+    return weights;
+}
+
+/**
+ * Simulates the weather for the current date and season, and caches it in the app state.
+ * The nationwide front is rolled first; each county then either follows it or rolls its own
+ * weather from its regional climate, which keeps neighbouring regions loosely correlated.
+ * @returns {{national: string, byRegion: Map<string, string>}} The weather ids for the nation and each ADM1 code.
+ */
+export function getRegionalWeather() {
+    const season = getCurrentSeason();
+    const key = `${getDateSeed()}-${season}`;
+    if (appState.weather.key === key) return appState.weather;
+
+    const nationalRNG = new Math.seedrandom(`${getDateSeed()}-weather`);
+    const national = pickWeather(WEATHER_CLIMATE[season], nationalRNG);
+
+    const byRegion = new Map();
+    appState.adminHierarchy.adm1.forEach(county => {
+        const countyRNG = new Math.seedrandom(`${getDateSeed()}-weather-${county.admin1}`);
+        const climate = getClimate(season, county.latitude);
+        const followsFront = countyRNG() < FRONT_COVERAGE && climate[national] > 0;
+        byRegion.set(county.admin1, followsFront ? national : pickWeather(climate, countyRNG));
+    });
+
+    appState.weather = { key, national, byRegion };
+    return appState.weather;
+}
+
+/**
+ * Gets the weather at a location, based on the ADM1 county it belongs to.
+ * Locations outside any known county get the nationwide weather.
+ * @param {{admin1?: string}} location - A location object from the application state.
+ * @returns {string} The weather id (a key of `WEATHER_TYPES`).
+ */
+export function getWeatherAt(location) {
+    const { national, byRegion } = getRegionalWeather();
+    return byRegion.get(location?.admin1) ?? national;
+}
+
+/**
+ * Counts how many counties have each kind of weather today.
+ * @returns {object} The number of counties keyed by weather id, including zero counts.
+ */
+export function getWeatherMix() {
+    const { national, byRegion } = getRegionalWeather();
+    const mix = Object.fromEntries(Object.keys(WEATHER_TYPES).map(weatherId => [weatherId, 0]));
+    if (byRegion.size === 0) {
+        mix[national] = 1;
+    } else {
+        byRegion.forEach(weatherId => { mix[weatherId]++; });
+    }
+    return mix;
+}
\ No newline at end of file
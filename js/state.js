@@ -11,17 +11,37 @@
  * @type {object}
  */
 export const appState = {
+    locale: 'en',
     monsters: [],
+    packs: [],
+    diagnostics: [],
     currentDate: new Date(),
+    useLocalTime: false,
+    clock: { key: null, instant: null, minutes: null },
     allLocations: [],
     currentLocationFinderId: null,
     locationsByGeonameId: new Map(),
     locationsByFeatureCode: new Map(),
     locationsByFeatureClass: new Map(),
+    searchIndex: null,
     adminHierarchy: { adm1: [] },
     spottedMonstersData: {},
     monsterLayers: {},
+    basemap: { id: null, shownId: null, layer: null, unreachable: false, outline: null, outlineShape: null },
+    mapMode: 'markers',
+    choropleth: { level: 'adm1', levels: ['adm1'], metric: 'count', layer: null, breaks: [], status: null },
+    regionShapes: { adm1: null, adm2: null },
+    nearby: { center: null, radiusKm: 20, layer: null, picking: false, status: null },
+    offline: { status: null },
+    heatmap: { monsterId: '', radius: 25, weighted: true, span: 'day', start: null, end: null, period: null, days: null, layer: null, status: null, progress: null },
     featureCodeMap: new Map(),
+    featureCodeMaps: new Map(),
+    weather: { key: null, national: null, byRegion: new Map() },
+    individuals: new Map(),
+    statisticsCache: new Map(),
+    trailLayer: null,
+    timeLapse: { minute: null, timerId: null },
+    editor: { target: null, source: null },
     zoomIteratorState: {},
     zoomToMonsterControl: null
 };
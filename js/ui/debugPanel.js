@@ -5,6 +5,8 @@
  */
 
 import { debugState } from '../state.js';
+import { getSimulationMinutes } from '../services/clock.js';
+import { formatMinutes } from '../utils/helpers.js';
 
 let redrawCallback = () => { console.warn('Redraw callback for debug panel not initialized.'); };
 let timeInterval = null;
@@ -20,26 +22,19 @@ const timeDecrBtn = document.getElementById('time-decr');
 const resetBtn = document.getElementById('reset-debug-btn');
 
 /**
- * Adjusts the time in the time input field by a given number of minutes.
+ * Adjusts the time in the time input field by a given number of minutes, wrapping around midnight.
  * It then dispatches an 'input' event to trigger the main state update logic.
  * @param {number} minutes - The number of minutes to add (can be negative).
  */
 function adjustTime(minutes) {
     const currentTime = timeInput.value;
-    const d = new Date(); // Use a temporary date object for calculation.
-
-    if (!currentTime) {
-        // If the input is empty, base the adjustment on the real current time.
-        d.setMinutes(d.getMinutes() + minutes);
-    } else {
-        const [hours, mins] = currentTime.split(':').map(Number);
-        d.setHours(hours, mins);
-        d.setMinutes(d.getMinutes() + minutes);
-    }
-
-    const newHours = String(d.getHours()).padStart(2, '0');
-    const newMinutes = String(d.getMinutes()).padStart(2, '0');
-    timeInput.value = `${newHours}:${newMinutes}`;
+    // If the input is empty, base the adjustment on the current simulation clock time.
+    const [hours, mins] = currentTime
+        ? currentTime.split(':').map(Number)
+        : [Math.floor(getSimulationMinutes() / 60), getSimulationMinutes() % 60];
+
+    const minutesPerDay = 1440;
+    timeInput.value = formatMinutes((((hours * 60 + mins + minutes) % minutesPerDay) + minutesPerDay) % minutesPerDay);
     
     // Programmatically trigger the 'input' event to ensure the state is updated
     // and the main redraw function is called, just as if the user typed.
@@ -0,0 +1,69 @@
+/**
+ * @file /ui/diagnostics.js
+ * @description Manages the data diagnostics overlay, which lists the problems the validator
+ * found in monsters.json and in any loaded monster packs. It opens by itself on startup when
+ * there are any, and can be reopened from the debug panel or the pack manager. The issue
+ * messages are written for the authors of monster data and are not translated.
+ */
+
+import { appState } from '../state.js';
+import { t } from '../services/i18n.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+const overlay = document.getElementById('diagnostics-overlay');
+const content = document.getElementById('diagnostics-content');
+
+/**
+ * Generates the HTML list for the issues of one severity level.
+ * @param {Array<object>} issues - The issues to list.
+ * @param {string} title - The heading of the list.
+ * @param {'error'|'warning'} level - The severity level, used for styling.
+ * @returns {string} The HTML string, or an empty string if there are no issues.
+ */
+function generateIssueList(issues, title, level) {
+    if (issues.length === 0) return '';
+    const items = issues.map(({ source, monster, field, message }) => {
+        const location = [monster, field].filter(Boolean).join('.');
+        return `<li>${escapeHtml(source)}: ${location ? `<code>${escapeHtml(location)}</code> ` : ''}${escapeHtml(message)}</li>`;
+    }).join('');
+    return `<h4 class="diagnostic-${level}">${title} (${issues.length})</h4><ul>${items}</ul>`;
+}
+
+/** Hides the diagnostics overlay. */
+function hideDiagnostics() {
+    overlay.classList.add('hidden');
+}
+
+/**
+ * Populates and displays the diagnostics overlay with the issues in `appState.diagnostics`.
+ */
+export function showDiagnostics() {
+    const errors = appState.diagnostics.filter(issue => issue.level === 'error');
+    const warnings = appState.diagnostics.filter(issue => issue.level === 'warning');
+
+    const summary = appState.diagnostics.length === 0
+        ? `<p>${t('diagnostics.none')}</p>`
+        : `<p>${errors.length > 0 ? `${t('diagnostics.skipped')} ` : ''}${t('diagnostics.fix')}</p>`;
+
+    content.innerHTML = `
+        <button id="diagnostics-close-btn">&times;</button>
+        <h3>${t('diagnostics.title')}</h3>
+        ${summary}
+        ${generateIssueList(errors, t('diagnostics.errors'), 'error')}
+        ${generateIssueList(warnings, t('diagnostics.warnings'), 'warning')}
+    `;
+    overlay.classList.remove('hidden');
+    document.getElementById('diagnostics-close-btn').addEventListener('click', hideDiagnostics);
+}
+
+/**
+ * Initializes the diagnostics overlay and shows it right away if the data has problems.
+ */
+export function initializeDiagnostics() {
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) hideDiagnostics();
+    });
+    document.getElementById('show-diagnostics-btn').addEventListener('click', showDiagnostics);
+
+    if (appState.diagnostics.length > 0) showDiagnostics();
+}
\ No newline at end of file
@@ -0,0 +1,272 @@
+/**
+ * @file /ui/editor.js
+ * @description Manages the monster editor panel, which sits next to the debug panel. It creates new
+ * monsters or modifies loaded ones, re-runs the simulation live as fields change, and exports the
+ * result as JSON that can be pasted back into monsters.json. Drafts are checked by the same
+ * validator as the data file; a draft with errors is not applied until they are fixed.
+ */
+
+import { appState } from '../state.js';
+import { LOCATION_GROUPS, SEASON_ICONS, TIME_PERIODS, MODIFIER_DEFINITIONS, GLOBAL_MODIFIERS } from '../config.js';
+import { Monster } from '../monster.js';
+import { validateMonsters } from '../services/validator.js';
+import { t } from '../services/i18n.js';
+import { getHabitatName, getLocationIcon, escapeHtml } from '../utils/helpers.js';
+
+let redrawCallback = () => { console.warn('Redraw callback for monster editor not initialized.'); };
+
+const editorPanel = document.getElementById('editor-panel');
+const monsterSelect = document.getElementById('editor-monster-select');
+const form = document.getElementById('editor-form');
+const issuesList = document.getElementById('editor-issues');
+const exportOutput = document.getElementById('editor-export');
+const copyButton = document.getElementById('editor-copy-btn');
+
+const MODIFIER_TYPES = ['bonuses', 'penalties', 'events'];
+
+/**
+ * The definition a new monster starts from.
+ * @type {object}
+ */
+const NEW_MONSTER_TEMPLATE = {
+    id: '',
+    name: '',
+    spottingChance: 0.05,
+    icon: '❓',
+    locations: [],
+    activeSeasons: Object.keys(SEASON_ICONS),
+    activeTime: ['any']
+};
+
+/**
+ * Generates a group of checkboxes, one per value.
+ * @param {string} group - The name of the checkbox group, used to read it back.
+ * @param {Array<string>} values - The values to offer.
+ * @param {Array<string>} selected - The values that start checked.
+ * @param {string} prefix - The message key prefix of the value labels (e.g., 'season').
+ * @returns {string} The HTML string.
+ */
+function generateCheckboxes(group, values, selected, prefix) {
+    return values.map(value => `
+        <label class="editor-check">
+            <input type="checkbox" data-group="${group}" value="${escapeHtml(value)}" ${selected.includes(value) ? 'checked' : ''}>
+            ${escapeHtml(t(`${prefix}.${value}`))}
+        </label>`).join('');
+}
+
+/**
+ * Generates the habitat rows: every `LOCATION_GROUPS` key, plus any other habitat
+ * (such as a feature code) the monster already uses. Each row has a weight.
+ * @param {object} weights - The monster's current habitat weights, keyed by habitat id.
+ * @returns {string} The HTML string.
+ */
+function generateHabitatRows(weights) {
+    const habitatIds = [...new Set([...Object.keys(LOCATION_GROUPS), ...Object.keys(weights)])];
+    return habitatIds.map(id => {
+        const icon = getLocationIcon(LOCATION_GROUPS[id]?.[0] ?? id);
+        return `
+        <div class="editor-weighted">
+            <label class="editor-check">
+                <input type="checkbox" data-habitat="${escapeHtml(id)}" ${weights[id] !== undefined ? 'checked' : ''}>
+                ${icon} ${escapeHtml(getHabitatName(id))}
+            </label>
+            <input type="number" data-habitat-weight="${escapeHtml(id)}" value="${weights[id] ?? 1}" min="0" step="0.5" title="${t('editor.weightHint')}">
+        </div>`;
+    }).join('');
+}
+
+/**
+ * Generates the rows for one type of modifier. Each row has an optional override of the
+ * global value, shown as a placeholder.
+ * @param {'bonuses'|'penalties'|'events'} type - The modifier type.
+ * @param {object} data - The monster definition.
+ * @returns {string} The HTML string.
+ */
+function generateModifierRows(type, data) {
+    const selected = data[type] ?? [];
+    const inlineCount = selected.filter(modifier => typeof modifier === 'object').length;
+    const rows = Object.keys(MODIFIER_DEFINITIONS[type]).map(name => `
+        <div class="editor-weighted">
+            <label class="editor-check">
+                <input type="checkbox" data-modifier-type="${type}" value="${name}" ${selected.includes(name) ? 'checked' : ''}>
+                ${t(`modifier.${type}.${name}`)}
+            </label>
+            <input type="number" data-override-type="${type}" data-override="${name}" value="${data.overrides?.[type]?.[name] ?? ''}"
+                placeholder="${GLOBAL_MODIFIERS[type][name] ?? ''}" step="0.05" title="${t('editor.overrideHint')}">
+        </div>`).join('');
+    const inlineNote = inlineCount > 0 ? `<p class="editor-note">${t('editor.inlineNote', { count: inlineCount })}</p>` : '';
+    return rows + inlineNote;
+}
+
+/**
+ * Renders the editor form for a monster definition.
+ * @param {object} data - The monster definition to edit.
+ */
+function renderForm(data) {
+    const habitatWeights = Array.isArray(data.locations)
+        ? Object.fromEntries(data.locations.map(id => [id, 1]))
+        : { ...data.locations };
+
+    form.innerHTML = `
+        <div class="editor-row"><label for="editor-id">${t('editor.id')}</label><input type="text" id="editor-id" value="${escapeHtml(data.id ?? '')}"></div>
+        <div class="editor-row"><label for="editor-name">${t('editor.name')}</label><input type="text" id="editor-name" value="${escapeHtml(data.name ?? '')}"></div>
+        <div class="editor-row"><label for="editor-icon">${t('editor.icon')}</label><input type="text" id="editor-icon" value="${escapeHtml(data.icon ?? '')}"></div>
+        <div class="editor-row"><label for="editor-chance">${t('editor.chance')}</label><input type="number" id="editor-chance" value="${data.spottingChance ?? ''}" min="0" max="1" step="0.005"></div>
+        <fieldset><legend>${t('editor.habitats')}</legend>${generateHabitatRows(habitatWeights)}</fieldset>
+        <fieldset><legend>${t('editor.seasons')}</legend>${generateCheckboxes('activeSeasons', Object.keys(SEASON_ICONS), data.activeSeasons ?? [], 'season')}</fieldset>
+        <fieldset><legend>${t('editor.activeTimes')}</legend>${generateCheckboxes('activeTime', ['any', ...Object.keys(TIME_PERIODS)], data.activeTime ?? [], 'period')}</fieldset>
+        ${MODIFIER_TYPES.map(type => `<fieldset><legend>${t(`editor.${type}`)}</legend>${generateModifierRows(type, data)}</fieldset>`).join('')}
+        <fieldset>
+            <legend>${t('editor.restriction')}</legend>
+            <textarea id="editor-restriction" rows="3" placeholder='{ "season": "Winter" }'>${data.restriction ? escapeHtml(JSON.stringify(data.restriction)) : ''}</textarea>
+        </fieldset>`;
+}
+
+/**
+ * Reads the form back into a monster definition. Properties the form does not cover
+ * (such as `weather` or `regions`) are carried over from the source definition.
+ * @param {object} source - The definition the form was rendered from.
+ * @returns {{data: object, issues: Array<object>}} The draft definition, and any problems
+ * that prevented a field from being read.
+ */
+function readForm(source) {
+    const issues = [];
+    const data = { ...source };
+    const text = (id) => form.querySelector(`#${id}`).value.trim();
+    const checked = (selector) => [...form.querySelectorAll(selector)].filter(input => input.checked);
+
+    data.id = text('editor-id');
+    data.name = text('editor-name');
+    data.icon = text('editor-icon');
+    data.spottingChance = text('editor-chance') === '' ? undefined : Number(text('editor-chance'));
+
+    const habitats = checked('[data-habitat]').map(input => [
+        input.dataset.habitat,
+        Number(form.querySelector(`[data-habitat-weight="${CSS.escape(input.dataset.habitat)}"]`).value)
+    ]);
+    data.locations = habitats.every(([, weight]) => weight === 1)
+        ? habitats.map(([id]) => id)
+        : Object.fromEntries(habitats);
+
+    data.activeSeasons = checked('[data-group="activeSeasons"]').map(input => input.value);
+    data.activeTime = checked('[data-group="activeTime"]').map(input => input.value);
+
+    const overrides = {};
+    MODIFIER_TYPES.forEach(type => {
+        const inline = (source[type] ?? []).filter(modifier => typeof modifier === 'object');
+        const modifiers = [...checked(`[data-modifier-type="${type}"]`).map(input => input.value), ...inline];
+        if (modifiers.length > 0) data[type] = modifiers;
+        else delete data[type];
+
+        form.querySelectorAll(`[data-override-type="${type}"]`).forEach(input => {
+            if (input.value === '') return;
+            overrides[type] = { ...overrides[type], [input.dataset.override]: Number(input.value) };
+        });
+    });
+    if (Object.keys(overrides).length > 0) data.overrides = overrides;
+    else delete data.overrides;
+
+    const restriction = text('editor-restriction');
+    delete data.restriction;
+    if (restriction !== '') {
+        try {
+            data.restriction = JSON.parse(restriction);
+        } catch (error) {
+            issues.push({ level: 'error', monster: data.id, field: 'restriction', message: `is not valid JSON: ${error.message}` });
+        }
+    }
+
+    return { data, issues };
+}
+
+/**
+ * Renders the problems with the current draft.
+ * @param {Array<object>} issues - The issues found by the validator and the form reader.
+ */
+function renderIssues(issues) {
+    issuesList.innerHTML = issues.map(({ level, field, message }) =>
+        `<li class="diagnostic-${level}"><code>${escapeHtml(field)}</code> ${escapeHtml(message)}</li>`
+    ).join('');
+}
+
+/**
+ * Fills the monster selector with the loaded monsters and an entry for a new one.
+ */
+function populateMonsterSelect() {
+    const { target } = appState.editor;
+    monsterSelect.innerHTML = `<option value="new">${t('editor.newMonster')}</option>` + appState.monsters.map((monster, index) =>
+        `<option value="${index}" ${monster === target ? 'selected' : ''}>${escapeHtml(monster.icon)} ${escapeHtml(monster.getName())}</option>`
+    ).join('');
+    if (!target) monsterSelect.value = 'new';
+}
+
+/**
+ * Reads and validates the draft, updates the export and, if the draft has no errors,
+ * applies it to the monster being edited (creating it first if it is new) and redraws.
+ */
+function applyDraft() {
+    const { data, issues } = readForm(appState.editor.source);
+    issues.push(...validateMonsters([data]).issues);
+    if (appState.monsters.some(monster => monster !== appState.editor.target && monster.id === data.id)) {
+        issues.push({ level: 'error', monster: data.id, field: 'id', message: 'is already used by another monster' });
+    }
+
+    renderIssues(issues);
+    exportOutput.value = JSON.stringify(data, null, 4);
+    if (issues.some(issue => issue.level === 'error')) return;
+
+    if (appState.editor.target) {
+        appState.editor.target.applyDefinition(data);
+    } else {
+        appState.editor.target = new Monster(data);
+        appState.monsters.push(appState.editor.target);
+    }
+    populateMonsterSelect();
+    redrawCallback();
+}
+
+/**
+ * Starts editing a monster, or a new one.
+ * @param {Monster|null} monster - The monster to edit, or null to create a new monster.
+ */
+function selectMonster(monster) {
+    appState.editor.target = monster;
+    appState.editor.source = monster ? monster.toDefinition() : structuredClone(NEW_MONSTER_TEMPLATE);
+    renderForm(appState.editor.source);
+    renderIssues([]);
+    exportOutput.value = JSON.stringify(appState.editor.source, null, 4);
+}
+
+/**
+ * Initializes the monster editor, attaching all necessary event listeners.
+ * @param {function} mainRedrawFunction - The main application redraw function to call after a draft is applied.
+ */
+export function initializeEditor(mainRedrawFunction) {
+    redrawCallback = mainRedrawFunction;
+
+    document.getElementById('toggle-editor-btn').addEventListener('click', () => {
+        const isOpen = editorPanel.style.display === 'block';
+        editorPanel.style.display = isOpen ? 'none' : 'block';
+        if (!isOpen) {
+            if (!appState.editor.source) selectMonster(appState.monsters[0] ?? null);
+            populateMonsterSelect();
+        }
+    });
+
+    monsterSelect.addEventListener('change', () => {
+        selectMonster(monsterSelect.value === 'new' ? null : appState.monsters[Number(monsterSelect.value)]);
+    });
+
+    form.addEventListener('input', applyDraft);
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    copyButton.addEventListener('click', () => {
+        navigator.clipboard.writeText(exportOutput.value).then(() => {
+            copyButton.textContent = t('app.copied');
+            setTimeout(() => { copyButton.textContent = t('editor.copy'); }, 2000);
+        }).catch(err => {
+            console.error('Failed to copy monster JSON: ', err);
+            exportOutput.select();
+        });
+    });
+}
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * @file /ui/exportMenu.js
+ * @description Manages the export menu, which downloads the sightings of the selected date, or of
+ * every day of a range, as a GeoJSON, CSV, KML or GPX file (see `services/sightingExport.js`).
+ * Ranges are simulated by the same engine and cache as the statistics dashboard.
+ */
+
+import { appState } from '../state.js';
+import { TIME_PERIODS } from '../config.js';
+import { buildSightingRecords, EXPORT_FORMATS } from '../services/sightingExport.js';
+import { simulateDays, MAX_STATISTICS_DAYS } from '../services/statistics.js';
+import { getDaySightings } from '../services/spottingCalculator.js';
+import { getDateSeed, getCurrentPeriodName } from '../services/time.js';
+import { t } from '../services/i18n.js';
+import { escapeHtml, downloadFile, parseDateInput } from '../utils/helpers.js';
+
+// The run in progress, if any, so it can be cancelled when a new one starts or the menu closes.
+let currentRun = null;
+
+const overlay = document.getElementById('export-overlay');
+const content = document.getElementById('export-content');
+
+/**
+ * Gets the days to export: the selected date as shown on the map, or every day of the chosen range.
+ * @param {AbortSignal} signal - Cancels the simulation of a range when aborted.
+ * @returns {Promise<{days: Array<object>, label: string}|null>} The days (see `buildSightingRecords`)
+ * and a label for the file name, or null if the run was cancelled.
+ * @throws {RangeError} If the range is empty or too long.
+ */
+async function collectDays(signal) {
+    if (document.getElementById('export-span').value === 'day') {
+        const seed = getDateSeed();
+        return {
+            days: [{ date: appState.currentDate, seed, sightings: getDaySightings(appState.spottedMonstersData) }],
+            label: seed
+        };
+    }
+
+    const startDate = parseDateInput(document.getElementById('export-start').value);
+    const endDate = parseDateInput(document.getElementById('export-end').value);
+    if (!startDate || !endDate) throw new RangeError('The range needs a first and a last day.');
+
+    const progress = document.getElementById('export-progress');
+    const status = document.getElementById('export-status');
+    progress.hidden = false;
+    try {
+        const days = await simulateDays(startDate, endDate, {
+            period: document.getElementById('export-period').value,
+            signal,
+            onProgress: (done, total) => {
+                progress.value = done / total;
+                status.textContent = t('statistics.progress', { done, total });
+            }
+        });
+        return days && { days, label: `${days[0].seed}_${days[days.length - 1].seed}` };
+    } finally {
+        progress.hidden = true;
+    }
+}
+
+/**
+ * Builds the export file in the chosen format and offers it for download.
+ * A range that is still being simulated is cancelled first.
+ */
+async function startExport() {
+    const status = document.getElementById('export-status');
+    const format = EXPORT_FORMATS[document.getElementById('export-format').value];
+
+    currentRun?.abort();
+    const run = currentRun = new AbortController();
+    status.textContent = '';
+
+    let collected;
+    try {
+        collected = await collectDays(run.signal);
+    } catch (error) {
+        if (error instanceof RangeError) {
+            status.textContent = t('statistics.invalidRange', { max: MAX_STATISTICS_DAYS });
+        } else {
+            console.error('Failed to simulate the export range:', error);
+            status.textContent = t('statistics.error');
+        }
+        return;
+    } finally {
+        if (currentRun === run) currentRun = null;
+    }
+    if (!collected) return;
+
+    const records = buildSightingRecords(collected.days);
+    if (records.length === 0) {
+        status.textContent = t('export.empty');
+        return;
+    }
+    const name = t('export.name', { dates: collected.label });
+    downloadFile(`sightings_${collected.label}.${format.extension}`, format.write(records, name), format.type);
+    status.textContent = t('export.done', { count: records.length, format: format.label });
+}
+
+/** Shows the range fields only when a range is chosen. */
+function updateRangeFields() {
+    document.getElementById('export-range').hidden = document.getElementById('export-span').value !== 'range';
+}
+
+/** Hides the export menu and cancels any run in progress. */
+function hideExportMenu() {
+    currentRun?.abort();
+    currentRun = null;
+    overlay.classList.add('hidden');
+    content.innerHTML = '';
+}
+
+/**
+ * Displays the export menu, with a range of the month of the selected date.
+ */
+function showExportMenu() {
+    const date = appState.currentDate;
+    const startDate = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    const endDate = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+    const currentPeriod = getCurrentPeriodName();
+    const periodOptions = Object.keys(TIME_PERIODS)
+        .map(period => `<option value="${escapeHtml(period)}"${period === currentPeriod ? ' selected' : ''}>${escapeHtml(t(`period.${period}`))}</option>`).join('');
+    const formatOptions = Object.entries(EXPORT_FORMATS)
+        .map(([id, format]) => `<option value="${id}">${format.label}</option>`).join('');
+
+    content.innerHTML = `
+        <button id="export-close-btn">&times;</button>
+        <h3>${t('export.title')}</h3>
+        <div class="export-form">
+            <label>${t('export.span')}
+                <select id="export-span">
+                    <option value="day">${escapeHtml(t('export.day', { date: getDateSeed() }))}</option>
+                    <option value="range">${t('export.range')}</option>
+                </select>
+            </label>
+            <div id="export-range" hidden>
+                <label>${t('statistics.from')} <input type="date" id="export-start" value="${startDate.toISOString().slice(0, 10)}"></label>
+                <label>${t('statistics.to')} <input type="date" id="export-end" value="${endDate.toISOString().slice(0, 10)}"></label>
+                <label title="${t('statistics.periodHint')}">${t('statistics.period')} <select id="export-period">${periodOptions}</select></label>
+            </div>
+            <label>${t('export.format')} <select id="export-format">${formatOptions}</select></label>
+            <button id="export-download-btn">${t('export.download')}</button>
+        </div>
+        <progress id="export-progress" max="1" value="0" hidden></progress>
+        <span id="export-status"></span>
+        <p class="export-note">${t('export.note')}</p>
+    `;
+    overlay.classList.remove('hidden');
+
+    document.getElementById('export-close-btn').addEventListener('click', hideExportMenu);
+    document.getElementById('export-span').addEventListener('change', updateRangeFields);
+    document.getElementById('export-download-btn').addEventListener('click', startExport);
+}
+
+/**
+ * Initializes the export menu and its button in the header.
+ */
+export function initializeExportMenu() {
+    document.getElementById('export-button').addEventListener('click', showExportMenu);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) hideExportMenu();
+    });
+}
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * @file /ui/forecast.js
+ * @description Manages the forecast overlay, which shows when a monster is worth looking for
+ * over the coming days: its next chance, its best moments and what drives them, and a calendar
+ * of its chance in every time period (see `services/forecast.js`). The windows in which the
+ * chance or the expected sightings reach a threshold can be exported as an iCalendar file.
+ * It is opened from the monster's info panel or details modal.
+ */
+
+import { TIME_PERIODS } from '../config.js';
+import { forecastMonster, findForecastWindows, FORECAST_DAYS } from '../services/forecast.js';
+import { buildCalendar } from '../services/ical.js';
+import { getSimulationTimeZone } from '../services/clock.js';
+import { t, getLocale } from '../services/i18n.js';
+import { escapeHtml, formatMinutes, downloadFile } from '../utils/helpers.js';
+
+const overlay = document.getElementById('forecast-overlay');
+const content = document.getElementById('forecast-content');
+
+// The default export thresholds: a chance in percent, or a number of expected sightings.
+const DEFAULT_THRESHOLDS = { chance: 10, expected: 2 };
+
+/**
+ * Formats a spotting chance as a whole percentage, without rounding small chances down to zero.
+ * @param {number} chance - The chance (0-1).
+ * @returns {string}
+ */
+function formatChance(chance) {
+    const percent = Math.round(chance * 100);
+    return chance > 0 && percent === 0 ? '<1%' : `${percent}%`;
+}
+
+/**
+ * Formats an application date in the active locale (e.g., 'Fri 31 Oct').
+ * @param {Date} date - The UTC-midnight application date.
+ * @returns {string}
+ */
+function formatDate(date) {
+    return date.toLocaleDateString(getLocale(), { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+/**
+ * Describes the moment of a forecast slot, e.g. 'Fri 31 Oct, Midnight (00:15)'.
+ * @param {object} slot - A forecast slot.
+ * @returns {string}
+ */
+function describeMoment(slot) {
+    return t('forecast.moment', { date: formatDate(slot.date), period: t(`period.${slot.period}`), time: formatMinutes(slot.minutes) });
+}
+
+/**
+ * Generates the list of the best upcoming moments, with their expected sightings and drivers.
+ * @param {Array<object>} slots - The best forecast slots.
+ * @returns {string} An HTML string.
+ */
+function generateBestList(slots) {
+    const items = slots.map(slot => {
+        const drivers = slot.drivers.length > 0 ? `<br><small>${escapeHtml(t('forecast.drivers', { drivers: slot.drivers.join(', ') }))}</small>` : '';
+        return `<li><strong>${escapeHtml(describeMoment(slot))}</strong>: ${formatChance(slot.chance)}, ${t('forecast.expected', { count: slot.expected.toFixed(1) })}${drivers}</li>`;
+    }).join('');
+    return `<span class="breakdown-title">${t('forecast.best')}</span><ol class="forecast-best">${items}</ol>`;
+}
+
+/**
+ * Generates the calendar table with one row per day and one cell per time period. Cells are
+ * shaded by their chance relative to the monster's best moment, and list their drivers (or the
+ * reason the monster cannot be spotted) in a tooltip.
+ * @param {Array<object>} days - The forecast days.
+ * @returns {string} An HTML string.
+ */
+function generateCalendar(days) {
+    const periods = Object.keys(TIME_PERIODS);
+    const maxChance = Math.max(...days.flatMap(day => day.slots.map(slot => slot.chance)));
+
+    const headerCells = periods.map(period => `<th>${escapeHtml(t(`period.${period}`))}</th>`).join('');
+    const rows = days.map(day => {
+        const cells = day.slots.map(slot => {
+            const tooltip = slot.past ? t('forecast.past') : (slot.chance > 0 ? slot.drivers.join('\n') : (slot.reason ?? ''));
+            if (slot.chance <= 0) {
+                return `<td class="forecast-cell impossible${slot.past ? ' past' : ''}" title="${escapeHtml(tooltip)}">–</td>`;
+            }
+            const shade = (0.1 + 0.75 * slot.chance / maxChance).toFixed(2);
+            const classes = ['forecast-cell', slot.past ? 'past' : '', slot === day.best ? 'best' : ''].filter(Boolean).join(' ');
+            return `<td class="${classes}" style="background-color: rgba(198, 40, 40, ${shade})" title="${escapeHtml(tooltip)}">${formatChance(slot.chance)}</td>`;
+        }).join('');
+        return `<tr><th>${escapeHtml(formatDate(day.date))}</th>${cells}</tr>`;
+    }).join('');
+
+    return `<span class="breakdown-title">${t('forecast.calendar')}</span><div class="forecast-calendar"><table><thead><tr><th>${t('forecast.date')}</th>${headerCells}</tr></thead><tbody>${rows}</tbody></table></div>`;
+}
+
+/**
+ * Builds the iCalendar file with one event per forecast window, e.g.
+ * "Werewolf window – Full Moon, 21:00–03:59, 38%".
+ * @param {Monster} monster - The forecast monster.
+ * @param {Array<object>} windows - The windows found by `findForecastWindows`.
+ * @returns {string} The contents of the `.ics` file.
+ */
+function buildForecastCalendar(monster, windows) {
+    const name = monster.getName();
+    const events = windows.map(huntingWindow => {
+        const times = { start: formatMinutes(huntingWindow.startMinutes), end: formatMinutes(huntingWindow.endMinutes), chance: formatChance(huntingWindow.chance) };
+        const summary = huntingWindow.drivers.length > 0
+            ? t('forecast.windowSummary', { name, drivers: huntingWindow.drivers.join(', '), ...times })
+            : t('forecast.windowSummaryPlain', { name, ...times });
+        const description = huntingWindow.slots.map(slot => {
+            const line = `${describeMoment(slot)}: ${formatChance(slot.chance)}, ${t('forecast.expected', { count: slot.expected.toFixed(1) })}`;
+            return slot.drivers.length > 0 ? `${line}\n${t('forecast.drivers', { drivers: slot.drivers.join(', ') })}` : line;
+        }).join('\n\n');
+        return {
+            uid: `${monster.id}-${huntingWindow.start.getTime()}@swedish-monster-spotter`,
+            start: huntingWindow.start,
+            end: huntingWindow.end,
+            summary,
+            description,
+            categories: [name]
+        };
+    });
+    return buildCalendar({ name: t('forecast.calendarName', { name }), events });
+}
+
+/**
+ * Generates the form for exporting the forecast windows as an iCalendar file.
+ * @returns {string} An HTML string.
+ */
+function generateExportForm() {
+    return `<div class="forecast-export">
+            <span class="breakdown-title">${t('forecast.exportTitle')}</span>
+            <label>${t('forecast.exportWhen')}
+                <select id="forecast-threshold-type">
+                    <option value="chance">${t('forecast.thresholdChance')}</option>
+                    <option value="expected">${t('forecast.thresholdExpected')}</option>
+                </select>
+            </label>
+            <input type="number" id="forecast-threshold" min="0" step="any" value="${DEFAULT_THRESHOLDS.chance}">
+            <button id="forecast-export-btn" title="${t('forecast.exportHint')}">${t('forecast.export')}</button>
+            <span id="forecast-export-status"></span>
+        </div>`;
+}
+
+/**
+ * Attaches the listeners of the export form.
+ * @param {Monster} monster - The forecast monster.
+ * @param {object} forecast - The forecast built by `forecastMonster`.
+ */
+function attachExportListeners(monster, forecast) {
+    const typeSelect = document.getElementById('forecast-threshold-type');
+    const thresholdInput = document.getElementById('forecast-threshold');
+    const status = document.getElementById('forecast-export-status');
+
+    typeSelect.addEventListener('change', () => {
+        thresholdInput.value = DEFAULT_THRESHOLDS[typeSelect.value];
+    });
+
+    document.getElementById('forecast-export-btn').addEventListener('click', () => {
+        const threshold = Math.max(0, parseFloat(thresholdInput.value) || 0);
+        const windows = findForecastWindows(forecast, typeSelect.value === 'chance'
+            ? { minChance: threshold / 100 }
+            : { minExpected: threshold });
+        if (windows.length === 0) {
+            status.textContent = t('forecast.noWindows');
+            return;
+        }
+        downloadFile(`${monster.id}-forecast.ics`, buildForecastCalendar(monster, windows), 'text/calendar');
+        status.textContent = t('forecast.exported', { count: windows.length });
+    });
+}
+
+/** Hides the forecast overlay and clears its content. */
+function hideForecast() {
+    overlay.classList.add('hidden');
+    content.innerHTML = '';
+}
+
+/**
+ * Calculates the forecast of a monster and displays it in the forecast overlay.
+ * @param {Monster} monster - The monster to forecast.
+ */
+export function showForecast(monster) {
+    const forecast = forecastMonster(monster);
+    const nextLine = forecast.next
+        ? t('forecast.next', { moment: describeMoment(forecast.next), chance: formatChance(forecast.next.chance) })
+        : t('forecast.never', { days: FORECAST_DAYS });
+
+    content.innerHTML = `
+        <button id="forecast-close-btn">&times;</button>
+        <h3>${escapeHtml(monster.icon)} ${escapeHtml(t('forecast.title', { name: monster.getName(), days: FORECAST_DAYS }))}</h3>
+        <p class="forecast-next">${escapeHtml(nextLine)}</p>
+        ${forecast.best.length > 0 ? generateBestList(forecast.best) : ''}
+        ${generateCalendar(forecast.days)}
+        ${generateExportForm()}
+        <p class="forecast-note">${escapeHtml(t('forecast.note', { timeZone: getSimulationTimeZone() }))}</p>
+    `;
+    overlay.classList.remove('hidden');
+    document.getElementById('forecast-close-btn').addEventListener('click', hideForecast);
+    attachExportListeners(monster, forecast);
+}
+
+/**
+ * Initializes the forecast overlay.
+ */
+export function initializeForecast() {
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) hideForecast();
+    });
+}
\ No newline at end of file
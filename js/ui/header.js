@@ -1,32 +1,74 @@
 /**
  * @file /ui/header.js
  * @description Manages the top header bar, displaying time, date, and status icons.
- * This module correctly displays the simulation time in the user's local timezone.
+ * The clock shows the simulation time in the simulation time zone (see `services/clock.js`).
  */
 
 import { appState, debugState } from '../state.js';
+import { WEATHER_TYPES } from '../config.js';
 import * as time from '../services/time.js';
+import { resolveSimulationTime, getSimulationMinutes, getSimulationTimeZone } from '../services/clock.js';
+import { getRegionalWeather, getWeatherMix } from '../services/weather.js';
+import { t } from '../services/i18n.js';
 
 // Cache DOM elements for performance
 const timeEl = document.getElementById('current-time');
+const clockModeButton = document.getElementById('clock-mode-toggle');
 const dayNightIconEl = document.getElementById('day-night-icon');
 const periodBadge = document.getElementById('period-status');
 const periodStatusTextEl = document.getElementById('period-status-text');
 const witchingBadge = document.getElementById('witching-hour-status');
 const moonBadge = document.getElementById('full-moon-status');
 const halloweenBadge = document.getElementById('halloween-status');
-const midsummerBadge = document.getElementById('midsummer-status');
-const yuleBadge = document.getElementById('yule-status');
+const weatherBadge = document.getElementById('weather-status');
+const weatherIconEl = document.getElementById('weather-icon');
+const weatherTextEl = document.getElementById('weather-status-text');
+
+// Badges for the holidays of the holiday calendar, keyed by holiday id.
+const holidayBadges = {
+    'epiphany': document.getElementById('epiphany-status'),
+    'easter': document.getElementById('easter-status'),
+    'walpurgis': document.getElementById('walpurgis-status'),
+    'midsummer': document.getElementById('midsummer-status'),
+    'allSaints': document.getElementById('all-saints-status'),
+    'lucia': document.getElementById('lucia-status'),
+    'yule': document.getElementById('yule-status')
+};
+
+/**
+ * Updates the weather badge with the most common weather across the counties,
+ * and a tooltip listing the weather in every county.
+ */
+function updateWeatherBadge() {
+    const mix = getWeatherMix();
+    const dominant = Object.keys(mix).reduce((best, weatherId) => mix[weatherId] > mix[best] ? weatherId : best);
+    weatherIconEl.textContent = WEATHER_TYPES[dominant].icon;
+    weatherTextEl.textContent = t(`weather.${dominant}`);
+
+    const { byRegion } = getRegionalWeather();
+    weatherBadge.title = Object.keys(WEATHER_TYPES)
+        .map(weatherId => {
+            const counties = appState.adminHierarchy.adm1.filter(county => byRegion.get(county.admin1) === weatherId);
+            return counties.length ? `${t(`weather.${weatherId}`)}: ${counties.map(c => c.name).join(', ')}` : null;
+        })
+        .filter(Boolean)
+        .join('\n');
+}
 
 /**
  * Updates all elements in the header based on the current application state.
+ * The simulation instant is resolved once here, so the clock and every badge show the same moment.
  */
 export function updateHeader() {
-    const now = time.getCurrentTime();
+    const now = resolveSimulationTime();
+    const hours = Math.floor(getSimulationMinutes() / 60);
+    const timeZone = getSimulationTimeZone();
 
-    timeEl.textContent = now.toLocaleTimeString('sv-SE', { hour: '2-digit', minute: '2-digit' });
-    dayNightIconEl.textContent = (now.getHours() >= 6 && now.getHours() < 18) ? '☀️' : time.getMoonPhaseIcon(appState.currentDate);
-    periodStatusTextEl.textContent = time.getCurrentPeriodName();
+    timeEl.textContent = now.toLocaleTimeString('sv-SE', { hour: '2-digit', minute: '2-digit', timeZone });
+    clockModeButton.textContent = t(appState.useLocalTime ? 'header.clockLocal' : 'header.clockStockholm');
+    clockModeButton.title = t('header.clockTitle', { timeZone, other: t(appState.useLocalTime ? 'header.stockholmTime' : 'header.localTime') });
+    dayNightIconEl.textContent = (hours >= 6 && hours < 18) ? '☀️' : time.getMoonPhaseIcon(now);
+    periodStatusTextEl.textContent = t(`period.${time.getCurrentPeriodName()}`);
     periodBadge.classList.add('active');
     periodBadge.classList.toggle('forced', debugState.forceTime !== null);
 
@@ -42,6 +84,9 @@ export function updateHeader() {
     halloweenBadge.classList.toggle('active', isHalloweenActive);
     halloweenBadge.classList.toggle('forced', debugState.forceHalloween !== null);
 
-    midsummerBadge.classList.toggle('active', time.isMidsummer());
-    yuleBadge.classList.toggle('active', time.isYule());
+    updateWeatherBadge();
+
+    Object.entries(holidayBadges).forEach(([holidayId, badge]) => {
+        badge.classList.toggle('active', time.isHoliday(holidayId));
+    });
 }
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * @file /ui/language.js
+ * @description Manages the language switcher in the header and the translation of the static
+ * text in index.html. Elements opt in with `data-i18n` (text), `data-i18n-title` (tooltip) and
+ * `data-i18n-placeholder` attributes naming a message key; dynamic text is translated by the
+ * module that renders it on the next redraw.
+ */
+
+import { t, getLocale, setLocale, SUPPORTED_LOCALES } from '../services/i18n.js';
+import { updateUrlHash } from '../utils/url.js';
+
+let redrawCallback = () => { console.warn('Redraw callback for language switcher not initialized.'); };
+
+const languageButton = document.getElementById('language-toggle');
+
+/**
+ * Translates every element below a root that carries a `data-i18n*` attribute.
+ * @param {ParentNode} [root=document] - The element to translate the contents of.
+ */
+export function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+
+    if (root === document) {
+        document.documentElement.lang = getLocale();
+        document.title = t('app.title');
+    }
+}
+
+/**
+ * Gets the locale that follows the active one; the language button cycles through them.
+ * @returns {string} The locale code.
+ */
+function getNextLocale() {
+    const locales = Object.keys(SUPPORTED_LOCALES);
+    return locales[(locales.indexOf(getLocale()) + 1) % locales.length];
+}
+
+/**
+ * Shows the locale that a click on the language button switches to.
+ */
+function updateLanguageButton() {
+    const next = getNextLocale();
+    languageButton.textContent = `${SUPPORTED_LOCALES[next].flag} ${SUPPORTED_LOCALES[next].name}`;
+}
+
+/**
+ * Initializes the language switcher and translates the page into the active locale.
+ * Must run after the URL hash has been parsed, since it can name the locale.
+ * @param {function} mainRedrawFunction - The main application redraw function to call after the locale changes.
+ */
+export function initializeLanguageSwitcher(mainRedrawFunction) {
+    redrawCallback = mainRedrawFunction;
+
+    languageButton.addEventListener('click', () => {
+        setLocale(getNextLocale());
+        applyTranslations();
+        updateLanguageButton();
+        updateUrlHash();
+        redrawCallback();
+    });
+
+    applyTranslations();
+    updateLanguageButton();
+}
\ No newline at end of file
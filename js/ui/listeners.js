@@ -6,6 +6,7 @@
 import { appState } from '../state.js';
 import { updateUrlHash } from '../utils/url.js';
 import { getDateSeed } from '../services/time.js';
+import { t } from '../services/i18n.js';
 import { map } from './map.js';
 
 let redrawCallback = () => {};
@@ -24,17 +25,27 @@ function setupHistoricalDateListener() {
     });
 }
 
+/** Sets up the listener for the button that switches between Stockholm time and the viewer's local time. */
+function setupClockModeListener() {
+    const clockModeButton = document.getElementById('clock-mode-toggle');
+    clockModeButton.addEventListener('click', () => {
+        appState.useLocalTime = !appState.useLocalTime;
+        updateUrlHash();
+        redrawCallback();
+    });
+}
+
 /** Sets up the listener for the 'Share' button to copy the current URL. */
 function setupShareButtonListener() {
     const shareButton = document.getElementById('share-button');
     shareButton.addEventListener('click', () => {
         updateUrlHash();
         navigator.clipboard.writeText(window.location.href).then(() => {
-            shareButton.textContent = '✅ Copied!';
-            setTimeout(() => { shareButton.textContent = '🔗 Share'; }, 2000);
+            shareButton.textContent = t('app.copied');
+            setTimeout(() => { shareButton.textContent = t('header.share'); }, 2000);
         }).catch(err => {
             console.error('Failed to copy URL: ', err);
-            alert('Failed to copy URL from address bar.');
+            alert(t('header.shareFailed'));
         });
     });
 }
@@ -63,6 +74,7 @@ export function initializeListeners(mainRedrawFunction) {
     redrawCallback = mainRedrawFunction;
     
     setupHistoricalDateListener();
+    setupClockModeListener();
     setupShareButtonListener();
     setupMapExpanderListener();
 
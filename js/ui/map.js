@@ -5,10 +5,65 @@
  */
 
 import { appState } from '../state.js';
-import { getLocationTypeName } from '../utils/helpers.js';
+import { INDIVIDUALS_CONFIG, NEARBY_RADIUS_KM, BASEMAPS, DEFAULT_BASEMAP } from '../config.js';
+import { getIndividualTrail } from '../services/individuals.js';
+import { getPeriodNameAt, getCurrentPeriodName } from '../services/time.js';
+import { loadRegionShapes, countSightingsByRegion } from '../services/regions.js';
+import { buildHeatmapPoints } from '../services/heatmap.js';
+import { simulateDays, MAX_STATISTICS_DAYS } from '../services/statistics.js';
+import { getDaySightings } from '../services/spottingCalculator.js';
+import { searchPlaces } from '../services/search.js';
+import { findSightingsNear } from '../services/nearby.js';
+import { getBasemap, loadSwedenOutline } from '../services/basemaps.js';
+import { t } from '../services/i18n.js';
+import { getLocationTypeName, getLocationIcon, formatMinutes, escapeHtml, parseDateInput } from '../utils/helpers.js';
+import { updateUrlHash } from '../utils/url.js';
 
 export let map;
 let zoomToMonsterControl;
+let timeLapseControl;
+let choroplethControl;
+let heatmapControl;
+let nearbyControl;
+let basemapControl;
+
+// The heatmap range being simulated, if any, so it can be cancelled when a new one starts.
+let heatmapRun = null;
+
+// The periods whose sightings are drawn as daytime sightings; all others get the night style.
+const DAYLIGHT_PERIODS = ['Morning', 'Day'];
+
+// How long a sighting stays visible during the time-lapse, in simulated minutes, while it fades out.
+const TIME_LAPSE_FADE_MINUTES = 180;
+
+// How many simulated minutes pass per frame of the time-lapse, and the real time between frames.
+const TIME_LAPSE_STEP_MINUTES = 10;
+const TIME_LAPSE_FRAME_MS = 100;
+
+const LAST_MINUTE_OF_DAY = 1439;
+
+// The fill colors of the choropleth classes, from the fewest to the most sightings, and of regions without any.
+const CHOROPLETH_COLORS = ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'];
+const CHOROPLETH_EMPTY_COLOR = '#f0f0f0';
+
+// The area the density of sightings is given per, in km².
+const DENSITY_AREA_KM2 = 1000;
+
+// How many of a region's most seen monsters its tooltip lists.
+const CHOROPLETH_TOP_MONSTERS = 3;
+
+// The range of the heatmap radius slider, in pixels.
+const HEATMAP_RADIUS = { min: 10, max: 60 };
+
+// The compass points that bearings are named by, clockwise from north.
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// The highest zoom level of the map, whatever the basemap. Basemaps with fewer levels are enlarged.
+const MAP_MAX_ZOOM = 19;
+
+// The pane of the outline of Sweden, below the tiles, so that it shows wherever tiles are missing.
+const OUTLINE_PANE = 'outlinePane';
+const OUTLINE_STYLE = { color: '#2c3e50', weight: 1.5, fillColor: '#f4f4f4', fillOpacity: 1 };
 
 // --- Internal Helper Functions for the LocationFinder Control ---
 
@@ -38,7 +93,9 @@ function updateRegionBrowser() {
     browserContainer.innerHTML = '';
 
     const select = document.createElement('select');
-    select.innerHTML = '<option value="">┌ Sweden</option>'; // Root element
+    const rootOption = new Option(t('map.regionRoot'), ''); // Root element
+    rootOption.dataset.i18n = 'map.regionRoot'; // Translated again when the language changes
+    select.add(rootOption);
 
     const currentLocation = appState.currentLocationFinderId ? appState.locationsByGeonameId.get(String(appState.currentLocationFinderId)) : null;
 
@@ -99,12 +156,16 @@ function updateRegionBrowser() {
 
 /**
  * Zooms the map to a specific location, updates the application state, and resets the search UI.
+ * Places outside the administrative hierarchy (such as lakes or churches) are zoomed in on,
+ * and leave the region browser as it is.
  * @param {object|null} location The location object to zoom to, or null to zoom to the root.
  */
 function zoomToLocation(location) {
     if (!location) {
         appState.currentLocationFinderId = null;
         map.setView([62.0, 15.0], 5);
+    } else if (location.featureClass !== 'A') {
+        map.setView([location.latitude, location.longitude], location.featureClass === 'P' ? 12 : 13);
     } else {
         appState.currentLocationFinderId = String(location.geonameid);
         let zoom = 5;
@@ -126,37 +187,45 @@ function zoomToLocation(location) {
 }
 
 /**
- * Handles user input in the location search box, filters locations, and displays results.
+ * Handles user input in the location search box, searches all places, and displays the results
+ * grouped by their type. The groups are ordered by their best result.
  */
 function handleSearchInput() {
     const searchInput = document.querySelector('.location-finder-search-input');
     const resultsContainer = document.getElementById('search-results');
-    const query = searchInput.value.toLowerCase();
     resultsContainer.innerHTML = '';
 
-    if (query.length < 2) return;
-
-    const allAdminLocations = appState.allLocations.filter(loc => loc.featureClass === 'A');
-    let scoredResults = allAdminLocations.map(loc => {
-        const name = loc.name.toLowerCase();
-        let score = 0;
-        if (name.startsWith(query)) score = 2;
-        else if (name.includes(query)) score = 1;
-        return { ...loc, score };
-    }).filter(loc => loc.score > 0);
-
-    scoredResults.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
-
-    const resultsToShow = scoredResults.slice(0, 5);
-    resultsToShow.forEach(loc => {
-        const li = document.createElement('li');
-        li.textContent = `${loc.name} (${getLocationTypeName(loc)})`;
-        li.addEventListener('click', (ev) => {
-            L.DomEvent.stopPropagation(ev);
-            zoomToLocation(loc);
-            L.DomUtil.removeClass(document.querySelector('.leaflet-control-location-finder'), 'expanded');
+    const groups = new Map();
+    searchPlaces(searchInput.value).forEach(result => {
+        const typeName = getLocationTypeName(result.location);
+        if (!groups.has(typeName)) groups.set(typeName, []);
+        groups.get(typeName).push(result);
+    });
+
+    const countyNames = new Map(appState.adminHierarchy.adm1.map(county => [county.admin1, county.name]));
+    groups.forEach((results, typeName) => {
+        const header = document.createElement('li');
+        header.className = 'search-group';
+        header.textContent = `${getLocationIcon(results[0].location.fullFeatureCode)} ${typeName}`;
+        resultsContainer.appendChild(header);
+
+        results.forEach(({ location, name }) => {
+            const li = document.createElement('li');
+            li.textContent = location.name;
+            // Show the alternate name the place was found by, and its county to tell namesakes apart.
+            const details = [name !== location.name ? name : null, location.fullFeatureCode !== 'A.ADM1' ? countyNames.get(location.admin1) : null].filter(Boolean);
+            if (details.length > 0) {
+                const small = document.createElement('small');
+                small.textContent = ` ${details.join(', ')}`;
+                li.appendChild(small);
+            }
+            li.addEventListener('click', (ev) => {
+                L.DomEvent.stopPropagation(ev);
+                zoomToLocation(location);
+                L.DomUtil.removeClass(document.querySelector('.leaflet-control-location-finder'), 'expanded');
+            });
+            resultsContainer.appendChild(li);
         });
-        resultsContainer.appendChild(li);
     });
 }
 
@@ -171,13 +240,13 @@ const LocationFinder = L.Control.extend({
         container.innerHTML = `
             <div class="location-finder-content">
                 <div class="location-finder-search-wrapper">
-                    <input type="text" placeholder="Search locations..." class="location-finder-search-input">
+                    <input type="text" placeholder="${t('map.searchPlaceholder')}" data-i18n-placeholder="map.searchPlaceholder" class="location-finder-search-input">
                     <button class="location-finder-search-button"></button>
                 </div>
                 <ul id="search-results"></ul>
                 <div class="region-browser-header">
-                    <span>Browse Regions:</span>
-                    <button id="region-browser-zoom-out" title="Zoom out to parent region"></button>
+                    <span data-i18n="map.browseRegions">${t('map.browseRegions')}</span>
+                    <button id="region-browser-zoom-out" title="${t('map.zoomOutHint')}" data-i18n-title="map.zoomOutHint"></button>
                 </div>
                 <div id="region-browser"></div>
             </div>
@@ -211,6 +280,25 @@ const LocationFinder = L.Control.extend({
     }
 });
 
+/**
+ * Flies to a sighting and opens the popup of its marker once there.
+ * @param {string} monsterId - The id of the monster.
+ * @param {number} index - The index of the sighting among the monster's sightings.
+ */
+function flyToSighting(monsterId, index) {
+    const monsterLayerData = appState.monsterLayers[monsterId];
+    const targetLocation = appState.spottedMonstersData[monsterId]?.locations[index];
+    if (!targetLocation) return;
+    const markerToFind = monsterLayerData?.markers[index];
+
+    map.flyTo([targetLocation.lat, targetLocation.lng], 12, { duration: 1.5 });
+    map.once('moveend', () => {
+        // The marker is not on the map if the time-lapse has hidden it, or in the choropleth and heatmap modes.
+        if (!markerToFind || !monsterLayerData.group.hasLayer(markerToFind)) return;
+        monsterLayerData.group.zoomToShowLayer(markerToFind, () => markerToFind.openPopup());
+    });
+}
+
 /** The Leaflet control for displaying buttons to cycle through spotted monsters. */
 const ZoomToMonsterControl = L.Control.extend({
     onAdd: function(map) {
@@ -230,8 +318,8 @@ const ZoomToMonsterControl = L.Control.extend({
                     appState.zoomIteratorState[monster.id] = 0;
                 }
                 const button = L.DomUtil.create('button', 'monster-zoom-btn', container);
-                button.title = `Find next ${monster.name}`;
-                button.innerHTML = `<div class="monster-zoom-icon-wrapper"><span class="monster-zoom-icon">${monster.icon}</span><svg class="monster-zoom-finder-svg" viewBox="0 0 24 24"><path d="M12 4C8.69 4 6 6.69 6 10C6 13.31 8.69 16 12 16S18 13.31 18 10C18 6.69 15.31 4 12 4ZM12 14C9.79 14 8 12.21 8 10S9.79 6 12 6 14 7.79 14 10 12.21 14 12 14Z"/><path d="M4 12H2C2 6.48 6.48 2 12 2V4C7.58 4 4 7.58 4 12Z"/><path d="M20 12H22C22 6.48 17.52 2 12 2V4C16.42 4 20 7.58 20 12Z"/><path d="M4 12C4 16.42 7.58 20 12 20V22C6.48 22 2 17.52 2 12H4Z"/><path d="M20 12C20 16.42 16.42 20 12 20V22C17.52 22 22 17.52 22 12H20Z"/></svg></div><span class="monster-zoom-count">${monsterInfo.count}</span>`;
+                button.title = t('map.findNext', { name: monster.getName() });
+                button.innerHTML = `<div class="monster-zoom-icon-wrapper"><span class="monster-zoom-icon">${escapeHtml(monster.icon)}</span><svg class="monster-zoom-finder-svg" viewBox="0 0 24 24"><path d="M12 4C8.69 4 6 6.69 6 10C6 13.31 8.69 16 12 16S18 13.31 18 10C18 6.69 15.31 4 12 4ZM12 14C9.79 14 8 12.21 8 10S9.79 6 12 6 14 7.79 14 10 12.21 14 12 14Z"/><path d="M4 12H2C2 6.48 6.48 2 12 2V4C7.58 4 4 7.58 4 12Z"/><path d="M20 12H22C22 6.48 17.52 2 12 2V4C16.42 4 20 7.58 20 12Z"/><path d="M4 12C4 16.42 7.58 20 12 20V22C6.48 22 2 17.52 2 12H4Z"/><path d="M20 12C20 16.42 16.42 20 12 20V22C17.52 22 22 17.52 22 12H20Z"/></svg></div><span class="monster-zoom-count">${monsterInfo.count}</span>`;
                 
                 L.DomEvent.on(button, 'click', (e) => {
                     L.DomEvent.stop(e);
@@ -239,13 +327,7 @@ const ZoomToMonsterControl = L.Control.extend({
                     if (!monsterLayerData || monsterLayerData.markers.length === 0) return;
 
                     const currentIndex = appState.zoomIteratorState[monster.id];
-                    const targetLocation = monsterInfo.locations[currentIndex];
-                    const markerToFind = monsterLayerData.markers[currentIndex];
-                    
-                    map.flyTo([targetLocation.lat, targetLocation.lng], 12, { duration: 1.5 });
-                    map.once('moveend', () => {
-                        monsterLayerData.group.zoomToShowLayer(markerToFind, () => markerToFind.openPopup());
-                    });
+                    flyToSighting(monster.id, currentIndex);
 
                     appState.zoomIteratorState[monster.id] = (currentIndex + 1) % monsterInfo.locations.length;
                 });
@@ -254,13 +336,776 @@ const ZoomToMonsterControl = L.Control.extend({
     }
 });
 
+/** The Leaflet control for scrubbing through the day and playing it as a time-lapse. */
+const TimeLapseControl = L.Control.extend({
+    onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-control-time-lapse leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+
+        container.innerHTML = `
+            <button class="time-lapse-play" title="${t('map.timeLapsePlay')}" data-i18n-title="map.timeLapsePlay"></button>
+            <input type="range" class="time-lapse-slider" min="0" max="${LAST_MINUTE_OF_DAY}" step="1" value="0" title="${t('map.timeLapseScrub')}" data-i18n-title="map.timeLapseScrub">
+            <span class="time-lapse-label"></span>
+            <button class="time-lapse-reset" title="${t('map.timeLapseReset')}" data-i18n-title="map.timeLapseReset">24h</button>`;
+
+        const playButton = container.querySelector('.time-lapse-play');
+        const slider = container.querySelector('.time-lapse-slider');
+        const resetButton = container.querySelector('.time-lapse-reset');
+
+        L.DomEvent.on(playButton, 'click', () => {
+            if (appState.timeLapse.timerId) stopTimeLapse();
+            else playTimeLapse();
+        });
+        L.DomEvent.on(slider, 'input', () => {
+            stopTimeLapse();
+            setTimeLapseMinute(Number(slider.value));
+        });
+        L.DomEvent.on(resetButton, 'click', () => {
+            stopTimeLapse();
+            setTimeLapseMinute(null);
+        });
+
+        this._elements = { playButton, slider, container };
+        return container;
+    },
+    update: function() {
+        if (!this._elements) return;
+        const { minute, timerId } = appState.timeLapse;
+        const { playButton, slider, container } = this._elements;
+
+        playButton.textContent = timerId ? '⏸' : '▶';
+        slider.value = minute ?? 0;
+        container.querySelector('.time-lapse-label').textContent = minute === null ? t('map.allDay') : formatMinutes(minute);
+        container.classList.toggle('active', minute !== null);
+    }
+});
+
+/** The Leaflet control for listing the sightings within a radius of a dropped pin or the user's location. */
+const NearbyControl = L.Control.extend({
+    onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-control-nearby leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        container.innerHTML = `
+            <button class="nearby-toggle" title="${t('map.nearbyHint')}" data-i18n-title="map.nearbyHint">📍</button>
+            <div class="nearby-panel">
+                <div class="nearby-actions">
+                    <button class="nearby-pin" title="${t('map.nearbyPinHint')}" data-i18n-title="map.nearbyPinHint"><span data-i18n="map.nearbyPin">${t('map.nearbyPin')}</span></button>
+                    <button class="nearby-locate" data-i18n="map.nearbyLocate">${t('map.nearbyLocate')}</button>
+                    <button class="nearby-clear" title="${t('map.nearbyClear')}" data-i18n-title="map.nearbyClear">✕</button>
+                </div>
+                <label><span data-i18n="map.nearbyRadius">${t('map.nearbyRadius')}</span>
+                    <input type="number" class="nearby-radius" min="${NEARBY_RADIUS_KM.min}" max="${NEARBY_RADIUS_KM.max}" step="1">
+                </label>
+                <div class="nearby-status"></div>
+                <ol class="nearby-results"></ol>
+            </div>`;
+
+        const { nearby } = appState;
+        const radiusInput = container.querySelector('.nearby-radius');
+
+        L.DomEvent.on(container.querySelector('.nearby-toggle'), 'click', () => {
+            container.classList.toggle('expanded');
+        });
+        L.DomEvent.on(container.querySelector('.nearby-pin'), 'click', () => {
+            nearby.picking = !nearby.picking;
+            nearby.status = null;
+            this.update();
+        });
+        L.DomEvent.on(container.querySelector('.nearby-locate'), 'click', () => {
+            nearby.picking = false;
+            if (!navigator.geolocation) {
+                nearby.status = 'error';
+                this.update();
+                return;
+            }
+            nearby.status = 'locating';
+            this.update();
+            navigator.geolocation.getCurrentPosition(
+                position => setNearbyCenter({ lat: position.coords.latitude, lng: position.coords.longitude }),
+                () => {
+                    nearby.status = 'error';
+                    this.update();
+                },
+                { timeout: 10000 }
+            );
+        });
+        L.DomEvent.on(container.querySelector('.nearby-clear'), 'click', () => {
+            nearby.center = null;
+            nearby.picking = false;
+            nearby.status = null;
+            updateNearby();
+            updateUrlHash();
+        });
+        L.DomEvent.on(radiusInput, 'change', () => {
+            const radiusKm = Number(radiusInput.value);
+            if (Number.isFinite(radiusKm)) {
+                nearby.radiusKm = Math.min(NEARBY_RADIUS_KM.max, Math.max(NEARBY_RADIUS_KM.min, radiusKm));
+            }
+            updateNearby();
+            updateUrlHash();
+        });
+        L.DomEvent.on(container.querySelector('.nearby-results'), 'click', (e) => {
+            const item = e.target.closest('li[data-monster-id]');
+            if (item) flyToSighting(item.dataset.monsterId, Number(item.dataset.index));
+        });
+
+        this._elements = { container, radiusInput, status: container.querySelector('.nearby-status'), results: container.querySelector('.nearby-results') };
+        return container;
+    },
+    update: function() {
+        if (!this._elements) return;
+        const { center, radiusKm, picking, status: nearbyStatus } = appState.nearby;
+        const { container, radiusInput, status, results } = this._elements;
+
+        container.querySelector('.nearby-pin').classList.toggle('active', picking);
+        map.getContainer().classList.toggle('nearby-picking', picking);
+        radiusInput.value = radiusKm;
+        results.innerHTML = '';
+
+        if (picking) {
+            status.textContent = t('map.nearbyPinHint');
+        } else if (nearbyStatus === 'locating') {
+            status.textContent = t('map.nearbyLocating');
+        } else if (nearbyStatus === 'error') {
+            status.textContent = t('map.nearbyLocationError');
+        } else if (!center) {
+            status.textContent = t('map.nearbyStart');
+        } else {
+            const sightings = findSightingsNear(center, radiusKm);
+            status.textContent = sightings.length > 0
+                ? t('map.nearbyCount', { count: sightings.length, radius: radiusKm })
+                : t('map.nearbyNone', { radius: radiusKm });
+            results.innerHTML = sightings.map(({ monster, location, index, distanceKm, bearing }) => {
+                const name = escapeHtml(monster.getName());
+                const title = location.individual ? t('map.individual', { individual: escapeHtml(location.individual.name), name }) : name;
+                const direction = t(`compass.${COMPASS_POINTS[Math.round(bearing / 45) % COMPASS_POINTS.length]}`);
+                const distance = t('map.nearbyDistance', { distance: distanceKm.toFixed(1), direction, degrees: Math.round(bearing) % 360 });
+                return `<li data-monster-id="${escapeHtml(monster.id)}" data-index="${index}">${escapeHtml(monster.icon)} ${title}<br><small>${distance} · ${formatMinutes(location.minute)}</small></li>`;
+            }).join('');
+        }
+    }
+});
+
+/** The Leaflet control for switching to the heatmap mode, with its settings and the range to aggregate. */
+const HeatmapControl = L.Control.extend({
+    onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-control-heatmap leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+
+        container.innerHTML = `
+            <button class="heatmap-toggle" title="${t('map.heatmapHint')}" data-i18n-title="map.heatmapHint">🔥</button>
+            <div class="heatmap-panel">
+                <select class="heatmap-monster"></select>
+                <label><span data-i18n="map.heatmapRadius">${t('map.heatmapRadius')}</span>
+                    <input type="range" class="heatmap-radius" min="${HEATMAP_RADIUS.min}" max="${HEATMAP_RADIUS.max}" step="5">
+                </label>
+                <label><input type="checkbox" class="heatmap-weighted"> <span data-i18n="map.heatmapWeighted">${t('map.heatmapWeighted')}</span></label>
+                <select class="heatmap-span">
+                    <option value="day" data-i18n="map.heatmapDay">${t('map.heatmapDay')}</option>
+                    <option value="range" data-i18n="map.heatmapRange">${t('map.heatmapRange')}</option>
+                </select>
+                <div class="heatmap-range-fields">
+                    <input type="date" class="heatmap-start">
+                    <input type="date" class="heatmap-end">
+                    <button class="heatmap-run" data-i18n="map.heatmapRun">${t('map.heatmapRun')}</button>
+                </div>
+                <div class="heatmap-status"></div>
+            </div>`;
+
+        const elements = {
+            container,
+            monsterSelect: container.querySelector('.heatmap-monster'),
+            radiusSlider: container.querySelector('.heatmap-radius'),
+            weightedCheckbox: container.querySelector('.heatmap-weighted'),
+            spanSelect: container.querySelector('.heatmap-span'),
+            rangeFields: container.querySelector('.heatmap-range-fields'),
+            startInput: container.querySelector('.heatmap-start'),
+            endInput: container.querySelector('.heatmap-end'),
+            status: container.querySelector('.heatmap-status')
+        };
+        const { heatmap } = appState;
+
+        L.DomEvent.on(container.querySelector('.heatmap-toggle'), 'click', () => {
+            appState.mapMode = appState.mapMode === 'heatmap' ? 'markers' : 'heatmap';
+            updateMapMarkers();
+            updateUrlHash();
+        });
+        L.DomEvent.on(elements.monsterSelect, 'change', () => {
+            heatmap.monsterId = elements.monsterSelect.value;
+            updateHeatmap();
+        });
+        L.DomEvent.on(elements.radiusSlider, 'input', () => {
+            heatmap.radius = Number(elements.radiusSlider.value);
+            updateHeatmap();
+        });
+        L.DomEvent.on(elements.weightedCheckbox, 'change', () => {
+            heatmap.weighted = elements.weightedCheckbox.checked;
+            updateHeatmap();
+        });
+        L.DomEvent.on(elements.spanSelect, 'change', () => {
+            heatmap.span = elements.spanSelect.value;
+            updateHeatmap();
+        });
+        L.DomEvent.on(elements.startInput, 'change', () => { heatmap.start = parseDateInput(elements.startInput.value); });
+        L.DomEvent.on(elements.endInput, 'change', () => { heatmap.end = parseDateInput(elements.endInput.value); });
+        L.DomEvent.on(container.querySelector('.heatmap-run'), 'click', runHeatmapRange);
+
+        this._elements = elements;
+        return container;
+    },
+    update: function() {
+        if (!this._elements) return;
+        const { heatmap } = appState;
+        const { container, monsterSelect, radiusSlider, weightedCheckbox, spanSelect, rangeFields, startInput, endInput, status } = this._elements;
+
+        container.classList.toggle('active', appState.mapMode === 'heatmap');
+
+        // Monsters can come and go with packs, so the options are rebuilt every time.
+        const options = [`<option value="">${escapeHtml(t('map.heatmapAllMonsters'))}</option>`]
+            .concat(appState.monsters.map(monster => `<option value="${escapeHtml(monster.id)}">${escapeHtml(monster.icon)} ${escapeHtml(monster.getName())}</option>`));
+        monsterSelect.innerHTML = options.join('');
+        if (!appState.monsters.some(monster => monster.id === heatmap.monsterId)) heatmap.monsterId = '';
+        monsterSelect.value = heatmap.monsterId;
+
+        radiusSlider.value = heatmap.radius;
+        weightedCheckbox.checked = heatmap.weighted;
+        spanSelect.value = heatmap.span;
+        rangeFields.hidden = heatmap.span !== 'range';
+
+        // The range defaults to the month of the date selected when the control is first drawn.
+        // A date the user clears afterwards stays empty.
+        if (!this._rangeInitialized) {
+            const date = appState.currentDate;
+            heatmap.start ??= new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+            heatmap.end ??= new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+            this._rangeInitialized = true;
+        }
+        startInput.value = heatmap.start?.toISOString().slice(0, 10) ?? '';
+        endInput.value = heatmap.end?.toISOString().slice(0, 10) ?? '';
+
+        if (heatmap.span !== 'range') {
+            status.textContent = '';
+        } else if (heatmap.status === 'running') {
+            status.textContent = t('statistics.progress', heatmap.progress);
+        } else if (heatmap.status === 'invalid') {
+            status.textContent = t('statistics.invalidRange', { max: MAX_STATISTICS_DAYS });
+        } else if (heatmap.status === 'error') {
+            status.textContent = t('statistics.error');
+        } else if (heatmap.days) {
+            status.textContent = t('map.heatmapDays', { count: heatmap.days.length, period: t(`period.${heatmap.period}`) });
+        } else {
+            status.textContent = t('map.heatmapRangeHint');
+        }
+    }
+});
+
+/** The Leaflet control for switching to the choropleth mode, with its settings and legend. */
+const ChoroplethControl = L.Control.extend({
+    onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-control-choropleth leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+
+        container.innerHTML = `
+            <button class="choropleth-toggle" title="${t('map.choroplethHint')}" data-i18n-title="map.choroplethHint">🗺️</button>
+            <div class="choropleth-panel">
+                <select class="choropleth-level">
+                    <option value="adm1" data-i18n="map.counties">${t('map.counties')}</option>
+                    <option value="adm2" data-i18n="map.municipalities">${t('map.municipalities')}</option>
+                </select>
+                <select class="choropleth-metric">
+                    <option value="count" data-i18n="map.metricCount">${t('map.metricCount')}</option>
+                    <option value="density" data-i18n="map.metricDensity">${t('map.metricDensity')}</option>
+                </select>
+                <div class="choropleth-legend"></div>
+            </div>`;
+
+        const toggleButton = container.querySelector('.choropleth-toggle');
+        const levelSelect = container.querySelector('.choropleth-level');
+        const metricSelect = container.querySelector('.choropleth-metric');
+
+        L.DomEvent.on(toggleButton, 'click', () => {
+            appState.mapMode = appState.mapMode === 'choropleth' ? 'markers' : 'choropleth';
+            if (appState.choropleth.status === 'error') appState.choropleth.status = null;
+            updateMapMarkers();
+            updateUrlHash();
+        });
+        L.DomEvent.on(levelSelect, 'change', () => {
+            appState.choropleth.level = levelSelect.value;
+            if (appState.choropleth.status === 'error') appState.choropleth.status = null;
+            updateMapMarkers();
+            updateUrlHash();
+        });
+        L.DomEvent.on(metricSelect, 'change', () => {
+            appState.choropleth.metric = metricSelect.value;
+            updateMapMarkers();
+            updateUrlHash();
+        });
+
+        this._elements = { container, levelSelect, metricSelect, legend: container.querySelector('.choropleth-legend') };
+        return container;
+    },
+    update: function() {
+        if (!this._elements) return;
+        const { level, levels, metric, breaks, status } = appState.choropleth;
+        const { container, levelSelect, metricSelect, legend } = this._elements;
+
+        container.classList.toggle('active', appState.mapMode === 'choropleth');
+        // Only the levels whose shapes are available are offered, and there is no choice with a single one.
+        levelSelect.querySelectorAll('option').forEach(option => {
+            option.hidden = option.disabled = !levels.includes(option.value);
+        });
+        levelSelect.hidden = levels.length < 2;
+        levelSelect.value = level;
+        metricSelect.value = metric;
+
+        if (status === 'loading') {
+            legend.textContent = t('map.regionsLoading');
+        } else if (status === 'error') {
+            legend.textContent = t('map.regionsError');
+        } else {
+            const rows = breaks.map((upper, index) => {
+                const lower = index === 0 ? 0 : breaks[index - 1];
+                return `<div><span class="choropleth-swatch" style="background-color: ${CHOROPLETH_COLORS[index]}"></span>${formatRegionValue(lower, metric)}–${formatRegionValue(upper, metric)}</div>`;
+            });
+            rows.unshift(`<div><span class="choropleth-swatch" style="background-color: ${CHOROPLETH_EMPTY_COLOR}"></span>0</div>`);
+            legend.innerHTML = `<strong>${t(metric === 'density' ? 'map.metricDensity' : 'map.metricCount')}</strong>${rows.join('')}`;
+        }
+    }
+});
+
+/**
+ * A custom Leaflet control to switch the basemap. It also says when the basemap tiles cannot be
+ * loaded and the outline of Sweden is shown instead.
+ */
+const BasemapControl = L.Control.extend({
+    onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-control-basemap leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+
+        const options = Object.keys(BASEMAPS)
+            .map(id => `<option value="${id}" data-i18n="basemap.${id}">${t(`basemap.${id}`)}</option>`).join('');
+        container.innerHTML = `
+            <label title="${t('map.basemapHint')}" data-i18n-title="map.basemapHint">🧭 <select class="basemap-select">${options}</select></label>
+            <div class="basemap-status"></div>`;
+
+        const select = container.querySelector('.basemap-select');
+        L.DomEvent.on(select, 'change', () => {
+            appState.basemap.id = select.value;
+            updateBasemap();
+            updateUrlHash();
+        });
+
+        this._elements = { select, status: container.querySelector('.basemap-status') };
+        return container;
+    },
+    update: function() {
+        if (!this._elements) return;
+        const { select, status } = this._elements;
+        select.value = appState.basemap.id;
+        status.textContent = appState.basemap.unreachable ? t('map.basemapUnreachable') : '';
+    }
+});
+
+// --- Basemaps ---
+
+/**
+ * Creates the Leaflet layer of a basemap.
+ * @param {object} basemap - The basemap (see `BASEMAPS`).
+ * @returns {L.Layer|null} The layer, or null for a basemap without tiles.
+ */
+function createBasemapLayer(basemap) {
+    const options = {
+        attribution: basemap.attribution,
+        maxZoom: MAP_MAX_ZOOM,
+        maxNativeZoom: basemap.maxZoom,
+        // Tiles are loaded with CORS, so the service worker can cache them for offline use.
+        crossOrigin: basemap.crossOrigin ?? true
+    };
+    switch (basemap.type) {
+        case 'xyz':
+            return L.tileLayer(basemap.url, { ...options, subdomains: basemap.subdomains ?? 'abc' });
+        case 'wms':
+            return L.tileLayer.wms(basemap.url, { ...options, layers: basemap.layers, format: basemap.format ?? 'image/png' });
+        case 'pmtiles':
+            return pmtiles.leafletRasterLayer(new pmtiles.PMTiles(basemap.url), options);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Shows the outline of Sweden when the basemap has no tiles or none of its tiles could be loaded,
+ * and hides it otherwise. The outline is loaded on first use.
+ */
+function updateOutline() {
+    const state = appState.basemap;
+    const isShown = !state.layer || state.unreachable;
+    map.getContainer().classList.toggle('basemap-outline', isShown);
+    basemapControl?.update();
+
+    if (!isShown) {
+        state.outline?.remove();
+    } else if (state.outline) {
+        state.outline.addTo(map);
+    } else {
+        loadSwedenOutline()
+            .then(shape => {
+                state.outline ??= L.geoJSON(shape, { pane: OUTLINE_PANE, style: OUTLINE_STYLE, interactive: false });
+                updateOutline();
+            })
+            .catch(error => console.error('Failed to load the outline of Sweden:', error));
+    }
+}
+
+/**
+ * Replaces the basemap layer when another basemap was chosen. Whenever the layer has finished
+ * loading the visible tiles, it is marked unreachable if not a single tile could be loaded.
+ */
+function updateBasemap() {
+    const state = appState.basemap;
+    if (state.shownId !== state.id) {
+        state.layer?.remove();
+        state.layer = createBasemapLayer(getBasemap(state.id));
+        state.shownId = state.id;
+        state.unreachable = false;
+
+        if (state.layer) {
+            let loadedTiles = 0;
+            state.layer.on('loading', () => { loadedTiles = 0; });
+            state.layer.on('tileload', () => { loadedTiles++; });
+            state.layer.on('load', () => {
+                state.unreachable = loadedTiles === 0;
+                updateOutline();
+            });
+            state.layer.addTo(map);
+        }
+    }
+    updateOutline();
+}
+
+// --- Choropleth Mode ---
+
+/**
+ * Formats a choropleth value for display: a whole number of sightings, or a density with one decimal.
+ * @param {number} value - The value.
+ * @param {'count'|'density'} metric - The metric of the value.
+ * @returns {string}
+ */
+function formatRegionValue(value, metric) {
+    return metric === 'density' ? value.toFixed(1) : String(Math.round(value));
+}
+
+/**
+ * Splits the range from 0 to the highest value into one equal interval per choropleth color.
+ * Counts are split at whole numbers, so no two classes show the same range.
+ * @param {number} maxValue - The highest value of any region.
+ * @param {'count'|'density'} metric - The metric of the values.
+ * @returns {Array<number>} The upper bound of every class, in ascending order.
+ */
+function getClassBreaks(maxValue, metric) {
+    if (maxValue <= 0) return [];
+    const classCount = metric === 'count' ? Math.min(CHOROPLETH_COLORS.length, maxValue) : CHOROPLETH_COLORS.length;
+    const breaks = Array.from({ length: classCount }, (_, index) => maxValue * (index + 1) / classCount);
+    return metric === 'count' ? breaks.map(Math.ceil) : breaks;
+}
+
+/**
+ * Generates the tooltip of a region, with its sightings, their density and its most seen monsters.
+ * @param {object} properties - The region feature's properties (see `loadRegionShapes`).
+ * @param {{count: number, byMonster: object}} [regionCount] - The region's sightings.
+ * @returns {string} An HTML string.
+ */
+function generateRegionTooltip(properties, regionCount) {
+    const count = regionCount?.count ?? 0;
+    const density = properties.areaKm2 > 0 ? count / properties.areaKm2 * DENSITY_AREA_KM2 : 0;
+    const topMonsters = Object.entries(regionCount?.byMonster ?? {})
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, CHOROPLETH_TOP_MONSTERS)
+        .map(([monsterId, monsterCount]) => {
+            const monster = appState.monsters.find(m => m.id === monsterId);
+            return `${escapeHtml(monster?.icon ?? '')} ${escapeHtml(monster?.getName() ?? monsterId)}: ${monsterCount}`;
+        });
+    return [
+        `<b>${escapeHtml(properties.name)}</b>`,
+        t('panel.spotted', { count }),
+        t('map.density', { value: formatRegionValue(density, 'density') }),
+        ...topMonsters
+    ].join('<br>');
+}
+
+/**
+ * Redraws the choropleth layer, which colors every region of the chosen level by the number or the
+ * density of today's sightings of the enabled monsters. The region shapes are loaded on first use,
+ * and the layer is drawn once they have arrived.
+ */
+function updateChoropleth() {
+    const { choropleth } = appState;
+    if (choropleth.layer) {
+        map.removeLayer(choropleth.layer);
+        choropleth.layer = null;
+    }
+    if (appState.mapMode !== 'choropleth') {
+        choroplethControl?.update();
+        return;
+    }
+
+    const { level, metric } = choropleth;
+    const shapes = appState.regionShapes[level];
+    if (!shapes) {
+        if (!choropleth.status) {
+            choropleth.status = 'loading';
+            loadRegionShapes(level)
+                .then(() => { choropleth.status = null; })
+                .catch(error => {
+                    console.error('Failed to load the region shapes:', error);
+                    choropleth.status = 'error';
+                })
+                .finally(updateMapMarkers);
+        }
+        choroplethControl?.update();
+        return;
+    }
+
+    const counts = countSightingsByRegion(level);
+    const valueOf = ({ key, areaKm2 }) => {
+        const count = counts.get(key)?.count ?? 0;
+        if (metric === 'count') return count;
+        return areaKm2 > 0 ? count / areaKm2 * DENSITY_AREA_KM2 : 0;
+    };
+    const maxValue = Math.max(0, ...shapes.features.map(feature => valueOf(feature.properties)));
+    choropleth.breaks = getClassBreaks(maxValue, metric);
+
+    const getFillColor = value => {
+        if (value <= 0) return CHOROPLETH_EMPTY_COLOR;
+        const index = choropleth.breaks.findIndex(upper => value <= upper);
+        return CHOROPLETH_COLORS[index === -1 ? choropleth.breaks.length - 1 : index];
+    };
+
+    choropleth.layer = L.geoJSON(shapes, {
+        style: feature => ({ fillColor: getFillColor(valueOf(feature.properties)), fillOpacity: 0.7, color: '#555', weight: 1 }),
+        onEachFeature: (feature, layer) => {
+            layer.bindTooltip(generateRegionTooltip(feature.properties, counts.get(feature.properties.key)), { sticky: true });
+            layer.on('mouseover', () => {
+                layer.setStyle({ weight: 3, color: '#222' });
+                layer.bringToFront();
+            });
+            layer.on('mouseout', () => choropleth.layer?.resetStyle(layer));
+        }
+    }).addTo(map);
+
+    choroplethControl?.update();
+}
+
+// --- "Near Me" Search ---
+
+/**
+ * Moves the "near me" pin to a point, and lists the sightings around it.
+ * @param {{lat: number, lng: number}} center - The new position of the pin.
+ */
+function setNearbyCenter({ lat, lng }) {
+    const { nearby } = appState;
+    nearby.center = { lat, lng };
+    nearby.picking = false;
+    nearby.status = null;
+    updateNearby();
+    updateUrlHash();
+}
+
+/**
+ * Redraws the "near me" pin and radius circle, and the list of the sightings inside the circle.
+ * The pin can be dragged to a new position.
+ */
+function updateNearby() {
+    const { nearby } = appState;
+    if (nearby.layer) {
+        map.removeLayer(nearby.layer);
+        nearby.layer = null;
+    }
+
+    if (nearby.center) {
+        const { lat, lng } = nearby.center;
+        const circle = L.circle([lat, lng], { radius: nearby.radiusKm * 1000, color: '#007bff', weight: 2, fillOpacity: 0.08, interactive: false });
+        const pin = L.marker([lat, lng], {
+            draggable: true,
+            title: t('map.nearbyDrag'),
+            icon: L.divIcon({ className: 'nearby-pin-marker', html: '📍', iconSize: [24, 24], iconAnchor: [12, 24] })
+        });
+        pin.on('dragend', () => setNearbyCenter(pin.getLatLng()));
+        nearby.layer = L.layerGroup([circle, pin]).addTo(map);
+    }
+
+    nearbyControl?.update();
+}
+
+// --- Heatmap Mode ---
+
+/**
+ * Simulates every day of the heatmap range at the current time period, and shows the heatmap of
+ * all their sightings once done. A run that is still going is cancelled first.
+ */
+async function runHeatmapRange() {
+    const { heatmap } = appState;
+    heatmapRun?.abort();
+    const run = new AbortController();
+    heatmapRun = run;
+
+    const period = getCurrentPeriodName();
+    heatmap.status = 'running';
+    heatmap.progress = { done: 0, total: 0 };
+    try {
+        // An input cleared after it was set leaves its end of the range empty.
+        if (!heatmap.start || !heatmap.end) throw new RangeError('The range needs a first and a last day.');
+        const days = await simulateDays(heatmap.start, heatmap.end, {
+            period,
+            signal: run.signal,
+            onProgress: (done, total) => {
+                heatmap.progress = { done, total };
+                heatmapControl?.update();
+            }
+        });
+        if (!days) return;
+        heatmap.days = days;
+        heatmap.period = period;
+        heatmap.status = null;
+    } catch (error) {
+        if (error instanceof RangeError) {
+            heatmap.status = 'invalid';
+        } else {
+            console.error('Failed to simulate the heatmap range:', error);
+            heatmap.status = 'error';
+        }
+    } finally {
+        // A cancelled run leaves the control to the run that replaced it.
+        if (heatmapRun === run) {
+            heatmapRun = null;
+            updateHeatmap();
+        }
+    }
+}
+
+/**
+ * Redraws the heatmap layer, from the sightings of the selected date or of every day of the
+ * simulated range, for the chosen monster or for all enabled monsters.
+ */
+function updateHeatmap() {
+    const { heatmap } = appState;
+    if (heatmap.layer) {
+        map.removeLayer(heatmap.layer);
+        heatmap.layer = null;
+    }
+
+    if (appState.mapMode === 'heatmap') {
+        const sightingsByDay = heatmap.span === 'range'
+            ? (heatmap.days ?? []).map(day => day.sightings)
+            : [getDaySightings(appState.spottedMonstersData)];
+        const points = buildHeatmapPoints(sightingsByDay, { monsterId: heatmap.monsterId || null, weighted: heatmap.weighted });
+        heatmap.layer = L.heatLayer(points, { radius: heatmap.radius, blur: Math.round(heatmap.radius * 0.75) }).addTo(map);
+    }
+
+    heatmapControl?.update();
+}
+
+/**
+ * Shows only the sightings up to a given minute of the day; each one fades out over
+ * `TIME_LAPSE_FADE_MINUTES` after it happened. With no minute, every sighting of the day is shown.
+ */
+function applyTimeLapse() {
+    const { minute } = appState.timeLapse;
+
+    Object.values(appState.monsterLayers).forEach(({ group, markers, locations }) => {
+        const visibleMarkers = markers.filter((marker, index) => {
+            const age = minute === null ? 0 : minute - locations[index].minute;
+            if (age < 0 || age >= TIME_LAPSE_FADE_MINUTES) return false;
+            marker.setOpacity(1 - 0.8 * age / TIME_LAPSE_FADE_MINUTES);
+            return true;
+        });
+        group.clearLayers();
+        group.addLayers(visibleMarkers);
+    });
+
+    if (timeLapseControl) timeLapseControl.update();
+}
+
+/**
+ * Moves the time-lapse to a minute of the day and updates the markers.
+ * @param {number|null} minute - Minutes past midnight, or null to show the whole day.
+ */
+function setTimeLapseMinute(minute) {
+    appState.timeLapse.minute = minute;
+    applyTimeLapse();
+}
+
+/** Stops the time-lapse animation, leaving the map at its current minute. */
+function stopTimeLapse() {
+    clearInterval(appState.timeLapse.timerId);
+    appState.timeLapse.timerId = null;
+    if (timeLapseControl) timeLapseControl.update();
+}
+
+/**
+ * Plays the day as a time-lapse, from the current minute (or midnight) until the end of the day,
+ * and then returns to showing the whole day.
+ */
+function playTimeLapse() {
+    const { minute } = appState.timeLapse;
+    setTimeLapseMinute(minute === null || minute >= LAST_MINUTE_OF_DAY ? 0 : minute);
+
+    appState.timeLapse.timerId = setInterval(() => {
+        const next = appState.timeLapse.minute + TIME_LAPSE_STEP_MINUTES;
+        if (next > LAST_MINUTE_OF_DAY) {
+            stopTimeLapse();
+            setTimeLapseMinute(null);
+        } else {
+            setTimeLapseMinute(next);
+        }
+    }, TIME_LAPSE_FRAME_MS);
+    timeLapseControl.update();
+}
+
+/** Removes the trail of an individual from the map, if one is shown. */
+function clearIndividualTrail() {
+    if (appState.trailLayer) {
+        map.removeLayer(appState.trailLayer);
+        appState.trailLayer = null;
+    }
+}
+
+/**
+ * Draws the trail of a sighted individual over the last days as a polyline, replacing any trail already shown.
+ * @param {Monster} monster - The monster the individual belongs to.
+ * @param {object} sighting - The sighting of the individual (a location from `spottedMonstersData`).
+ */
+function showIndividualTrail(monster, sighting) {
+    clearIndividualTrail();
+
+    const trail = getIndividualTrail(monster, sighting.individual.id, appState.currentDate);
+    const points = trail.map(loc => [loc.latitude, loc.longitude]);
+    points[points.length - 1] = [sighting.lat, sighting.lng]; // End the line exactly at the marker
+
+    const earlierPositions = points.slice(0, -1).map(point =>
+        L.circleMarker(point, { radius: 3, color: '#4e342e', fillOpacity: 0.8, weight: 1 }));
+
+    appState.trailLayer = L.layerGroup([
+        L.polyline(points, { color: '#4e342e', weight: 3, opacity: 0.7, dashArray: '6 6' }),
+        ...earlierPositions
+    ]).addTo(map);
+}
+
 /**
  * Clears and redraws all monster markers and cluster groups on the map.
+ * In the choropleth and heatmap modes, the regions or the heatmap are drawn instead of the markers.
  */
 function updateMapMarkers() {
     // First, clear any existing layers.
     Object.values(appState.monsterLayers).forEach(layerData => map.removeLayer(layerData.group));
     appState.monsterLayers = {};
+    clearIndividualTrail();
+
+    updateChoropleth();
+    updateHeatmap();
+    if (appState.mapMode !== 'markers') return;
 
     appState.monsters.forEach(monster => {
         if (!monster.state.isEnabled) return;
@@ -274,7 +1119,7 @@ function updateMapMarkers() {
             spiderfyOnMaxZoom: true,
             iconCreateFunction: function(cluster) {
                 return L.divIcon({
-                    html: `<div class="monster-cluster-icon"><span class="cluster-monster-icon">${monster.icon}</span><span class="cluster-monster-count">${cluster.getChildCount()}</span></div>`,
+                    html: `<div class="monster-cluster-icon"><span class="cluster-monster-icon">${escapeHtml(monster.icon)}</span><span class="cluster-monster-count">${cluster.getChildCount()}</span></div>`,
                     className: 'monster-cluster',
                     iconSize: [30, 30]
                 });
@@ -282,23 +1127,42 @@ function updateMapMarkers() {
         });
 
         const markerInstances = spottedInfo.locations.map(loc => {
+            const timeClass = DAYLIGHT_PERIODS.includes(getPeriodNameAt(loc.minute)) ? 'monster-marker-day' : 'monster-marker-night';
             const icon = L.divIcon({
-                html: `<div class="monster-marker">${monster.icon}</div>`,
+                html: `<div class="monster-marker ${timeClass}">${escapeHtml(monster.icon)}</div>`,
                 className: '',
                 iconSize: [20, 20],
                 iconAnchor: [10, 10]
             });
 
             const locationTypeName = getLocationTypeName(loc).split(',')[0];
-            const popupContent = `<b>${monster.name} Sighting!</b><br>Near: ${loc.name}<br>Habitat: ${locationTypeName}<br>Coords: ${loc.latitude.toFixed(3)}, ${loc.longitude.toFixed(3)}`;
+            // Monster names and icons can come from user-supplied packs, so they are escaped before use in HTML.
+            const name = escapeHtml(monster.getName());
+            const title = loc.individual
+                ? t('map.individual', { individual: escapeHtml(loc.individual.name), name })
+                : t('map.sighting', { name });
+            let popupContent = [
+                `<b>${title}</b>`,
+                t('map.seenAt', { time: formatMinutes(loc.minute) }),
+                t('map.near', { place: loc.name }),
+                t('map.habitat', { habitat: locationTypeName }),
+                t('map.coords', { coords: `${loc.latitude.toFixed(3)}, ${loc.longitude.toFixed(3)}` })
+            ].join('<br>');
 
-            return L.marker([loc.lat, loc.lng], { icon: icon }).bindPopup(popupContent);
+            const marker = L.marker([loc.lat, loc.lng], { icon: icon });
+            if (loc.individual) {
+                popupContent += `<br><i>${t('map.trail', { days: INDIVIDUALS_CONFIG.trailDays })}</i>`;
+                marker.on('popupopen', () => showIndividualTrail(monster, loc));
+            }
+            return marker.bindPopup(popupContent);
         });
 
         markerClusterGroup.addLayers(markerInstances);
-        appState.monsterLayers[monster.id] = { group: markerClusterGroup, markers: markerInstances };
+        appState.monsterLayers[monster.id] = { group: markerClusterGroup, markers: markerInstances, locations: spottedInfo.locations };
         map.addLayer(markerClusterGroup);
     });
+
+    if (appState.timeLapse.minute !== null) applyTimeLapse();
 }
 
 // --- Public API for the Map Module ---
@@ -310,17 +1174,36 @@ function updateMapMarkers() {
 export function initializeMap() {
     if (map) return map; // Prevent re-initialization
 
-    map = L.map('map', { zoomControl: false }).setView([62.0, 15.0], 5); // Disable default zoom
+    map = L.map('map', { zoomControl: false, maxZoom: MAP_MAX_ZOOM }).setView([62.0, 15.0], 5); // Disable default zoom
     L.control.zoom({ position: 'bottomright' }).addTo(map); // Add it back in a new position
-    
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-    }).addTo(map);
+
+    // The basemap layer is added by the first update, once the URL hash has chosen the basemap.
+    appState.basemap.id ??= DEFAULT_BASEMAP;
+    map.createPane(OUTLINE_PANE).style.zIndex = 150; // Below the tile pane (200)
 
     map.addControl(new LocationFinder({ position: 'topleft' }));
+
+    nearbyControl = new NearbyControl({ position: 'topleft' });
+    map.addControl(nearbyControl);
+    map.on('click', (e) => {
+        if (appState.nearby.picking) setNearbyCenter(e.latlng);
+    });
     
+    heatmapControl = new HeatmapControl({ position: 'topright' });
+    map.addControl(heatmapControl);
+
     zoomToMonsterControl = new ZoomToMonsterControl({ position: 'topright' });
     map.addControl(zoomToMonsterControl);
+
+    timeLapseControl = new TimeLapseControl({ position: 'bottomleft' });
+    map.addControl(timeLapseControl);
+    timeLapseControl.update();
+
+    choroplethControl = new ChoroplethControl({ position: 'bottomright' });
+    map.addControl(choroplethControl);
+
+    basemapControl = new BasemapControl({ position: 'bottomright' });
+    map.addControl(basemapControl);
     
     updateRegionBrowser();
 
@@ -332,8 +1215,13 @@ export function initializeMap() {
  */
 export function updateMap() {
     if (!map) return;
+    updateBasemap();
     updateMapMarkers();
+    updateNearby();
     if (zoomToMonsterControl) {
         zoomToMonsterControl.update();
     }
+    if (timeLapseControl) {
+        timeLapseControl.update(); // Its label is translated
+    }
 }
\ No newline at end of file
@@ -4,9 +4,12 @@
  */
 
 import { appState } from '../state.js';
-import { SEASON_ICONS } from '../config.js';
-import { getLikelihoodClass, getLocationIcon } from '../utils/helpers.js';
+import { SEASON_ICONS, LOCATION_GROUPS } from '../config.js';
+import { FORECAST_DAYS } from '../services/forecast.js';
+import { t } from '../services/i18n.js';
+import { getLikelihoodClass, getLocationIcon, getHabitatName, escapeHtml } from '../utils/helpers.js';
 import { updateMap } from './map.js';
+import { showForecast } from './forecast.js';
 import { updateUrlHash } from '../utils/url.js';
 
 const monsterPanelContainer = document.getElementById('monster-filters');
@@ -21,18 +24,19 @@ const modalContent = document.getElementById('monster-modal-content');
 function generateBreakdownContent(monster) {
     const spottedInfo = appState.spottedMonstersData[monster.id];
     let activityIcons = monster.activeSeasons.map(s => `<span>${SEASON_ICONS[s]}</span>`).join('');
-    if (monster.activeTime.some(t => ['Night', 'Evening', 'Midnight'].includes(t))) activityIcons += '<span>🌙</span>';
+    if (monster.activeTime.some(period => ['Night', 'Evening', 'Midnight'].includes(period))) activityIcons += '<span>🌙</span>';
     
-    const uniqueLocIcons = new Set(monster.locations.map(code => getLocationIcon(code)));
+    const habitatIcon = (habitatId) => getLocationIcon(LOCATION_GROUPS[habitatId]?.[0] ?? habitatId);
+    const uniqueLocIcons = new Set(monster.getHabitatWeights().map(({ id }) => habitatIcon(id)));
     const locationIcons = Array.from(uniqueLocIcons).map(icon => `<span>${icon}</span>`).join('');
 
     let breakdownLines = [];
     if (spottedInfo.event === 'halloween') {
-        breakdownLines.push("🎃 It's Halloween! 🎃", '--------------------------', 'All restrictions lifted!');
+        breakdownLines.push(t('panel.halloween'), '--------------------------', t('panel.noRestrictions'));
     } else {
         const impossibleStep = spottedInfo.breakdown.find(step => step.type === 'impossible');
         if (impossibleStep) {
-            breakdownLines.push("Impossible to Spot!", '--------------------------', `Reason: ${impossibleStep.reason}`);
+            breakdownLines.push(t('panel.impossible'), '--------------------------', t('panel.reason', { reason: impossibleStep.reason }));
         }
     }
 
@@ -42,11 +46,12 @@ function generateBreakdownContent(monster) {
             switch (step.type) {
                 case 'final': line = `${step.label}: ${(step.value * 100).toFixed(1)}%`; break;
                 case 'base': line = `${step.label}: ${(step.value * 100).toFixed(1)}%`; break;
-                case 'bonus': line = `${step.label}: Active (+${(step.value * 100).toFixed(0)}%)`; break;
-                case 'penalty': line = `${step.label}: Active (x${step.value})`; break;
+                case 'bonus': line = `${step.label}: ${t('panel.bonusActive', { percent: (step.value * 100).toFixed(0) })}`; break;
+                case 'penalty': line = `${step.label}: ${t('panel.multiplierActive', { value: step.value })}`; break;
+                case 'restriction': line = `${step.label}: ${step.reason}`; break;
                 case 'multiplier':
                     const prefix = step.subLabel ? `${step.label} (${step.subLabel})` : step.label;
-                    const displayValue = step.value === 0.5 ? 'Inactive (÷2)' : `Active (x${step.value.toFixed(2)})`;
+                    const displayValue = step.value === 0.5 ? t('panel.inactive') : t('panel.multiplierActive', { value: step.value.toFixed(2) });
                     line = `${prefix}: ${displayValue}`;
                     break;
             }
@@ -55,7 +60,24 @@ function generateBreakdownContent(monster) {
         });
     }
 
-    return `<div class="info-panel-header"><span class="icon">${monster.icon}</span><span class="name">${monster.name}</span></div><div class="info-panel-details"><div class="info-row"><span class="info-label" title="Most Active Conditions">Active:</span><span class="info-value">${activityIcons}</span></div><div class="info-row"><span class="info-label" title="Preferred Habitats">Habitats:</span><span class="info-value">${locationIcons}</span></div></div><div class="info-panel-breakdown"><span class="breakdown-title">Spotting Chance Breakdown</span><pre class="breakdown-code">${breakdownLines.join('\n')}</pre></div>`;
+    const habitatLines = (spottedInfo.habitatMix || []).map(({ id, share }) => {
+        const spotted = spottedInfo.locations.filter(loc => loc.habitat === id).length;
+        return `${habitatIcon(id)} ${escapeHtml(getHabitatName(id))}: ${(share * 100).toFixed(0)}% (${t('panel.spotted', { count: spotted })})`;
+    });
+    const habitatSection = habitatLines.length > 0
+        ? `<span class="breakdown-title">${t('panel.habitatMix')}</span><pre class="breakdown-code">${habitatLines.join('\n')}</pre>`
+        : '';
+
+    const regionLines = (spottedInfo.topRegions || []).map(region =>
+        `${region.name}: x${region.multiplier.toFixed(2)} (${t('panel.spotted', { count: region.count })})`);
+    const regionSection = regionLines.length > 0
+        ? `<span class="breakdown-title">${t('panel.topCounties')}</span><pre class="breakdown-code">${escapeHtml(regionLines.join('\n'))}</pre>`
+        : '';
+
+    const lore = monster.getLore();
+    const loreSection = lore ? `<p class="info-panel-lore">${escapeHtml(lore)}</p>` : '';
+
+    return `<div class="info-panel-header"><span class="icon">${escapeHtml(monster.icon)}</span><span class="name">${escapeHtml(monster.getName())}</span></div>${loreSection}<div class="info-panel-details"><div class="info-row"><span class="info-label" title="${t('panel.activeHint')}">${t('panel.active')}</span><span class="info-value">${activityIcons}</span></div><div class="info-row"><span class="info-label" title="${t('panel.habitatsHint')}">${t('panel.habitats')}</span><span class="info-value">${locationIcons}</span></div></div><div class="info-panel-breakdown"><span class="breakdown-title">${t('panel.breakdownTitle')}</span><pre class="breakdown-code">${escapeHtml(breakdownLines.join('\n'))}</pre>${habitatSection}${regionSection}</div><button class="forecast-btn" data-monster-id="${escapeHtml(monster.id)}" title="${t('forecast.openHint')}">${t('forecast.open', { days: FORECAST_DAYS })}</button>`;
 }
 
 /** Hides the monster detail modal and clears its content. */
@@ -91,56 +113,83 @@ function handleMonsterClick(monster, itemWrapper) {
 }
 
 /**
- * Creates the static DOM structure for the monster panel. Runs once on startup.
+ * Creates the DOM structure for one monster in the filter panel.
+ * @param {Monster} monster - The monster to create the item for.
  */
-export function initializeMonsterPanel() {
-    appState.monsters.forEach(monster => {
-        const itemWrapper = document.createElement('div');
-        itemWrapper.className = 'monster-item';
-        itemWrapper.id = `monster-item-${monster.id}`;
-        itemWrapper.innerHTML = `
-            <div class="monster-row">
-                <span class="monster-icon">${monster.icon}</span>
-                <span class="monster-name">${monster.name}</span>
-                <div class="monster-stats-group">
-                    <div class="likelihood-circle"></div>
-                    <span class="monster-spotted-count"></span>
-                </div>
-                <button class="visibility-toggle" title="Toggle visibility on map">
-                    <span class="icon-visible">👁️</span>
-                    <span class="icon-hidden">🚫</span>
-                </button>
+function createMonsterItem(monster) {
+    const itemWrapper = document.createElement('div');
+    itemWrapper.className = 'monster-item';
+    itemWrapper.id = `monster-item-${monster.id}`;
+    itemWrapper.innerHTML = `
+        <div class="monster-row">
+            <span class="monster-icon">${escapeHtml(monster.icon)}</span>
+            <span class="monster-name">${escapeHtml(monster.getName())}</span>
+            <div class="monster-stats-group">
+                <div class="likelihood-circle"></div>
+                <span class="monster-spotted-count"></span>
             </div>
-            <div class="monster-info-panel"></div>`;
-        monsterPanelContainer.appendChild(itemWrapper);
-
-        const row = itemWrapper.querySelector('.monster-row');
-        row.addEventListener('click', () => handleMonsterClick(monster, itemWrapper));
-
-        const visibilityToggle = itemWrapper.querySelector('.visibility-toggle');
-        visibilityToggle.addEventListener('click', (e) => {
-            e.stopPropagation(); // Important: Prevent the row's click handler from firing
-            monster.state.isEnabled = !monster.state.isEnabled;
-            itemWrapper.classList.toggle('disabled', !monster.state.isEnabled);
-            updateMap();
-            updateUrlHash();
-        });
+            <button class="visibility-toggle" title="${t('panel.visibilityHint')}">
+                <span class="icon-visible">👁️</span>
+                <span class="icon-hidden">🚫</span>
+            </button>
+        </div>
+        <div class="monster-info-panel"></div>`;
+    monsterPanelContainer.appendChild(itemWrapper);
+
+    const row = itemWrapper.querySelector('.monster-row');
+    row.addEventListener('click', () => handleMonsterClick(monster, itemWrapper));
+
+    const visibilityToggle = itemWrapper.querySelector('.visibility-toggle');
+    visibilityToggle.addEventListener('click', (e) => {
+        e.stopPropagation(); // Important: Prevent the row's click handler from firing
+        monster.state.isEnabled = !monster.state.isEnabled;
+        itemWrapper.classList.toggle('disabled', !monster.state.isEnabled);
+        updateMap();
+        updateUrlHash();
     });
+}
+
+/**
+ * Creates the static DOM structure for the monster panel. Runs once on startup.
+ */
+export function initializeMonsterPanel() {
+    appState.monsters.forEach(createMonsterItem);
 
     modalOverlay.addEventListener('click', (e) => {
         if (e.target === modalOverlay) hideMonsterModal();
     });
+
+    // The info panels are regenerated on every redraw, so their forecast buttons are handled here.
+    const openForecast = (e) => {
+        const button = e.target.closest('.forecast-btn');
+        const monster = button && appState.monsters.find(m => m.id === button.dataset.monsterId);
+        if (!monster) return;
+        hideMonsterModal();
+        showForecast(monster);
+    };
+    monsterPanelContainer.addEventListener('click', openForecast);
+    modalContent.addEventListener('click', openForecast);
 }
 
 /**
  * Updates the monster panel with the latest data from the app state.
  */
 export function updateMonsterPanel() {
+    // Monsters can be added, renamed or removed at runtime by the monster editor.
+    const ids = new Set(appState.monsters.map(monster => `monster-item-${monster.id}`));
+    monsterPanelContainer.querySelectorAll('.monster-item').forEach(item => {
+        if (!ids.has(item.id)) item.remove();
+    });
+
     appState.monsters.forEach(monster => {
         const spottedInfo = appState.spottedMonstersData[monster.id];
         if (!spottedInfo) return;
 
+        if (!document.getElementById(`monster-item-${monster.id}`)) createMonsterItem(monster);
         const itemWrapper = document.getElementById(`monster-item-${monster.id}`);
+        itemWrapper.querySelector('.monster-icon').textContent = monster.icon;
+        itemWrapper.querySelector('.monster-name').textContent = monster.getName();
+        itemWrapper.querySelector('.visibility-toggle').title = t('panel.visibilityHint');
         const spottedCountEl = itemWrapper.querySelector('.monster-spotted-count');
         const likelihoodCircleEl = itemWrapper.querySelector('.likelihood-circle');
         const infoPanelEl = itemWrapper.querySelector('.monster-info-panel');
@@ -0,0 +1,204 @@
+/**
+ * @file /ui/offlineManager.js
+ * @description Manages the offline indicator in the header and the offline manager, which shows
+ * whether the app is stored on the device, how much storage it uses, and downloads the tiles of
+ * the chosen basemap for an area ahead of a trip (see `services/offline.js`).
+ */
+
+import { appState } from '../state.js';
+import { TILE_DOWNLOAD } from '../config.js';
+import { canCacheTiles, canDownloadBasemap, getMaxDownloadZoom, getCountyBounds, countTiles, downloadTiles, getStorageUsage, clearTileCache } from '../services/offline.js';
+import { t, getLocale } from '../services/i18n.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { map } from './map.js';
+
+// The download in progress, if any, so it can be cancelled when the manager closes.
+let currentRun = null;
+
+const overlay = document.getElementById('offline-overlay');
+const content = document.getElementById('offline-content');
+const connectionBadge = document.getElementById('connection-status');
+
+/**
+ * Formats a number of bytes in megabytes, or in gigabytes from 1 GB.
+ * @param {number} bytes - The number of bytes.
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    const unit = bytes >= 1e9 ? 'gigabyte' : 'megabyte';
+    return new Intl.NumberFormat(getLocale(), { style: 'unit', unit, maximumFractionDigits: 1 })
+        .format(bytes / (unit === 'gigabyte' ? 1e9 : 1e6));
+}
+
+/** Shows the offline badge in the header while there is no connection. */
+function updateConnectionStatus() {
+    connectionBadge.classList.toggle('active', !navigator.onLine);
+}
+
+/**
+ * Gets the chosen area and zoom levels of the download form.
+ * @returns {{bounds: object|null, minZoom: number, maxZoom: number}}
+ */
+function getDownloadSettings() {
+    const area = document.getElementById('offline-area').value;
+    const viewBounds = map.getBounds();
+    const bounds = area === 'view'
+        ? { south: viewBounds.getSouth(), west: viewBounds.getWest(), north: viewBounds.getNorth(), east: viewBounds.getEast() }
+        : getCountyBounds(area);
+    return {
+        bounds,
+        minZoom: parseInt(document.getElementById('offline-min-zoom').value, 10),
+        maxZoom: parseInt(document.getElementById('offline-max-zoom').value, 10)
+    };
+}
+
+/**
+ * Shows how many tiles the chosen download needs, and whether it can start.
+ * @returns {boolean} Whether the download is possible.
+ */
+function updateEstimate() {
+    const estimate = document.getElementById('offline-estimate');
+    const { bounds, minZoom, maxZoom } = getDownloadSettings();
+    if (!canDownloadBasemap()) {
+        estimate.textContent = t('offline.notDownloadable', { name: t(`basemap.${appState.basemap.id}`) });
+        return false;
+    }
+    if (!(minZoom >= 0 && maxZoom <= getMaxDownloadZoom() && minZoom <= maxZoom)) {
+        estimate.textContent = t('offline.invalidZoom', { max: getMaxDownloadZoom() });
+        return false;
+    }
+    const count = bounds ? countTiles(bounds, minZoom, maxZoom) : 0;
+    const isTooMany = count > TILE_DOWNLOAD.maxTiles;
+    estimate.textContent = isTooMany
+        ? t('offline.tooMany', { count, max: TILE_DOWNLOAD.maxTiles })
+        : t('offline.estimate', { count });
+    return count > 0 && !isTooMany;
+}
+
+/**
+ * Shows the storage used by the app and the number of cached map tiles.
+ */
+async function updateUsage() {
+    const usage = await getStorageUsage();
+    const usageEl = document.getElementById('offline-usage');
+    if (!usageEl) return; // The manager was closed meanwhile
+
+    const lines = [t('offline.tiles', { count: usage.tiles })];
+    if (usage.usage !== null && usage.quota !== null) {
+        lines.unshift(t('offline.usage', { used: formatBytes(usage.usage), quota: formatBytes(usage.quota) }));
+    }
+    usageEl.textContent = lines.join(' ');
+}
+
+/**
+ * Downloads the map tiles of the chosen area and zoom levels.
+ */
+async function startDownload() {
+    const status = document.getElementById('offline-status');
+    const progress = document.getElementById('offline-progress');
+    if (!updateEstimate()) return;
+    if (!navigator.onLine) {
+        status.textContent = t('offline.noConnection');
+        return;
+    }
+
+    currentRun?.abort();
+    const run = currentRun = new AbortController();
+    const { bounds, minZoom, maxZoom } = getDownloadSettings();
+    status.textContent = '';
+    progress.hidden = false;
+    try {
+        const result = await downloadTiles(bounds, minZoom, maxZoom, {
+            signal: run.signal,
+            onProgress: (done, total) => {
+                progress.value = done / total;
+                status.textContent = t('offline.progress', { done, total });
+            }
+        });
+        if (!result) return;
+        status.textContent = t('offline.done', result);
+        updateUsage();
+    } finally {
+        progress.hidden = true;
+        if (currentRun === run) currentRun = null;
+    }
+}
+
+/**
+ * Deletes the cached map tiles.
+ */
+async function clearTiles() {
+    currentRun?.abort();
+    await clearTileCache();
+    document.getElementById('offline-status').textContent = t('offline.cleared');
+    updateUsage();
+}
+
+/** Hides the offline manager and cancels any download in progress. */
+function hideOfflineManager() {
+    currentRun?.abort();
+    currentRun = null;
+    overlay.classList.add('hidden');
+    content.innerHTML = '';
+}
+
+/**
+ * Displays the offline manager.
+ */
+function showOfflineManager() {
+    const status = appState.offline.status ?? 'unsupported';
+    const counties = [...appState.adminHierarchy.adm1].sort((a, b) => a.name.localeCompare(b.name, getLocale()));
+    const areaOptions = counties
+        .map(county => `<option value="${escapeHtml(county.admin1)}">${escapeHtml(county.name)}</option>`).join('');
+    const zoomInput = (id, value) =>
+        `<input type="number" id="${id}" min="0" max="${getMaxDownloadZoom()}" value="${Math.min(value, getMaxDownloadZoom())}">`;
+    const tilesDisabled = canCacheTiles() ? '' : ' disabled';
+
+    content.innerHTML = `
+        <button id="offline-close-btn">&times;</button>
+        <h3>${t('offline.title')}</h3>
+        <p class="offline-app-status offline-${status}">${t(`offline.${status}`)}</p>
+        <h4>${t('offline.storage')}</h4>
+        <p id="offline-usage"></p>
+        <button id="offline-clear-btn"${tilesDisabled}>${t('offline.clearTiles')}</button>
+        <h4>${t('offline.download', { name: escapeHtml(t(`basemap.${appState.basemap.id}`)) })}</h4>
+        <div class="offline-form">
+            <label>${t('offline.area')}
+                <select id="offline-area">
+                    <option value="view">${t('offline.currentView')}</option>
+                    ${areaOptions}
+                </select>
+            </label>
+            <label>${t('offline.zoom')} ${zoomInput('offline-min-zoom', TILE_DOWNLOAD.minZoom)} – ${zoomInput('offline-max-zoom', TILE_DOWNLOAD.maxZoom)}</label>
+            <span id="offline-estimate"></span>
+            <button id="offline-download-btn"${canCacheTiles() && canDownloadBasemap() ? '' : ' disabled'}>${t('offline.start')}</button>
+        </div>
+        <progress id="offline-progress" max="1" value="0" hidden></progress>
+        <span id="offline-status"></span>
+        <p class="offline-note">${t('offline.note')}</p>
+    `;
+    overlay.classList.remove('hidden');
+
+    document.getElementById('offline-close-btn').addEventListener('click', hideOfflineManager);
+    document.getElementById('offline-clear-btn').addEventListener('click', clearTiles);
+    document.getElementById('offline-download-btn').addEventListener('click', startDownload);
+    ['offline-area', 'offline-min-zoom', 'offline-max-zoom'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateEstimate);
+    });
+    updateEstimate();
+    updateUsage();
+}
+
+/**
+ * Initializes the offline indicator and the offline manager with its button in the header.
+ */
+export function initializeOfflineManager() {
+    window.addEventListener('online', updateConnectionStatus);
+    window.addEventListener('offline', updateConnectionStatus);
+    updateConnectionStatus();
+
+    document.getElementById('offline-button').addEventListener('click', showOfflineManager);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) hideOfflineManager();
+    });
+}
\ No newline at end of file
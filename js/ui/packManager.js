@@ -0,0 +1,94 @@
+/**
+ * @file /ui/packManager.js
+ * @description Manages the monster pack list below the monster filters: loading packs from
+ * local files (picked or dropped anywhere on the page), and enabling, disabling or removing them.
+ */
+
+import { appState } from '../state.js';
+import { loadPackFromFile, setPackEnabled, removePack } from '../services/packs.js';
+import { t } from '../services/i18n.js';
+import { updateUrlHash } from '../utils/url.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { showDiagnostics } from './diagnostics.js';
+
+let redrawCallback = () => { console.warn('Redraw callback for pack manager not initialized.'); };
+
+const packList = document.getElementById('pack-list');
+const fileInput = document.getElementById('pack-file-input');
+
+/**
+ * Loads every JSON file in a list as a pack, then redraws.
+ * @param {FileList} files - The files picked or dropped by the user.
+ */
+function loadPackFiles(files) {
+    const packFiles = [...files].filter(file => /\.json$/i.test(file.name) || file.type === 'application/json');
+    if (packFiles.length === 0) return;
+    Promise.all(packFiles.map(loadPackFromFile)).then(() => {
+        updateUrlHash();
+        redrawCallback();
+    });
+}
+
+/**
+ * Renders the list of loaded packs.
+ */
+export function updatePackManager() {
+    if (appState.packs.length === 0) {
+        packList.innerHTML = `<li class="pack-empty">${t('packs.empty')}</li>`;
+        return;
+    }
+    packList.innerHTML = appState.packs.map(pack => `
+        <li class="pack-item" title="${escapeHtml(pack.source)}">
+            <label>
+                <input type="checkbox" data-pack-toggle="${pack.id}" ${pack.enabled ? 'checked' : ''}>
+                ${escapeHtml(pack.name)} <span class="pack-count">(${pack.monsters.length})</span>
+            </label>
+            ${pack.issueCount > 0 ? `<button class="pack-issues-btn" title="${t('packs.issuesHint')}">⚠️ ${pack.issueCount}</button>` : ''}
+            <button class="pack-remove-btn" data-pack-remove="${pack.id}" title="${t('packs.removeHint')}">✖</button>
+        </li>`).join('');
+}
+
+/**
+ * Initializes the pack manager, attaching all necessary event listeners.
+ * @param {function} mainRedrawFunction - The main application redraw function to call after the packs change.
+ */
+export function initializePackManager(mainRedrawFunction) {
+    redrawCallback = mainRedrawFunction;
+
+    packList.addEventListener('change', (e) => {
+        const packId = e.target.dataset.packToggle;
+        if (!packId) return;
+        setPackEnabled(packId, e.target.checked);
+        updateUrlHash();
+        redrawCallback();
+    });
+
+    packList.addEventListener('click', (e) => {
+        if (e.target.closest('.pack-issues-btn')) {
+            showDiagnostics();
+            return;
+        }
+        const packId = e.target.dataset.packRemove;
+        if (!packId) return;
+        removePack(packId);
+        updateUrlHash();
+        redrawCallback();
+    });
+
+    fileInput.addEventListener('change', () => {
+        loadPackFiles(fileInput.files);
+        fileInput.value = ''; // Allow the same file to be loaded again
+    });
+
+    // Accept pack files dropped anywhere on the page.
+    document.addEventListener('dragover', (e) => {
+        if (e.dataTransfer.types.includes('Files')) e.preventDefault();
+    });
+    document.addEventListener('drop', (e) => {
+        if (e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        loadPackFiles(e.dataTransfer.files);
+    });
+
+    updatePackManager();
+}
\ No newline at end of file
@@ -0,0 +1,301 @@
+/**
+ * @file /ui/statistics.js
+ * @description Manages the statistics dashboard, which simulates a range of dates (see
+ * `services/statistics.js`) and shows the sightings per monster and day as a chart, along with
+ * the totals per county, a comparison of the seasons and the record days. A record day can be
+ * clicked to view it on the map. The charts are drawn as inline SVG, so no network is needed.
+ */
+
+import { appState } from '../state.js';
+import { TIME_PERIODS } from '../config.js';
+import { runStatistics, MAX_STATISTICS_DAYS } from '../services/statistics.js';
+import { getDateSeed } from '../services/time.js';
+import { t, getLocale } from '../services/i18n.js';
+import { escapeHtml, parseDateInput } from '../utils/helpers.js';
+import { updateUrlHash } from '../utils/url.js';
+
+let redrawCallback = () => {};
+
+// The run in progress, if any, so it can be cancelled when a new one starts or the dashboard closes.
+let currentRun = null;
+
+const overlay = document.getElementById('statistics-overlay');
+const content = document.getElementById('statistics-content');
+
+// The line colors of the monsters in the chart, assigned in the order of `appState.monsters`.
+const CHART_COLORS = ['#c62828', '#6a1b9a', '#1565c0', '#2e7d32', '#ef6c00', '#00838f', '#ad1457', '#4e342e', '#558b2f', '#283593'];
+
+// The size of the daily chart, in SVG user units. It is scaled to the width of the dashboard.
+const CHART_WIDTH = 700;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 10, right: 10, bottom: 22, left: 34 };
+
+// The lengths of the range presets, in days.
+const RANGE_PRESETS = { month: 30, year: 365 };
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats an application date in the active locale (e.g., '31 Oct 2025').
+ * @param {Date} date - The UTC-midnight application date.
+ * @returns {string}
+ */
+function formatDate(date) {
+    return date.toLocaleDateString(getLocale(), { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Gets the chart color of a monster.
+ * @param {string} monsterId - The monster id.
+ * @returns {string} A CSS color.
+ */
+function getMonsterColor(monsterId) {
+    const index = appState.monsters.findIndex(monster => monster.id === monsterId);
+    return CHART_COLORS[Math.max(0, index) % CHART_COLORS.length];
+}
+
+/**
+ * Generates a line chart of the sightings per monster and day, with one line per monster and a legend.
+ * @param {object} stats - The statistics from `runStatistics`.
+ * @returns {string} An HTML string with an inline SVG.
+ */
+function generateDailyChart(stats) {
+    const { days } = stats;
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const maxCount = Math.max(1, ...days.flatMap(day => Object.values(day.counts)));
+
+    const x = index => CHART_PADDING.left + (days.length === 1 ? plotWidth / 2 : index * plotWidth / (days.length - 1));
+    const y = count => CHART_PADDING.top + plotHeight - count / maxCount * plotHeight;
+
+    const lines = appState.monsters.map(monster => {
+        const points = days.map((day, index) => `${x(index).toFixed(1)},${y(day.counts[monster.id] ?? 0).toFixed(1)}`).join(' ');
+        return `<polyline points="${points}" fill="none" stroke="${getMonsterColor(monster.id)}" stroke-width="1.5"><title>${escapeHtml(monster.getName())}</title></polyline>`;
+    }).join('');
+
+    const bottom = CHART_PADDING.top + plotHeight;
+    const axes = `
+        <line x1="${CHART_PADDING.left}" y1="${bottom}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${bottom}" class="chart-axis"/>
+        <line x1="${CHART_PADDING.left}" y1="${CHART_PADDING.top}" x2="${CHART_PADDING.left}" y2="${bottom}" class="chart-axis"/>
+        <text x="${CHART_PADDING.left - 4}" y="${CHART_PADDING.top + 4}" text-anchor="end">${maxCount}</text>
+        <text x="${CHART_PADDING.left - 4}" y="${bottom}" text-anchor="end">0</text>
+        <text x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 4}">${escapeHtml(formatDate(days[0].date))}</text>
+        <text x="${CHART_WIDTH - CHART_PADDING.right}" y="${CHART_HEIGHT - 4}" text-anchor="end">${escapeHtml(formatDate(days[days.length - 1].date))}</text>`;
+
+    const legend = appState.monsters.map(monster =>
+        `<span><span class="chart-swatch" style="background-color: ${getMonsterColor(monster.id)}"></span>${escapeHtml(monster.icon)} ${escapeHtml(monster.getName())}</span>`).join('');
+
+    return `<span class="breakdown-title">${t('statistics.daily')}</span>
+        <svg class="statistics-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${t('statistics.daily')}">${axes}${lines}</svg>
+        <div class="chart-legend">${legend}</div>`;
+}
+
+/**
+ * Generates a clickable record date that opens the day on the map.
+ * @param {Date} date - The date of the record.
+ * @returns {string} An HTML string.
+ */
+function generateDateLink(date) {
+    return `<a href="#" class="statistics-date" data-date="${date.toISOString().slice(0, 10)}" title="${t('statistics.viewDay')}">${escapeHtml(formatDate(date))}</a>`;
+}
+
+/**
+ * Generates the table of totals, daily averages and record days per monster.
+ * @param {object} stats - The statistics from `runStatistics`.
+ * @returns {string} An HTML string.
+ */
+function generateMonsterTable(stats) {
+    const rows = stats.monsters.map(({ id, total, average, record }) => {
+        const monster = appState.monsters.find(m => m.id === id);
+        if (!monster) return '';
+        const recordCell = record ? `${generateDateLink(record.date)} (${record.count})` : '–';
+        return `<tr><th>${escapeHtml(monster.icon)} ${escapeHtml(monster.getName())}</th><td>${total}</td><td>${average.toFixed(1)}</td><td>${recordCell}</td></tr>`;
+    }).join('');
+    return `<span class="breakdown-title">${t('statistics.monsters')}</span>
+        <table class="statistics-table"><thead><tr><th></th><th>${t('statistics.total')}</th><th>${t('statistics.perDay')}</th><th>${t('statistics.record')}</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Generates the table comparing the average daily sightings of every monster between the seasons in the range.
+ * @param {object} stats - The statistics from `runStatistics`.
+ * @returns {string} An HTML string.
+ */
+function generateSeasonTable(stats) {
+    const seasons = ['Spring', 'Summer', 'Fall', 'Winter'].filter(season => stats.seasons[season]);
+    const headerCells = seasons.map(season =>
+        `<th>${t(`season.${season}`)}<br><small>${t('statistics.days', { count: stats.seasons[season].days })}</small></th>`).join('');
+    const rows = appState.monsters.map(monster => {
+        const averages = seasons.map(season => (stats.seasons[season].totals[monster.id] ?? 0) / stats.seasons[season].days);
+        const best = Math.max(...averages);
+        const cells = averages.map(average => `<td${average > 0 && average === best ? ' class="statistics-best"' : ''}>${average.toFixed(1)}</td>`).join('');
+        return `<tr><th>${escapeHtml(monster.icon)} ${escapeHtml(monster.getName())}</th>${cells}</tr>`;
+    }).join('');
+    return `<span class="breakdown-title">${t('statistics.seasons')}</span>
+        <table class="statistics-table"><thead><tr><th></th>${headerCells}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Generates the table of sightings per county, with a bar for each and the county's most seen monster.
+ * @param {object} stats - The statistics from `runStatistics`.
+ * @returns {string} An HTML string.
+ */
+function generateCountyTable(stats) {
+    if (stats.counties.length === 0) return '';
+    const maxTotal = stats.counties[0].total;
+    const rows = stats.counties.map(county => {
+        const [topId] = Object.entries(county.byMonster).sort((a, b) => b[1] - a[1])[0];
+        const topMonster = appState.monsters.find(monster => monster.id === topId);
+        const name = county.name ?? t('statistics.outsideCounties');
+        const width = (county.total / maxTotal * 100).toFixed(1);
+        return `<tr><th>${escapeHtml(name)}</th><td>${county.total}</td><td class="statistics-bar-cell"><span class="statistics-bar" style="width: ${width}%"></span></td><td title="${escapeHtml(topMonster?.getName() ?? '')}">${escapeHtml(topMonster?.icon ?? '')}</td></tr>`;
+    }).join('');
+    return `<span class="breakdown-title">${t('statistics.counties')}</span>
+        <table class="statistics-table"><thead><tr><th></th><th>${t('statistics.total')}</th><th></th><th>${t('statistics.mostSeen')}</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Shows the statistics of a finished run.
+ * @param {object} stats - The statistics from `runStatistics`.
+ */
+function renderResults(stats) {
+    const results = document.getElementById('statistics-results');
+    const recordLine = stats.recordDay
+        ? t('statistics.recordDay', { date: generateDateLink(stats.recordDay.date), count: stats.recordDay.total })
+        : t('statistics.noSightings');
+    results.innerHTML = `
+        <p class="statistics-record">${recordLine}</p>
+        ${generateDailyChart(stats)}
+        ${generateMonsterTable(stats)}
+        ${generateSeasonTable(stats)}
+        ${generateCountyTable(stats)}
+    `;
+}
+
+/**
+ * Opens a date on the map and closes the dashboard.
+ * @param {string} value - The date (YYYY-MM-DD).
+ */
+function viewDay(value) {
+    appState.currentDate = parseDateInput(value);
+    document.getElementById('historical-date').value = getDateSeed();
+    hideStatistics();
+    updateUrlHash();
+    redrawCallback();
+}
+
+/**
+ * Reads the form, runs the statistics for the chosen range and shows the results.
+ * A run that is still in progress is cancelled first.
+ */
+async function startRun() {
+    const startDate = parseDateInput(document.getElementById('statistics-start').value);
+    const endDate = parseDateInput(document.getElementById('statistics-end').value);
+    const period = document.getElementById('statistics-period').value;
+    const status = document.getElementById('statistics-status');
+    const progress = document.getElementById('statistics-progress');
+
+    const dayCount = startDate && endDate ? Math.round((endDate - startDate) / MS_PER_DAY) + 1 : 0;
+    if (dayCount < 1 || dayCount > MAX_STATISTICS_DAYS) {
+        status.textContent = t('statistics.invalidRange', { max: MAX_STATISTICS_DAYS });
+        return;
+    }
+
+    currentRun?.abort();
+    const run = currentRun = new AbortController();
+    status.textContent = '';
+    progress.hidden = false;
+    let stats;
+    try {
+        stats = await runStatistics(startDate, endDate, {
+            period,
+            signal: run.signal,
+            onProgress: (done, total) => {
+                progress.value = done / total;
+                status.textContent = t('statistics.progress', { done, total });
+            }
+        });
+    } catch (error) {
+        console.error('Failed to run the statistics:', error);
+        status.textContent = t('statistics.error');
+    } finally {
+        // A cancelled run leaves the progress bar to the run that replaced it.
+        if (currentRun === run) {
+            currentRun = null;
+            progress.hidden = true;
+        }
+    }
+    if (!stats) return;
+
+    status.textContent = t('statistics.done', { count: dayCount });
+    renderResults(stats);
+}
+
+/**
+ * Sets the start of the range to a preset length before its end.
+ * @param {number} length - The length of the range, in days.
+ */
+function applyPreset(length) {
+    const endDate = parseDateInput(document.getElementById('statistics-end').value) ?? appState.currentDate;
+    const startDate = new Date(endDate.getTime() - (length - 1) * MS_PER_DAY);
+    document.getElementById('statistics-start').value = startDate.toISOString().slice(0, 10);
+}
+
+/** Hides the dashboard and cancels any run in progress. */
+function hideStatistics() {
+    currentRun?.abort();
+    currentRun = null;
+    overlay.classList.add('hidden');
+    content.innerHTML = '';
+}
+
+/**
+ * Displays the dashboard, with a range of the 30 days up to the selected date.
+ */
+function showStatistics() {
+    const endDate = appState.currentDate;
+    const startDate = new Date(endDate.getTime() - (RANGE_PRESETS.month - 1) * MS_PER_DAY);
+    const periodOptions = Object.keys(TIME_PERIODS)
+        .map(period => `<option value="${escapeHtml(period)}">${escapeHtml(t(`period.${period}`))}</option>`).join('');
+
+    content.innerHTML = `
+        <button id="statistics-close-btn">&times;</button>
+        <h3>${t('statistics.title')}</h3>
+        <div class="statistics-form">
+            <label>${t('statistics.from')} <input type="date" id="statistics-start" value="${startDate.toISOString().slice(0, 10)}"></label>
+            <label>${t('statistics.to')} <input type="date" id="statistics-end" value="${endDate.toISOString().slice(0, 10)}"></label>
+            <button class="statistics-preset" data-days="${RANGE_PRESETS.month}">${t('statistics.month')}</button>
+            <button class="statistics-preset" data-days="${RANGE_PRESETS.year}">${t('statistics.year')}</button>
+            <label title="${t('statistics.periodHint')}">${t('statistics.period')} <select id="statistics-period">${periodOptions}</select></label>
+            <button id="statistics-run-btn">${t('statistics.run')}</button>
+        </div>
+        <progress id="statistics-progress" max="1" value="0" hidden></progress>
+        <span id="statistics-status"></span>
+        <div id="statistics-results"></div>
+    `;
+    overlay.classList.remove('hidden');
+
+    document.getElementById('statistics-close-btn').addEventListener('click', hideStatistics);
+    document.getElementById('statistics-run-btn').addEventListener('click', startRun);
+    content.querySelectorAll('.statistics-preset').forEach(button => {
+        button.addEventListener('click', () => applyPreset(Number(button.dataset.days)));
+    });
+    document.getElementById('statistics-results').addEventListener('click', (e) => {
+        const link = e.target.closest('.statistics-date');
+        if (!link) return;
+        e.preventDefault();
+        viewDay(link.dataset.date);
+    });
+}
+
+/**
+ * Initializes the statistics dashboard and its button in the header.
+ * @param {function} mainRedrawFunction - The main redraw function, called when a record day is opened on the map.
+ */
+export function initializeStatistics(mainRedrawFunction) {
+    redrawCallback = mainRedrawFunction;
+
+    document.getElementById('statistics-button').addEventListener('click', showStatistics);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) hideStatistics();
+    });
+}
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * @file /utils/astro.js
+ * @description Small, pure astronomical helper functions shared by the sun and moon services.
+ * The formulas follow the low-precision algorithms popularized by the SunCalc library
+ * (based on "Astronomy Answers" by Jan Meeus), which are accurate to about a minute for our needs.
+ */
+
+export const RAD = Math.PI / 180;
+export const DAY_MS = 86400000;
+
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397; // Obliquity of the Earth's axis
+
+/**
+ * Converts a Date to a Julian day number.
+ * @param {Date} date
+ * @returns {number}
+ */
+export const toJulian = (date) => date.getTime() / DAY_MS - 0.5 + J1970;
+
+/**
+ * Converts a Julian day number back to a Date.
+ * @param {number} julian
+ * @returns {Date}
+ */
+export const fromJulian = (julian) => new Date((julian + 0.5 - J1970) * DAY_MS);
+
+/**
+ * Returns the number of days since the J2000 epoch.
+ * @param {Date} date
+ * @returns {number}
+ */
+export const toDays = (date) => toJulian(date) - J2000;
+
+/**
+ * Converts days since J2000 back to a Julian day number.
+ * @param {number} days
+ * @returns {number}
+ */
+export const daysToJulian = (days) => days + J2000;
+
+/**
+ * Converts ecliptic coordinates to a right ascension (radians).
+ * @param {number} l - Ecliptic longitude.
+ * @param {number} b - Ecliptic latitude.
+ * @returns {number}
+ */
+export const rightAscension = (l, b) => Math.atan2(Math.sin(l) * Math.cos(OBLIQUITY) - Math.tan(b) * Math.sin(OBLIQUITY), Math.cos(l));
+
+/**
+ * Converts ecliptic coordinates to a declination (radians).
+ * @param {number} l - Ecliptic longitude.
+ * @param {number} b - Ecliptic latitude.
+ * @returns {number}
+ */
+export const declination = (l, b) => Math.asin(Math.sin(b) * Math.cos(OBLIQUITY) + Math.cos(b) * Math.sin(OBLIQUITY) * Math.sin(l));
+
+/**
+ * Calculates the azimuth of a body (radians, measured from south towards west).
+ * @param {number} H - The local hour angle.
+ * @param {number} phi - The observer's latitude in radians.
+ * @param {number} dec - The body's declination.
+ * @returns {number}
+ */
+export const azimuth = (H, phi, dec) => Math.atan2(Math.sin(H), Math.cos(H) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi));
+
+/**
+ * Calculates the altitude of a body above the horizon (radians).
+ * @param {number} H - The local hour angle.
+ * @param {number} phi - The observer's latitude in radians.
+ * @param {number} dec - The body's declination.
+ * @returns {number}
+ */
+export const altitude = (H, phi, dec) => Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H));
+
+/**
+ * Calculates the local sidereal time (radians).
+ * @param {number} days - Days since J2000.
+ * @param {number} lw - The observer's west longitude in radians.
+ * @returns {number}
+ */
+export const siderealTime = (days, lw) => RAD * (280.16 + 360.9856235 * days) - lw;
+
+/**
+ * Calculates the sun's mean anomaly (radians).
+ * @param {number} days - Days since J2000.
+ * @returns {number}
+ */
+export const solarMeanAnomaly = (days) => RAD * (357.5291 + 0.98560028 * days);
+
+/**
+ * Calculates the sun's ecliptic longitude (radians) from its mean anomaly.
+ * @param {number} M - The solar mean anomaly.
+ * @returns {number}
+ */
+export function eclipticLongitude(M) {
+    const center = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+    const perihelion = RAD * 102.9372;
+    return M + center + perihelion + Math.PI;
+}
+
+/**
+ * Calculates the sun's equatorial coordinates for a given day.
+ * @param {number} days - Days since J2000.
+ * @returns {{dec: number, ra: number}}
+ */
+export function sunCoords(days) {
+    const L = eclipticLongitude(solarMeanAnomaly(days));
+    return { dec: declination(L, 0), ra: rightAscension(L, 0) };
+}
+
+/**
+ * Calculates the moon's geocentric equatorial coordinates for a given day.
+ * @param {number} days - Days since J2000.
+ * @returns {{ra: number, dec: number, dist: number, lng: number}} Right ascension, declination,
+ * distance in kilometres and ecliptic longitude (all angles in radians).
+ */
+export function moonCoords(days) {
+    const L = RAD * (218.316 + 13.176396 * days); // Mean ecliptic longitude
+    const M = RAD * (134.963 + 13.064993 * days); // Mean anomaly
+    const F = RAD * (93.272 + 13.229350 * days);  // Mean distance from the ascending node
+    const D = RAD * (297.850 + 12.190749 * days); // Mean elongation from the sun
+    const Ms = solarMeanAnomaly(days);
+
+    // The equation of the centre plus the largest periodic perturbations (evection, variation,
+    // annual equation), which keep the timing of lunar phases accurate to within about an hour.
+    const l = L + RAD * (6.289 * Math.sin(M)
+        + 1.274 * Math.sin(2 * D - M)
+        + 0.658 * Math.sin(2 * D)
+        - 0.186 * Math.sin(Ms)
+        + 0.214 * Math.sin(2 * M)
+        - 0.114 * Math.sin(2 * F));
+    const b = RAD * 5.128 * Math.sin(F);
+    const dist = 385001 - 20905 * Math.cos(M);
+
+    return { ra: rightAscension(l, b), dec: declination(l, b), dist, lng: l };
+}
+
+/**
+ * Approximates atmospheric refraction (radians) for a body at a given altitude.
+ * @param {number} h - The true altitude in radians.
+ * @returns {number}
+ */
+export function astroRefraction(h) {
+    const altitudeAboveHorizon = Math.max(h, 0); // The formula only works for positive altitudes
+    return 0.0002967 / Math.tan(altitudeAboveHorizon + 0.00312536 / (altitudeAboveHorizon + 0.08901179));
+}
\ No newline at end of file
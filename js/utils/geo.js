@@ -0,0 +1,108 @@
+/**
+ * @file /utils/geo.js
+ * @description Small, pure geographic helper functions for distances, bearings, offsets and areas on the Earth's surface,
+ * and for the web map tiles that cover an area.
+ */
+
+const RAD = Math.PI / 180;
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * The length of one degree of latitude, in kilometres.
+ * @type {number}
+ */
+export const KM_PER_DEGREE = EARTH_RADIUS_KM * RAD;
+
+/**
+ * Calculates the great-circle distance between two points using the haversine formula.
+ * @param {number} lat1 - Latitude of the first point in degrees.
+ * @param {number} lng1 - Longitude of the first point in degrees.
+ * @param {number} lat2 - Latitude of the second point in degrees.
+ * @param {number} lng2 - Longitude of the second point in degrees.
+ * @returns {number} The distance in kilometres.
+ */
+export function getDistanceKm(lat1, lng1, lat2, lng2) {
+    const dLat = (lat2 - lat1) * RAD;
+    const dLng = (lng2 - lng1) * RAD;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * RAD) * Math.cos(lat2 * RAD) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Calculates the initial bearing of the great circle from one point to another.
+ * @param {number} lat1 - Latitude of the starting point in degrees.
+ * @param {number} lng1 - Longitude of the starting point in degrees.
+ * @param {number} lat2 - Latitude of the destination in degrees.
+ * @param {number} lng2 - Longitude of the destination in degrees.
+ * @returns {number} The bearing in degrees, clockwise from north (0-360).
+ */
+export function getBearing(lat1, lng1, lat2, lng2) {
+    const dLng = (lng2 - lng1) * RAD;
+    const y = Math.sin(dLng) * Math.cos(lat2 * RAD);
+    const x = Math.cos(lat1 * RAD) * Math.sin(lat2 * RAD) - Math.sin(lat1 * RAD) * Math.cos(lat2 * RAD) * Math.cos(dLng);
+    return (Math.atan2(y, x) / RAD + 360) % 360;
+}
+
+/**
+ * Moves a point a given distance along a bearing. Uses a flat-earth approximation,
+ * which is accurate enough for the short distances (tens of kilometres) it is used for.
+ * @param {number} lat - Latitude of the starting point in degrees.
+ * @param {number} lng - Longitude of the starting point in degrees.
+ * @param {number} distanceKm - The distance to move, in kilometres.
+ * @param {number} bearing - The direction in radians, clockwise from north.
+ * @returns {{lat: number, lng: number}}
+ */
+export function offsetPoint(lat, lng, distanceKm, bearing) {
+    const newLat = lat + (distanceKm * Math.cos(bearing)) / KM_PER_DEGREE;
+    const newLng = lng + (distanceKm * Math.sin(bearing)) / (KM_PER_DEGREE * Math.cos(lat * RAD));
+    return { lat: newLat, lng: newLng };
+}
+
+/**
+ * Calculates the area enclosed by a ring of [longitude, latitude] positions on a spherical Earth.
+ * @param {Array<Array<number>>} ring - The positions of a closed GeoJSON linear ring.
+ * @returns {number} The area in square kilometres.
+ */
+function getRingAreaKm2(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [lng1, lat1] = ring[i];
+        const [lng2, lat2] = ring[i + 1];
+        sum += (lng2 - lng1) * RAD * (2 + Math.sin(lat1 * RAD) + Math.sin(lat2 * RAD));
+    }
+    return Math.abs(sum * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2);
+}
+
+/**
+ * Calculates the area of a GeoJSON Polygon or MultiPolygon geometry. Holes, such as lakes
+ * cut out of a county, are subtracted.
+ * @param {{type: string, coordinates: Array}} geometry - The GeoJSON geometry.
+ * @returns {number} The area in square kilometres, or 0 for other geometry types.
+ */
+export function getGeometryAreaKm2(geometry) {
+    const polygonArea = ([outer, ...holes]) => getRingAreaKm2(outer) - holes.reduce((sum, hole) => sum + getRingAreaKm2(hole), 0);
+    if (geometry?.type === 'Polygon') return polygonArea(geometry.coordinates);
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates.reduce((sum, polygon) => sum + polygonArea(polygon), 0);
+    return 0;
+}
+
+// The latitude limit of the Web Mercator projection, beyond which there are no map tiles.
+const MAX_MERCATOR_LATITUDE = 85.0511;
+
+/**
+ * Gets the range of Web Mercator ("slippy map") tiles that cover an area at a zoom level.
+ * @param {{south: number, west: number, north: number, east: number}} bounds - The area, in degrees.
+ * @param {number} zoom - The zoom level.
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}} The first and last tile
+ * column and row, inclusive. Rows count from the north.
+ */
+export function getTileRange({ south, west, north, east }, zoom) {
+    const tiles = 2 ** zoom;
+    const clampTile = value => Math.min(tiles - 1, Math.max(0, Math.floor(value * tiles)));
+    const toX = lng => clampTile((lng + 180) / 360);
+    const toY = lat => {
+        const sin = Math.sin(Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, lat)) * RAD);
+        return clampTile(0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI));
+    };
+    return { minX: toX(west), maxX: toX(east), minY: toY(north), maxY: toY(south) };
+}
\ No newline at end of file
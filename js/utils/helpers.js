@@ -4,6 +4,8 @@
  */
 
 import { appState } from '../state.js';
+import { LOCATION_GROUPS } from '../config.js';
+import { t, hasMessage, getLocale } from '../services/i18n.js';
 
 /**
  * Maps a monster spotting likelihood string to its corresponding CSS class name.
@@ -20,6 +22,41 @@ export function getLikelihoodClass(likelihood) {
     }
 }
 
+/**
+ * Formats a number of minutes past midnight as a 24-hour clock time.
+ * @param {number} minutes - Minutes past midnight (0-1439).
+ * @returns {string} The time in HH:MM format (e.g., "00:14").
+ */
+export function formatMinutes(minutes) {
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parses the value of a date input into a UTC-midnight application date.
+ * @param {string} value - The value (YYYY-MM-DD).
+ * @returns {Date|null} The date, or null if the value is empty or invalid.
+ */
+export function parseDateInput(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Escapes a string for safe use inside HTML markup.
+ * @param {*} value - The value to escape. Non-string values are converted to strings first.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Returns a simple emoji icon based on a GeoNames feature code.
  * Used for providing quick visual context for monster habitats.
@@ -32,30 +69,63 @@ export function getLocationIcon(code) {
     if (code.startsWith('T.')) return '🏔️';
     if (code.startsWith('H.')) return '💧';
     if (code.startsWith('S.')) return '🏛️';
+    if (code.startsWith('A.')) return '🗺️';
     return '❓';
 }
 
 /**
- * Gets the human-readable name for a location's feature type.
+ * Gets the human-readable name for a location's feature type in the active locale.
  * It first tries the specific feature code, then falls back to the general feature class.
+ * Names come from the feature code file of the active locale, or the English one if it has none.
  * @param {object} location - A location object from the application state.
  * @returns {string} The descriptive name of the location type (e.g., "Populated place", "Forest").
  */
 export function getLocationTypeName(location) {
-    if (!location) return 'Unknown';
+    if (!location) return t('location.unknown');
+    const featureCodeMap = appState.featureCodeMaps.get(getLocale()) ?? appState.featureCodeMap;
 
     // 1. Try the most specific code first (e.g., "P.PPL" -> "Populated place").
-    const specificInfo = appState.featureCodeMap.get(location.fullFeatureCode);
+    const specificInfo = featureCodeMap.get(location.fullFeatureCode);
     if (specificInfo && specificInfo.name) {
         return specificInfo.name;
     }
 
     // 2. If not found, fall back to the general class (e.g., "P" -> "City, village,...").
-    const generalInfo = appState.featureCodeMap.get(location.featureClass);
+    const generalInfo = featureCodeMap.get(location.featureClass);
     if (generalInfo && generalInfo.name) {
         return generalInfo.name;
     }
 
     // 3. Final fallback if no information exists.
-    return 'Area';
+    return t('location.area');
+}
+
+/**
+ * Gets the human-readable name for a monster habitat in the active locale.
+ * A habitat is either a `LOCATION_GROUPS` key (e.g., 'places_of_death') or a GeoNames
+ * feature code or class (e.g., 'S.OPRA'), which is looked up in the feature code map.
+ * Groups added by monster packs have no translation, so their key is shown instead.
+ * @param {string} habitatId - The habitat id from a monster's `locations`.
+ * @returns {string} The descriptive name of the habitat (e.g., "places of death", "Opera house").
+ */
+export function getHabitatName(habitatId) {
+    if (LOCATION_GROUPS[habitatId]) {
+        return hasMessage(`habitat.${habitatId}`) ? t(`habitat.${habitatId}`) : habitatId.replace(/_/g, ' ');
+    }
+    return getLocationTypeName({ fullFeatureCode: habitatId, featureClass: habitatId.split('.')[0] });
+}
+
+/**
+ * Offers a text file for download.
+ * @param {string} filename - The suggested file name.
+ * @param {string} text - The contents of the file.
+ * @param {string} type - The MIME type of the file.
+ */
+export function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
 }
\ No newline at end of file
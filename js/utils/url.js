@@ -4,12 +4,16 @@
  */
 
 import { appState } from '../state.js';
+import { NEARBY_RADIUS_KM, DEFAULT_BASEMAP } from '../config.js';
 import { getDateSeed } from '../services/time.js';
+import { loadPackFromUrl } from '../services/packs.js';
+import { isBasemap } from '../services/basemaps.js';
+import { setLocale } from '../services/i18n.js';
 import { map } from '../ui/map.js';
 
 /**
- * Reads the current application state (map view, date, filters) and
- * updates the browser's URL hash to reflect it.
+ * Reads the current application state (map view, date, filters, clock mode, language, packs, basemap,
+ * map mode, "near me" pin) and updates the browser's URL hash to reflect it.
  * Uses history.replaceState to avoid polluting browser history.
  */
 export function updateUrlHash() {
@@ -29,24 +33,66 @@ export function updateUrlHash() {
         `lat=${mapCenter.lat.toFixed(4)}`,
         `lng=${mapCenter.lng.toFixed(4)}`,
         `zoom=${zoom}`,
-        `date=${dateString}`
+        `date=${dateString}`,
+        `lang=${appState.locale}`
     ];
 
     if (disabledMonsters) {
         hashParts.push(`hide=${disabledMonsters}`);
     }
 
+    if (appState.useLocalTime) {
+        hashParts.push('clock=local');
+    }
+
+    if (appState.basemap.id !== DEFAULT_BASEMAP) {
+        hashParts.push(`basemap=${appState.basemap.id}`);
+    }
+
+    // The map mode, with its settings where they differ from the defaults.
+    if (appState.mapMode === 'choropleth') {
+        hashParts.push('mode=choropleth');
+        if (appState.choropleth.level !== 'adm1') hashParts.push(`regions=${appState.choropleth.level}`);
+        if (appState.choropleth.metric !== 'count') hashParts.push(`metric=${appState.choropleth.metric}`);
+    }
+
+    // The "near me" pin and its radius.
+    if (appState.nearby.center) {
+        hashParts.push(`near=${appState.nearby.center.lat.toFixed(4)},${appState.nearby.center.lng.toFixed(4)}`);
+        hashParts.push(`radius=${appState.nearby.radiusKm}`);
+    }
+
+    // Only packs loaded from a URL can be shared; packs from local files stay local.
+    appState.packs
+        .filter(pack => pack.enabled && pack.url)
+        .forEach(pack => hashParts.push(`pack=${encodeURIComponent(pack.url)}`));
+
     // Use replaceState to update the URL without creating a new history entry.
     // This provides a much better user experience with the back/forward buttons.
     history.replaceState(null, '', `#${hashParts.join('&')}`);
 }
 
+/**
+ * Hides the monsters with the given ids.
+ * @param {Set<string>} hiddenIds - The ids of the monsters to hide.
+ */
+function hideMonsters(hiddenIds) {
+    appState.monsters.forEach(m => {
+        if (hiddenIds.has(m.id)) {
+            m.state.isEnabled = false;
+        }
+    });
+}
+
 /**
  * Parses the URL hash on application startup and applies the stored
- * state (map view, date, filters) to the application.
+ * state (map view, date, filters, clock mode, language, basemap, map mode, "near me" pin) to the application.
+ * Monster packs named by `pack=` parameters are fetched in the background.
+ * @returns {Promise<boolean>} A promise that resolves once all packs in the hash have been
+ * loaded, to whether there were any.
  */
 export function parseUrlHash() {
-    if (!window.location.hash) return;
+    if (!window.location.hash) return Promise.resolve(false);
 
     // Use URLSearchParams for robust parsing of the hash string.
     const params = new URLSearchParams(window.location.hash.substring(1));
@@ -68,14 +114,39 @@ export function parseUrlHash() {
         appState.currentDate = new Date(Date.UTC(year, month - 1, day));
     }
 
-    // Set monster filters from URL.
-    const hiddenMonsters = params.get('hide');
-    if (hiddenMonsters) {
-        const hiddenIds = new Set(hiddenMonsters.split(','));
-        appState.monsters.forEach(m => {
-            if (hiddenIds.has(m.id)) {
-                m.state.isEnabled = false;
-            }
-        });
+    // Use the viewer's local time instead of Stockholm time if requested.
+    appState.useLocalTime = params.get('clock') === 'local';
+
+    // Show the UI in the shared language; unsupported languages keep the detected one.
+    if (params.has('lang')) setLocale(params.get('lang'));
+
+    // Show the shared basemap, unless it is unknown here.
+    if (isBasemap(params.get('basemap'))) appState.basemap.id = params.get('basemap');
+
+    // Show the regions instead of the markers if requested, ignoring unknown settings.
+    if (params.get('mode') === 'choropleth') {
+        appState.mapMode = 'choropleth';
+        if (params.get('regions') === 'adm2' && appState.choropleth.levels.includes('adm2')) appState.choropleth.level = 'adm2';
+        if (params.get('metric') === 'density') appState.choropleth.metric = 'density';
     }
+
+    // Place the "near me" pin, ignoring invalid coordinates and keeping the radius within its range.
+    const [nearLat, nearLng] = (params.get('near') || '').split(',').map(parseFloat);
+    if (Math.abs(nearLat) <= 90 && Math.abs(nearLng) <= 180) {
+        appState.nearby.center = { lat: nearLat, lng: nearLng };
+        const radiusKm = parseFloat(params.get('radius'));
+        if (!isNaN(radiusKm)) appState.nearby.radiusKm = Math.min(NEARBY_RADIUS_KM.max, Math.max(NEARBY_RADIUS_KM.min, radiusKm));
+    }
+
+    // Set monster filters from URL.
+    const hiddenIds = new Set((params.get('hide') || '').split(',').filter(Boolean));
+    hideMonsters(hiddenIds);
+
+    // Load the shared packs. Their monsters can be hidden too, so apply the filters again once they arrive.
+    const packUrls = params.getAll('pack');
+    if (packUrls.length === 0) return Promise.resolve(false);
+    return Promise.all(packUrls.map(loadPackFromUrl)).then(() => {
+        hideMonsters(hiddenIds);
+        return true;
+    });
 }
\ No newline at end of file
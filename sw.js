@@ -0,0 +1,184 @@
+/**
+ * @file sw.js
+ * @description The service worker, which makes the application work without a connection.
+ * On install, it stores the app shell on the device: the page, its styles and modules, the data
+ * files and, as far as their CDNs can be reached, the libraries. These are then served from the cache and refreshed in
+ * the background whenever there is a connection, so an update shows on the next visit. Basemap
+ * tiles are cached as they are viewed (or downloaded ahead, see `js/services/offline.js`) and
+ * served from the cache first. Range requests, such as those for a local PMTiles file, are left
+ * to the network. The service worker must stay in the root directory, so that its scope covers
+ * the whole application.
+ */
+
+// The cache of the app shell. Bump the version whenever PRECACHE_URLS changes, so that the
+// service worker is reinstalled and the old cache is deleted.
+const APP_CACHE_PREFIX = 'monster-spotter-app-';
+const APP_CACHE = `${APP_CACHE_PREFIX}v5`;
+
+// The cache of the map tiles, which is kept across versions (`TILE_DOWNLOAD.cache` in js/config.js).
+const TILE_CACHE = 'monster-spotter-tiles';
+
+// The hosts that basemap tiles are loaded from, including their subdomains (`BASEMAPS` in js/config.js).
+const TILE_HOSTS = ['tile.openstreetmap.org', 'tile.opentopomap.org', 'basemaps.cartocdn.com', 'ows.terrestris.de'];
+
+// The libraries loaded from CDNs by index.html. A library that cannot be stored on install is
+// stored the first time the page loads it.
+const LIBRARY_URLS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet.markercluster@1.4.1/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.4.1/dist/MarkerCluster.Default.css',
+    'https://unpkg.com/leaflet.markercluster@1.4.1/dist/leaflet.markercluster.js',
+    'https://unpkg.com/leaflet.heat@0.2.0/dist/leaflet-heat.js',
+    'https://unpkg.com/pmtiles@3.2.0/dist/pmtiles.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/seedrandom/3.0.5/seedrandom.min.js'
+];
+
+// The same-origin files the application needs to start. Every new module must be added here.
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/style.css',
+    'data/locations_se.json',
+    'data/monsters.json',
+    'data/featureCodes_en.json',
+    'data/featureCodes_sv.json',
+    'data/sweden_outline.geojson',
+    'data/counties_se.geojson',
+    'js/app.js',
+    'js/config.js',
+    'js/locales/en.js',
+    'js/locales/sv.js',
+    'js/monster.js',
+    'js/services/basemaps.js',
+    'js/services/clock.js',
+    'js/services/dataLoader.js',
+    'js/services/forecast.js',
+    'js/services/habitats.js',
+    'js/services/heatmap.js',
+    'js/services/holidays.js',
+    'js/services/i18n.js',
+    'js/services/ical.js',
+    'js/services/individuals.js',
+    'js/services/moon.js',
+    'js/services/nearby.js',
+    'js/services/offline.js',
+    'js/services/packs.js',
+    'js/services/regions.js',
+    'js/services/rules.js',
+    'js/services/search.js',
+    'js/services/simulation.js',
+    'js/services/simulationWorker.js',
+    'js/services/sightingExport.js',
+    'js/services/spottingCalculator.js',
+    'js/services/statistics.js',
+    'js/services/sun.js',
+    'js/services/time.js',
+    'js/services/validator.js',
+    'js/services/weather.js',
+    'js/state.js',
+    'js/ui/debugPanel.js',
+    'js/ui/diagnostics.js',
+    'js/ui/editor.js',
+    'js/ui/exportMenu.js',
+    'js/ui/forecast.js',
+    'js/ui/header.js',
+    'js/ui/language.js',
+    'js/ui/listeners.js',
+    'js/ui/map.js',
+    'js/ui/monsterPanel.js',
+    'js/ui/offlineManager.js',
+    'js/ui/packManager.js',
+    'js/ui/statistics.js',
+    'js/utils/astro.js',
+    'js/utils/geo.js',
+    'js/utils/helpers.js',
+    'js/utils/url.js'
+];
+
+/**
+ * Serves a request from the app cache and refreshes the cached copy from the network in the
+ * background. Requests that are not cached yet, such as the optional region shapes, are fetched
+ * and cached. A page navigation that is not cached falls back on the cached index.html.
+ * @param {FetchEvent} event - The fetch event.
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(APP_CACHE);
+    const cached = await cache.match(request)
+        ?? (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+
+    const refreshed = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    if (!cached) return refreshed;
+
+    event.waitUntil(refreshed.catch(() => {})); // Offline: keep serving the cached copy
+    return cached;
+}
+
+/**
+ * Checks whether a URL is a tile of one of the tile hosts.
+ * @param {URL} url - The URL.
+ * @returns {boolean}
+ */
+function isTileUrl(url) {
+    return TILE_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Serves a map tile from the tile cache, or fetches and caches it. Tiles are cached by URL alone,
+ * so that tiles downloaded ahead by the page are found as well.
+ * @param {Request} request - The tile request.
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request.url, response.clone());
+    return response;
+}
+
+/**
+ * Stores the app shell in the app cache. The same-origin files are stored as a whole, or the
+ * installation fails. The libraries are stored one by one, so that a CDN that cannot be reached
+ * does not stop the app from being stored.
+ * @returns {Promise<void>}
+ */
+async function storeAppShell() {
+    const cache = await caches.open(APP_CACHE);
+    await cache.addAll(PRECACHE_URLS);
+    await Promise.all(LIBRARY_URLS.map(url => cache.add(url)
+        .catch(error => console.warn(`Could not store ${url} for offline use:`, error))));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(storeAppShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith(APP_CACHE_PREFIX) && name !== APP_CACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+
+    const url = new URL(request.url);
+    if (isTileUrl(url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin || LIBRARY_URLS.includes(request.url)) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
\ No newline at end of file